@@ -1,9 +1,13 @@
 """FastAPI application for ADS-B REST API."""
 
+import asyncio
+import json
+from collections.abc import AsyncGenerator
 from contextlib import asynccontextmanager
 
-from fastapi import Depends, FastAPI, Query
+from fastapi import Depends, FastAPI, Query, Request
 from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import StreamingResponse
 from sqlalchemy.orm import Session
 
 from adsb.database import Database
@@ -12,6 +16,7 @@ from adsb.schemas import AircraftStateSchema, SensorSchema, TrackPointSchema
 
 # Constants
 MAX_METADATA_RECORDS = 4  # Match jet1090 API format - last 4 reception metadata
+STREAM_INTERVAL = 1.0  # Seconds between checks for changes sent on /stream
 
 # Global instances
 db_instance: Database | None = None
@@ -51,6 +56,113 @@ def get_session():
         yield session
 
 
+def build_aircraft_states(session: Session) -> list[AircraftStateSchema]:
+    """
+    Build the state vectors of all currently tracked aircraft.
+
+    Parameters
+    ----------
+    session : Session
+        Database session
+
+    Returns
+    -------
+    list[AircraftStateSchema]
+        List of aircraft state vectors
+    """
+    aircraft_list = session.query(Aircraft).all()
+
+    result = []
+    for aircraft in aircraft_list:
+        # Get limited metadata (last N messages)
+        reception_metadata = (
+            session.query(AircraftMetadata)
+            .filter_by(aircraft_id=aircraft.id)
+            .order_by(AircraftMetadata.system_timestamp.desc())
+            .limit(MAX_METADATA_RECORDS)
+            .all()
+        )
+
+        aircraft_dict = {
+            "icao24": aircraft.icao24,
+            "firstseen": aircraft.firstseen,
+            "lastseen": aircraft.lastseen,
+            "callsign": aircraft.callsign,
+            "registration": aircraft.registration,
+            "typecode": aircraft.typecode,
+            "type_description": aircraft.type_description,
+            "squawk": aircraft.squawk,
+            "latitude": aircraft.latitude,
+            "longitude": aircraft.longitude,
+            "altitude": aircraft.altitude,
+            "selected_altitude": aircraft.selected_altitude,
+            "groundspeed": aircraft.groundspeed,
+            "vertical_rate": aircraft.vertical_rate,
+            "track": aircraft.track,
+            "ias": aircraft.ias,
+            "tas": aircraft.tas,
+            "mach": aircraft.mach,
+            "roll": aircraft.roll,
+            "heading": aircraft.heading,
+            "nacp": aircraft.nacp,
+            "count": aircraft.count,
+            "metadata": [
+                {
+                    "system_timestamp": m.system_timestamp,
+                    "nanoseconds": m.nanoseconds,
+                    "rssi": m.rssi,
+                    "serial": m.serial,
+                }
+                for m in reception_metadata
+            ],
+        }
+        result.append(AircraftStateSchema(**aircraft_dict))
+
+    return result
+
+
+def diff_aircraft_states(previous: dict[str, dict], current: dict[str, dict]) -> dict:
+    """
+    Compare two sets of aircraft states for a stream update.
+
+    Parameters
+    ----------
+    previous : dict[str, dict]
+        Aircraft states last sent, keyed by ICAO 24-bit address
+    current : dict[str, dict]
+        Current aircraft states, keyed by ICAO 24-bit address
+
+    Returns
+    -------
+    dict
+        Update with ``upsert``, the complete states of new and changed aircraft, and
+        ``remove``, the addresses of aircraft no longer tracked
+    """
+    return {
+        "upsert": [state for icao24, state in current.items() if previous.get(icao24) != state],
+        "remove": [icao24 for icao24 in previous if icao24 not in current],
+    }
+
+
+def format_sse(event: str, data) -> str:
+    """
+    Format a Server-Sent Events message.
+
+    Parameters
+    ----------
+    event : str
+        Event name
+    data : Any
+        JSON-serialisable payload
+
+    Returns
+    -------
+    str
+        Message ready to write to the stream
+    """
+    return f"event: {event}\ndata: {json.dumps(data)}\n\n"
+
+
 def create_app(database: Database, network_client=None) -> FastAPI:
     """
     Create and configure FastAPI application.
@@ -119,6 +231,7 @@ def create_app(database: Database, network_client=None) -> FastAPI:
                 "/icao24": "returns all ICAO 24-bit addresses seen",
                 "/track?icao24={icao24}&since={timestamp}": "returns the trajectory of a given aircraft",
                 "/sensors": "returns information about all sensors",
+                "/stream": "streams aircraft state changes as Server-Sent Events",
             },
         }
 
@@ -137,55 +250,52 @@ def create_app(database: Database, network_client=None) -> FastAPI:
         list[AircraftStateSchema]
             List of aircraft state vectors
         """
-        aircraft_list = session.query(Aircraft).all()
-
-        result = []
-        for aircraft in aircraft_list:
-            # Get limited metadata (last N messages)
-            reception_metadata = (
-                session.query(AircraftMetadata)
-                .filter_by(aircraft_id=aircraft.id)
-                .order_by(AircraftMetadata.system_timestamp.desc())
-                .limit(MAX_METADATA_RECORDS)
-                .all()
-            )
+        return build_aircraft_states(session)
+
+    @app.get("/stream")
+    async def stream_aircraft(request: Request):
+        """
+        Stream aircraft state changes as Server-Sent Events.
+
+        A ``snapshot`` event with every aircraft, as returned by ``/all``, is sent on connect.
+        ``update`` events follow whenever aircraft appear, change or are removed, shaped as
+        ``{"upsert": [aircraft], "remove": [icao24]}``.
+
+        Parameters
+        ----------
+        request : Request
+            Incoming request, checked for client disconnects
+
+        Returns
+        -------
+        StreamingResponse
+            Event stream
+        """
 
-            aircraft_dict = {
-                "icao24": aircraft.icao24,
-                "firstseen": aircraft.firstseen,
-                "lastseen": aircraft.lastseen,
-                "callsign": aircraft.callsign,
-                "registration": aircraft.registration,
-                "typecode": aircraft.typecode,
-                "type_description": aircraft.type_description,
-                "squawk": aircraft.squawk,
-                "latitude": aircraft.latitude,
-                "longitude": aircraft.longitude,
-                "altitude": aircraft.altitude,
-                "selected_altitude": aircraft.selected_altitude,
-                "groundspeed": aircraft.groundspeed,
-                "vertical_rate": aircraft.vertical_rate,
-                "track": aircraft.track,
-                "ias": aircraft.ias,
-                "tas": aircraft.tas,
-                "mach": aircraft.mach,
-                "roll": aircraft.roll,
-                "heading": aircraft.heading,
-                "nacp": aircraft.nacp,
-                "count": aircraft.count,
-                "metadata": [
-                    {
-                        "system_timestamp": m.system_timestamp,
-                        "nanoseconds": m.nanoseconds,
-                        "rssi": m.rssi,
-                        "serial": m.serial,
+        async def events() -> AsyncGenerator[str]:
+            previous = None
+            while not await request.is_disconnected():
+                with get_db().get_session() as session:
+                    current = {
+                        state.icao24: state.model_dump(mode="json")
+                        for state in build_aircraft_states(session)
                     }
-                    for m in reception_metadata
-                ],
-            }
-            result.append(AircraftStateSchema(**aircraft_dict))
 
-        return result
+                if previous is None:
+                    yield format_sse("snapshot", list(current.values()))
+                else:
+                    update = diff_aircraft_states(previous, current)
+                    if update["upsert"] or update["remove"]:
+                        yield format_sse("update", update)
+
+                previous = current
+                await asyncio.sleep(STREAM_INTERVAL)
+
+        return StreamingResponse(
+            events(),
+            media_type="text/event-stream",
+            headers={"Cache-Control": "no-cache"},
+        )
 
     @app.get("/icao24", response_model=list[str])
     async def get_all_icao24(session: Session = Depends(get_session)):
@@ -1,9 +1,36 @@
-import { useState } from 'react'
+import { useState, useMemo } from 'react'
 import AircraftMap from './components/AircraftMap'
+import AircraftList from './components/AircraftList'
+import PlaybackControls from './components/PlaybackControls'
+import AlertBanner from './components/AlertBanner'
+import WatchlistPanel from './components/WatchlistPanel'
+import FilterPanel from './components/FilterPanel'
+import ReceiverSettings from './components/ReceiverSettings'
+import ExportPanel from './components/ExportPanel'
+import SensorsPanel from './components/SensorsPanel'
+import StatsDashboard from './components/StatsDashboard'
+import GeofencePanel from './components/GeofencePanel'
+import ConflictPanel from './components/ConflictPanel'
 import { useAircraftData } from './hooks/useAircraftData'
 import { useAircraftTracks } from './hooks/useAircraftTracks'
 import { useFilteredAircraft } from './hooks/useFilteredAircraft'
+import { useFilterPresets } from './hooks/useFilterPresets'
+import { useUrlState } from './hooks/useUrlState'
+import { usePlayback } from './hooks/usePlayback'
+import { useSquawkAlerts } from './hooks/useSquawkAlerts'
+import { useWatchlist } from './hooks/useWatchlist'
+import { useReceiver } from './hooks/useReceiver'
+import { useSensors } from './hooks/useSensors'
+import { useSessionStats } from './hooks/useSessionStats'
+import { useGeofences } from './hooks/useGeofences'
+import { useOverlays } from './hooks/useOverlays'
+import { useConflicts } from './hooks/useConflicts'
 import { useTheme } from './hooks/useTheme'
+import { COLOR_MODES } from './utils/colorScales'
+import { getBaseMaps, getInitialBaseMap } from './utils/baseMaps'
+import { EMPTY_FILTERS, isFilterActive } from './utils/filters'
+import { parseUrlState } from './utils/urlState'
+import { loadSetting, saveSetting } from './utils/storage'
 import {
   MAPBOX_TOKEN,
   DEFAULT_REFRESH_INTERVAL,
@@ -12,6 +39,7 @@ import {
   REFRESH_INTERVAL_MAX,
   MAX_AGE_MIN,
   MAX_AGE_MAX,
+  DEFAULT_COLOR_MODE,
 } from './constants'
 import './App.css'
 
@@ -21,40 +49,260 @@ import './App.css'
  * @returns {JSX.Element} The main app component
  */
 function App() {
-  const [refreshInterval, setRefreshInterval] = useState(DEFAULT_REFRESH_INTERVAL)
-  const [maxAgeMinutes, setMaxAgeMinutes] = useState(DEFAULT_MAX_AGE_MINUTES)
-  const [showTracks, setShowTracks] = useState(false)
+  // State from a shared link takes precedence over defaults
+  const [initialUrlState] = useState(() => parseUrlState(window.location.search))
+  const [refreshInterval, setRefreshInterval] = useState(
+    initialUrlState.refreshInterval ?? DEFAULT_REFRESH_INTERVAL
+  )
+  const [maxAgeMinutes, setMaxAgeMinutes] = useState(
+    initialUrlState.maxAgeMinutes ?? DEFAULT_MAX_AGE_MINUTES
+  )
+  const [showTracks, setShowTracks] = useState(initialUrlState.showTracks ?? false)
   const [isTrackingAircraft, setIsTrackingAircraft] = useState(false)
   const [showSettings, setShowSettings] = useState(false)
+  const [showList, setShowList] = useState(false)
+  const [selectedIcao24, setSelectedIcao24] = useState(initialUrlState.selectedIcao24 ?? null)
+  const [isPlaybackMode, setIsPlaybackMode] = useState(false)
+  const [showWatchlist, setShowWatchlist] = useState(false)
+  const [showFilters, setShowFilters] = useState(false)
+  const [showExport, setShowExport] = useState(false)
+  const [showSensors, setShowSensors] = useState(false)
+  const [showStats, setShowStats] = useState(false)
+  const [showGeofences, setShowGeofences] = useState(false)
+  const [showConflicts, setShowConflicts] = useState(false)
+  // Geofence being drawn on the map: { shape, name, floor, ceiling }, or null
+  const [geofenceDraft, setGeofenceDraft] = useState(null)
+  const [filters, setFilters] = useState(initialUrlState.filters ?? EMPTY_FILTERS)
+  const [viewport, setViewport] = useState(initialUrlState.viewport ?? null)
+  const [colorMode, setColorModeState] = useState(() => {
+    const saved = loadSetting('colorMode', DEFAULT_COLOR_MODE)
+    return COLOR_MODES[saved] ? saved : DEFAULT_COLOR_MODE
+  })
+
+  const [baseMaps] = useState(getBaseMaps)
+  const [baseMap, setBaseMapState] = useState(() =>
+    getInitialBaseMap(baseMaps, loadSetting('baseMap', null))
+  )
+  const [is3D, setIs3DState] = useState(() => loadSetting('view3d', false))
+  const [smoothMotion, setSmoothMotionState] = useState(() => loadSetting('smoothMotion', true))
+
+  // Save colour mode to localStorage
+  const setColorMode = mode => {
+    setColorModeState(mode)
+    saveSetting('colorMode', mode)
+  }
+
+  // Save base map choice to localStorage
+  const setBaseMap = id => {
+    setBaseMapState(baseMaps.find(candidate => candidate.id === id) ?? baseMap)
+    saveSetting('baseMap', id)
+  }
+
+  // Save 3D view preference to localStorage
+  const setIs3D = enabled => {
+    setIs3DState(enabled)
+    saveSetting('view3d', enabled)
+  }
+
+  // Save dead reckoning preference to localStorage
+  const setSmoothMotion = enabled => {
+    setSmoothMotionState(enabled)
+    saveSetting('smoothMotion', enabled)
+  }
+
+  // Mirror view, selection and settings in the URL so links can be shared
+  useUrlState(
+    { viewport, selectedIcao24, refreshInterval, maxAgeMinutes, showTracks, filters },
+    setSelectedIcao24
+  )
 
   // Theme management
   const { themePreference, appliedTheme, setTheme } = useTheme()
 
-  // Fetch aircraft data with polling
-  const { aircraft, loading, error, lastUpdate } = useAircraftData(refreshInterval)
+  // Receive aircraft data over the live stream, polling while it is unavailable
+  const { aircraft, loading, error, lastUpdate, isStreaming, isStale } =
+    useAircraftData(refreshInterval)
+  // Whether the aircraft are a fresh update rather than nothing yet or a stale snapshot
+  const isLive = !isStale && lastUpdate !== null
+
+  // Detect emergency and watched squawk codes in the live feed, ignoring aged-out aircraft
+  const recentAircraft = useFilteredAircraft(aircraft, maxAgeMinutes)
+  const squawkAlerts = useSquawkAlerts(recentAircraft, isLive)
+
+  // Highlight and announce aircraft on the user's watchlist
+  const watchlist = useWatchlist(aircraft)
+
+  // Receiver position, range rings and coverage built from live positions
+  const receiverSettings = useReceiver(aircraft)
+
+  // Receivers contributing to the live feed, with their aircraft counts and message rates
+  const { sensors, error: sensorsError } = useSensors(aircraft)
+
+  // Traffic, range and signal statistics for the session, charted in the dashboard
+  const sessionStats = useSessionStats(aircraft, receiverSettings.receiver)
+
+  // Areas of interest with live occupancy and an entry/exit log
+  const geofenceSettings = useGeofences(aircraft, isLive)
+
+  const addDrawnGeofence = shape => {
+    geofenceSettings.addGeofence(shape, geofenceDraft)
+    setGeofenceDraft(null)
+  }
+
+  // Airports, runways and airspace drawn for reference
+  const overlaySettings = useOverlays()
+
+  // Pairs of aircraft inside, or about to be inside, the separation minima
+  const conflictSettings = useConflicts(aircraft, overlaySettings.airports, isLive)
 
-  // Filter aircraft based on age
-  const filteredAircraft = useFilteredAircraft(aircraft, maxAgeMinutes)
+  // Historical playback replaces the live feed with positions reconstructed on a simulated clock
+  const playback = usePlayback(isPlaybackMode)
+  const displayedAircraft = isPlaybackMode ? playback.aircraft : aircraft
+  // Last-known data is aged against its own time so it stays on the map while offline
+  const isShowingStale = isStale && !isPlaybackMode && lastUpdate !== null
+  const clockTime = isPlaybackMode
+    ? playback.currentTime * 1000
+    : isShowingStale
+      ? lastUpdate.getTime()
+      : undefined
+
+  // Filter aircraft based on age and the filter panel
+  const filterPresets = useFilterPresets()
+  const filtersActive = isFilterActive(filters)
+  const filteredAircraft = useFilteredAircraft(displayedAircraft, maxAgeMinutes, clockTime, filters)
 
   // Track aircraft flight paths
-  const { tracks } = useAircraftTracks(aircraft, maxAgeMinutes)
+  const { tracks } = useAircraftTracks(
+    aircraft,
+    maxAgeMinutes,
+    filteredAircraft,
+    showTracks && !isPlaybackMode
+  )
+
+  // Only draw trails for aircraft that pass the filters
+  const sourceTracks = isPlaybackMode ? playback.tracks : tracks
+  const filteredTracks = useMemo(() => {
+    const visible = new Set(filteredAircraft.map(ac => ac.icao24))
+    return Object.fromEntries(Object.entries(sourceTracks).filter(([icao24]) => visible.has(icao24)))
+  }, [sourceTracks, filteredAircraft])
+
+  // Resolve the selection against the latest poll so details stay live
+  const selectedAircraft = useMemo(
+    () => displayedAircraft.find(ac => ac.icao24 === selectedIcao24) || null,
+    [displayedAircraft, selectedIcao24]
+  )
 
   return (
     <div className="app">
       <header className="header" role="banner">
         <div className="header-top">
           <h1>ADSB Aircraft Tracker</h1>
-          <button
-            className="settings-button"
-            onClick={() => setShowSettings(!showSettings)}
-            aria-label={showSettings ? 'Hide settings' : 'Show settings'}
-            aria-expanded={showSettings}
-          >
-            <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"/>
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"/>
-            </svg>
-          </button>
+          <div className="header-actions">
+            <button
+              className="settings-button"
+              onClick={() => setShowFilters(!showFilters)}
+              aria-label={showFilters ? 'Hide filters' : 'Show filters'}
+              aria-expanded={showFilters}
+              aria-pressed={filtersActive}
+            >
+              <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z"/>
+              </svg>
+            </button>
+            <button
+              className="settings-button"
+              onClick={() => setShowSensors(!showSensors)}
+              aria-label={showSensors ? 'Hide receivers' : 'Show receivers'}
+              aria-expanded={showSensors}
+              aria-pressed={filters.sensor !== ''}
+            >
+              <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8.111 16.404a5.5 5.5 0 017.778 0M12 20h.01m-7.08-7.071c3.904-3.905 10.236-3.905 14.141 0M1.394 9.393c5.857-5.857 15.355-5.857 21.213 0"/>
+              </svg>
+            </button>
+            <button
+              className="settings-button"
+              onClick={() => setShowStats(!showStats)}
+              aria-label={showStats ? 'Hide statistics' : 'Show statistics'}
+              aria-expanded={showStats}
+            >
+              <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"/>
+              </svg>
+            </button>
+            <button
+              className="settings-button"
+              onClick={() => setShowGeofences(!showGeofences)}
+              aria-label={showGeofences ? 'Hide geofences' : 'Show geofences'}
+              aria-expanded={showGeofences}
+            >
+              <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z"/>
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"/>
+              </svg>
+            </button>
+            <button
+              className="settings-button"
+              onClick={() => setShowConflicts(!showConflicts)}
+              aria-label={showConflicts ? 'Hide conflicts' : 'Show conflicts'}
+              aria-expanded={showConflicts}
+            >
+              <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z"/>
+              </svg>
+            </button>
+            <button
+              className="settings-button"
+              onClick={() => setShowWatchlist(!showWatchlist)}
+              aria-label={showWatchlist ? 'Hide watchlist' : 'Show watchlist'}
+              aria-expanded={showWatchlist}
+            >
+              <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z"/>
+              </svg>
+            </button>
+            <button
+              className="settings-button"
+              onClick={() => setShowExport(!showExport)}
+              aria-label={showExport ? 'Hide export options' : 'Show export options'}
+              aria-expanded={showExport}
+            >
+              <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"/>
+              </svg>
+            </button>
+            <button
+              className="settings-button"
+              onClick={() => setIsPlaybackMode(!isPlaybackMode)}
+              aria-label={isPlaybackMode ? 'Return to live view' : 'Open historical playback'}
+              aria-pressed={isPlaybackMode}
+            >
+              <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"/>
+              </svg>
+            </button>
+            <button
+              className="settings-button"
+              onClick={() => setShowList(!showList)}
+              aria-label={showList ? 'Hide aircraft list' : 'Show aircraft list'}
+              aria-pressed={showList}
+            >
+              <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 6h16M4 10h16M4 14h16M4 18h16"/>
+              </svg>
+            </button>
+            <button
+              className="settings-button"
+              onClick={() => setShowSettings(!showSettings)}
+              aria-label={showSettings ? 'Hide settings' : 'Show settings'}
+              aria-expanded={showSettings}
+            >
+              <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"/>
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"/>
+              </svg>
+            </button>
+          </div>
         </div>
         <div className="status" role="status" aria-live="polite">
           {loading ? (
@@ -65,10 +313,36 @@ function App() {
             <>
               <span
                 className="aircraft-count"
-                aria-label={`${filteredAircraft.length} aircraft currently tracked`}
+                aria-label={
+                  filtersActive
+                    ? `${filteredAircraft.length} of ${displayedAircraft.length} aircraft match the filters`
+                    : `${filteredAircraft.length} aircraft currently tracked`
+                }
               >
-                {filteredAircraft.length} aircraft tracked
+                {filtersActive
+                  ? `${filteredAircraft.length} of ${displayedAircraft.length} aircraft tracked`
+                  : `${filteredAircraft.length} aircraft tracked`}
               </span>
+              {isPlaybackMode && (
+                <span className="playback-indicator">
+                  Playback: {new Date(playback.currentTime * 1000).toLocaleString()}
+                </span>
+              )}
+              {!isPlaybackMode && conflictSettings.conflicts.length > 0 && (
+                <span className="conflict-indicator">
+                  {conflictSettings.conflicts.length === 1
+                    ? '1 conflict'
+                    : `${conflictSettings.conflicts.length} conflicts`}
+                </span>
+              )}
+              {isShowingStale && (
+                <span
+                  className="stale-indicator"
+                  aria-label="Offline, showing last known aircraft positions"
+                >
+                  Offline: showing last known data
+                </span>
+              )}
               {lastUpdate && (
                 <span
                   className="last-update"
@@ -77,6 +351,14 @@ function App() {
                   Last update: {lastUpdate.toLocaleTimeString()}
                 </span>
               )}
+              <span
+                className={`transport ${isStreaming ? 'live' : ''}`}
+                aria-label={
+                  isStreaming ? 'Receiving live updates' : `Polling every ${refreshInterval} seconds`
+                }
+              >
+                {isStreaming ? 'Live' : `Polling (${refreshInterval}s)`}
+              </span>
               {error && (
                 <span className="error" role="alert" aria-label={`Error: ${error}`}>
                   Error: {error}
@@ -85,87 +367,255 @@ function App() {
             </>
           )}
         </div>
+        <AlertBanner
+          alerts={squawkAlerts.alerts}
+          onAcknowledge={squawkAlerts.acknowledge}
+          onSelectAircraft={setSelectedIcao24}
+        />
+        {isPlaybackMode && <PlaybackControls playback={playback} />}
+        {showFilters && (
+          <FilterPanel
+            filters={filters}
+            onChange={setFilters}
+            presets={filterPresets}
+            sensors={sensors}
+          />
+        )}
+        {showSensors && (
+          <SensorsPanel
+            sensors={sensors}
+            error={sensorsError}
+            activeSensor={filters.sensor}
+            onShowOnly={sensor => setFilters({ ...filters, sensor })}
+          />
+        )}
+        {showStats && (
+          <StatsDashboard stats={sessionStats} hasReceiver={Boolean(receiverSettings.receiver)} />
+        )}
+        {showGeofences && (
+          <GeofencePanel
+            geofenceSettings={geofenceSettings}
+            aircraft={aircraft}
+            drawing={geofenceDraft?.shape ?? null}
+            onDraw={setGeofenceDraft}
+            onCancelDrawing={() => setGeofenceDraft(null)}
+            onSelectAircraft={setSelectedIcao24}
+          />
+        )}
+        {showConflicts && (
+          <ConflictPanel
+            conflictSettings={conflictSettings}
+            aircraft={aircraft}
+            onSelectAircraft={setSelectedIcao24}
+          />
+        )}
+        {showExport && <ExportPanel aircraft={aircraft} tracks={tracks} />}
+        {showWatchlist && (
+          <WatchlistPanel watchlist={watchlist} onSelectAircraft={setSelectedIcao24} />
+        )}
         {showSettings && (
           <div className="controls" role="group" aria-label="Map controls">
-          <div className="refresh-interval-input">
-            <label htmlFor="refresh-interval">Refresh Interval (seconds): </label>
-            <input
-              id="refresh-interval"
-              type="number"
-              min={REFRESH_INTERVAL_MIN}
-              max={REFRESH_INTERVAL_MAX}
-              value={refreshInterval}
-              onChange={e => setRefreshInterval(Number(e.target.value))}
-              aria-label="Set refresh interval in seconds"
-              aria-describedby="refresh-interval-desc"
-            />
-            <span id="refresh-interval-desc" className="sr-only">
-              How often to fetch new aircraft data, between {REFRESH_INTERVAL_MIN} and{' '}
-              {REFRESH_INTERVAL_MAX} seconds
-            </span>
-          </div>
-          <div className="max-age-input">
-            <label htmlFor="max-age">Max Age (minutes): </label>
-            <input
-              id="max-age"
-              type="number"
-              min={MAX_AGE_MIN}
-              max={MAX_AGE_MAX}
-              value={maxAgeMinutes}
-              onChange={e => setMaxAgeMinutes(Number(e.target.value))}
-              aria-label="Set maximum age of aircraft data in minutes"
-              aria-describedby="max-age-desc"
-            />
-            <span id="max-age-desc" className="sr-only">
-              Only show aircraft seen within this many minutes, between {MAX_AGE_MIN} and{' '}
-              {MAX_AGE_MAX}
-            </span>
-          </div>
-          <div className="show-tracks-toggle">
-            <label htmlFor="show-tracks" className={isTrackingAircraft ? 'disabled' : ''}>
+            <div className="refresh-interval-input">
+              <label htmlFor="refresh-interval">Refresh Interval (seconds): </label>
               <input
-                id="show-tracks"
-                type="checkbox"
-                checked={showTracks}
-                onChange={e => setShowTracks(e.target.checked)}
-                aria-label="Toggle aircraft flight path tracks"
-                aria-checked={showTracks}
-                disabled={isTrackingAircraft}
+                id="refresh-interval"
+                type="number"
+                min={REFRESH_INTERVAL_MIN}
+                max={REFRESH_INTERVAL_MAX}
+                value={refreshInterval}
+                onChange={e => setRefreshInterval(Number(e.target.value))}
+                aria-label="Set refresh interval in seconds"
+                aria-describedby="refresh-interval-desc"
               />
-              Show Tracks
-              {isTrackingAircraft && (
-                <span className="disabled-hint"> (disabled while viewing aircraft track)</span>
-              )}
-            </label>
-          </div>
-          <div className="theme-toggle">
-            <label htmlFor="theme-select">Theme: </label>
-            <select
-              id="theme-select"
-              value={themePreference}
-              onChange={e => setTheme(e.target.value)}
-              aria-label="Select theme preference"
-            >
-              <option value="auto">Auto</option>
-              <option value="light">Light</option>
-              <option value="dark">Dark</option>
-            </select>
-            <span className="theme-indicator" aria-live="polite" aria-label={`Current theme: ${appliedTheme}`}>
-              ({appliedTheme})
-            </span>
+              <span id="refresh-interval-desc" className="sr-only">
+                How often to fetch new aircraft data when the live stream is unavailable, between{' '}
+                {REFRESH_INTERVAL_MIN} and {REFRESH_INTERVAL_MAX} seconds
+              </span>
+            </div>
+            <div className="max-age-input">
+              <label htmlFor="max-age">Max Age (minutes): </label>
+              <input
+                id="max-age"
+                type="number"
+                min={MAX_AGE_MIN}
+                max={MAX_AGE_MAX}
+                value={maxAgeMinutes}
+                onChange={e => setMaxAgeMinutes(Number(e.target.value))}
+                aria-label="Set maximum age of aircraft data in minutes"
+                aria-describedby="max-age-desc"
+              />
+              <span id="max-age-desc" className="sr-only">
+                Only show aircraft seen within this many minutes, between {MAX_AGE_MIN} and{' '}
+                {MAX_AGE_MAX}
+              </span>
+            </div>
+            <div className="show-tracks-toggle">
+              <label htmlFor="show-tracks" className={isTrackingAircraft ? 'disabled' : ''}>
+                <input
+                  id="show-tracks"
+                  type="checkbox"
+                  checked={showTracks}
+                  onChange={e => setShowTracks(e.target.checked)}
+                  aria-label="Toggle aircraft flight path tracks"
+                  aria-checked={showTracks}
+                  disabled={isTrackingAircraft}
+                />
+                Show Tracks
+                {isTrackingAircraft && (
+                  <span className="disabled-hint"> (disabled while viewing aircraft track)</span>
+                )}
+              </label>
+            </div>
+            <div className="show-tracks-toggle">
+              <label htmlFor="smooth-motion">
+                <input
+                  id="smooth-motion"
+                  type="checkbox"
+                  checked={smoothMotion}
+                  onChange={e => setSmoothMotion(e.target.checked)}
+                  aria-label="Toggle smooth aircraft motion between updates"
+                />
+                Smooth Motion
+              </label>
+            </div>
+            <div className="show-tracks-toggle">
+              <label htmlFor="view-3d" className={baseMap.provider !== 'mapbox' ? 'disabled' : ''}>
+                <input
+                  id="view-3d"
+                  type="checkbox"
+                  checked={is3D}
+                  onChange={e => setIs3D(e.target.checked)}
+                  aria-label="Toggle 3D view with terrain and aircraft drawn at altitude"
+                  disabled={baseMap.provider !== 'mapbox'}
+                />
+                3D View
+                {baseMap.provider !== 'mapbox' && (
+                  <span className="disabled-hint"> (needs a Mapbox base map)</span>
+                )}
+              </label>
+            </div>
+            <div className="theme-toggle">
+              <label htmlFor="color-mode-select">Colour By: </label>
+              <select
+                id="color-mode-select"
+                value={colorMode}
+                onChange={e => setColorMode(e.target.value)}
+                aria-label="Select what aircraft and track colours represent"
+              >
+                {Object.entries(COLOR_MODES).map(([mode, { label }]) => (
+                  <option key={mode} value={mode}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="squawk-watch-input">
+              <label htmlFor="squawk-watch-list">Watch Squawks: </label>
+              <input
+                id="squawk-watch-list"
+                type="text"
+                placeholder="e.g. 7000, 1200"
+                defaultValue={squawkAlerts.watchList.join(', ')}
+                onBlur={e =>
+                  squawkAlerts.setWatchList(
+                    e.target.value.split(/[\s,]+/).filter(code => /^[0-7]{4}$/.test(code))
+                  )
+                }
+                aria-describedby="squawk-watch-desc"
+              />
+              <span id="squawk-watch-desc" className="sr-only">
+                Comma-separated four-digit squawk codes to alert on, in addition to 7500, 7600 and 7700
+              </span>
+            </div>
+            <div className="show-tracks-toggle">
+              <label htmlFor="alert-sound">
+                <input
+                  id="alert-sound"
+                  type="checkbox"
+                  checked={squawkAlerts.soundEnabled}
+                  onChange={e => squawkAlerts.setSoundEnabled(e.target.checked)}
+                />
+                Alert Sound
+              </label>
+            </div>
+            <div className="show-tracks-toggle">
+              <label htmlFor="alert-notifications">
+                <input
+                  id="alert-notifications"
+                  type="checkbox"
+                  checked={squawkAlerts.notificationsEnabled}
+                  onChange={e => squawkAlerts.setNotificationsEnabled(e.target.checked)}
+                />
+                Alert Notifications
+              </label>
+            </div>
+            <ReceiverSettings receiverSettings={receiverSettings} />
+            <div className="theme-toggle">
+              <label htmlFor="theme-select">Theme: </label>
+              <select
+                id="theme-select"
+                value={themePreference}
+                onChange={e => setTheme(e.target.value)}
+                aria-label="Select theme preference"
+              >
+                <option value="auto">Auto</option>
+                <option value="light">Light</option>
+                <option value="dark">Dark</option>
+              </select>
+              <span
+                className="theme-indicator"
+                aria-live="polite"
+                aria-label={`Current theme: ${appliedTheme}`}
+              >
+                ({appliedTheme})
+              </span>
+            </div>
           </div>
-        </div>
         )}
       </header>
       <main role="main">
+        {showList && (
+          <AircraftList
+            aircraft={filteredAircraft}
+            selectedIcao24={selectedIcao24}
+            onSelectAircraft={setSelectedIcao24}
+            pinnedIcao24s={watchlist.watchedIcao24s}
+            now={clockTime}
+          />
+        )}
         <AircraftMap
           aircraft={filteredAircraft}
           mapboxToken={MAPBOX_TOKEN}
-          tracks={tracks}
+          baseMap={baseMap}
+          baseMaps={baseMaps}
+          onBaseMapChange={setBaseMap}
+          tracks={filteredTracks}
           showTracks={showTracks}
           maxAgeMinutes={maxAgeMinutes}
           onTrackingAircraft={setIsTrackingAircraft}
           theme={appliedTheme}
+          selectedAircraft={selectedAircraft}
+          onSelectAircraft={setSelectedIcao24}
+          currentTime={clockTime}
+          alertIcao24s={squawkAlerts.alertIcao24s}
+          watchedIcao24s={watchlist.watchedIcao24s}
+          colorMode={colorMode}
+          initialViewport={initialUrlState.viewport}
+          onViewportChange={setViewport}
+          receiver={receiverSettings.receiver}
+          rangeRings={receiverSettings.rangeRings}
+          coverage={receiverSettings.showCoverage ? receiverSettings.coverage : null}
+          coverageByAltitude={receiverSettings.coverageByAltitude}
+          geofences={geofenceSettings.geofences}
+          geofenceOccupants={geofenceSettings.occupants}
+          drawingGeofence={geofenceDraft?.shape ?? null}
+          onGeofenceDrawn={addDrawnGeofence}
+          onCancelDrawing={() => setGeofenceDraft(null)}
+          overlaySettings={overlaySettings}
+          conflicts={isPlaybackMode ? [] : conflictSettings.conflicts}
+          is3D={is3D}
+          deadReckoning={smoothMotion && !isPlaybackMode && !isShowingStale}
+          stale={isShowingStale}
         />
       </main>
     </div>
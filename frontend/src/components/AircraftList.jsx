@@ -0,0 +1,252 @@
+import { useState, useMemo } from 'react'
+import PropTypes from 'prop-types'
+import {
+  formatAltitude,
+  formatSpeed,
+  cleanCallsign,
+  getAgeSeconds,
+  formatAge,
+} from '../utils/format'
+import './AircraftList.css'
+
+/**
+ * Column definitions for the aircraft table
+ * Each column knows how to extract a sortable value and how to render it
+ */
+const COLUMNS = [
+  {
+    key: 'callsign',
+    label: 'Callsign',
+    getValue: ac => ac.callsign?.replace(/_+$/, '') || null,
+    render: ac => cleanCallsign(ac.callsign),
+  },
+  {
+    key: 'registration',
+    label: 'Reg',
+    getValue: ac => ac.registration || null,
+    render: ac => ac.registration || 'N/A',
+  },
+  {
+    key: 'typecode',
+    label: 'Type',
+    getValue: ac => ac.typecode || null,
+    render: ac => ac.typecode || 'N/A',
+  },
+  {
+    key: 'altitude',
+    label: 'Alt (ft)',
+    numeric: true,
+    getValue: ac => ac.altitude ?? null,
+    render: ac => formatAltitude(ac.altitude),
+  },
+  {
+    key: 'groundspeed',
+    label: 'GS (kts)',
+    numeric: true,
+    getValue: ac => ac.groundspeed ?? null,
+    render: ac => formatSpeed(ac.groundspeed),
+  },
+  {
+    key: 'vertical_rate',
+    label: 'V/S (fpm)',
+    numeric: true,
+    getValue: ac => ac.vertical_rate ?? null,
+    render: ac => ac.vertical_rate ?? 'N/A',
+  },
+  {
+    key: 'squawk',
+    label: 'Squawk',
+    getValue: ac => ac.squawk || null,
+    render: ac => ac.squawk || 'N/A',
+  },
+  {
+    key: 'age',
+    label: 'Age',
+    numeric: true,
+    getValue: (ac, now) => getAgeSeconds(ac.lastseen, now),
+    render: (ac, now) => formatAge(getAgeSeconds(ac.lastseen, now)),
+  },
+]
+
+// Fields matched by the free-text search box
+const SEARCH_FIELDS = [
+  'icao24',
+  'callsign',
+  'registration',
+  'typecode',
+  'type_description',
+  'squawk',
+]
+
+/**
+ * Compare two column values, always sorting missing values last
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {number} Comparison result
+ */
+function compareValues(a, b, direction) {
+  if (a === null && b === null) return 0
+  if (a === null) return 1
+  if (b === null) return -1
+  if (typeof a === 'number' && typeof b === 'number') return (a - b) * direction
+  return String(a).localeCompare(String(b)) * direction
+}
+
+/**
+ * Searchable, sortable table of the currently tracked aircraft
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.aircraft - Array of aircraft objects (already age-filtered)
+ * @param {string} props.selectedIcao24 - ICAO24 of the selected aircraft, if any
+ * @param {Function} props.onSelectAircraft - Called with the icao24 of a clicked row
+ * @param {Array<string>} props.pinnedIcao24s - ICAO24s kept at the top regardless of sort (watchlist)
+ * @param {number} props.now - Reference time in milliseconds for ages (defaults to Date.now())
+ * @returns {JSX.Element} The aircraft list panel
+ */
+function AircraftList({
+  aircraft,
+  selectedIcao24 = null,
+  onSelectAircraft,
+  pinnedIcao24s = [],
+  now,
+}) {
+  const [search, setSearch] = useState('')
+  const [sortKey, setSortKey] = useState('callsign')
+  const [sortDirection, setSortDirection] = useState(1)
+
+  /**
+   * Toggle direction when re-clicking the active column, otherwise sort ascending
+   *
+   * @param {string} key - Column key
+   */
+  const handleSort = key => {
+    if (key === sortKey) {
+      setSortDirection(-sortDirection)
+    } else {
+      setSortKey(key)
+      setSortDirection(1)
+    }
+  }
+
+  const rows = useMemo(() => {
+    const query = search.trim().toLowerCase()
+    const matching = query
+      ? aircraft.filter(ac =>
+          SEARCH_FIELDS.some(field => ac[field] && String(ac[field]).toLowerCase().includes(query))
+        )
+      : aircraft
+
+    const column = COLUMNS.find(c => c.key === sortKey)
+    const pinned = new Set(pinnedIcao24s)
+    return [...matching].sort(
+      (a, b) =>
+        pinned.has(b.icao24) - pinned.has(a.icao24) ||
+        compareValues(column.getValue(a, now), column.getValue(b, now), sortDirection)
+    )
+  }, [aircraft, search, sortKey, sortDirection, pinnedIcao24s, now])
+
+  return (
+    <section className="aircraft-list" aria-label="Aircraft list">
+      <div className="aircraft-list-search">
+        <label htmlFor="aircraft-search" className="sr-only">
+          Search aircraft
+        </label>
+        <input
+          id="aircraft-search"
+          type="search"
+          placeholder="Search callsign, registration, type, squawk..."
+          value={search}
+          onChange={e => setSearch(e.target.value)}
+        />
+        <span className="aircraft-list-count" aria-live="polite">
+          {rows.length} / {aircraft.length}
+        </span>
+      </div>
+      <div className="aircraft-list-table-wrapper">
+        <table className="aircraft-list-table">
+          <thead>
+            <tr>
+              {COLUMNS.map(column => (
+                <th
+                  key={column.key}
+                  scope="col"
+                  className={column.numeric ? 'numeric' : ''}
+                  aria-sort={
+                    column.key === sortKey
+                      ? sortDirection === 1
+                        ? 'ascending'
+                        : 'descending'
+                      : 'none'
+                  }
+                >
+                  <button type="button" onClick={() => handleSort(column.key)}>
+                    {column.label}
+                    {column.key === sortKey && (
+                      <span aria-hidden="true">{sortDirection === 1 ? ' ▲' : ' ▼'}</span>
+                    )}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(ac => (
+              <tr
+                key={ac.icao24}
+                className={[
+                  ac.icao24 === selectedIcao24 ? 'selected' : '',
+                  pinnedIcao24s.includes(ac.icao24) ? 'pinned' : '',
+                ].join(' ')}
+                onClick={() => onSelectAircraft(ac.icao24)}
+                onKeyDown={e => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault()
+                    onSelectAircraft(ac.icao24)
+                  }
+                }}
+                tabIndex={0}
+                aria-selected={ac.icao24 === selectedIcao24}
+              >
+                {COLUMNS.map(column => (
+                  <td key={column.key} className={column.numeric ? 'numeric' : ''}>
+                    {column.render(ac, now)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length === 0 && (
+          <div className="aircraft-list-empty">
+            {aircraft.length === 0 ? 'No aircraft tracked' : 'No aircraft match your search'}
+          </div>
+        )}
+      </div>
+    </section>
+  )
+}
+
+AircraftList.propTypes = {
+  aircraft: PropTypes.arrayOf(
+    PropTypes.shape({
+      icao24: PropTypes.string.isRequired,
+      callsign: PropTypes.string,
+      registration: PropTypes.string,
+      typecode: PropTypes.string,
+      type_description: PropTypes.string,
+      altitude: PropTypes.number,
+      groundspeed: PropTypes.number,
+      vertical_rate: PropTypes.number,
+      squawk: PropTypes.string,
+      lastseen: PropTypes.number,
+    })
+  ).isRequired,
+  selectedIcao24: PropTypes.string,
+  onSelectAircraft: PropTypes.func.isRequired,
+  pinnedIcao24s: PropTypes.arrayOf(PropTypes.string),
+  now: PropTypes.number,
+}
+
+export default AircraftList
@@ -1,46 +1,259 @@
 import { useRef, useEffect, useState, useMemo } from 'react'
 import PropTypes from 'prop-types'
-import Map, { Marker, Source, Layer } from 'react-map-gl'
+import Map, { Marker, Source, Layer, Popup, NavigationControl } from 'react-map-gl'
 import { fetchAircraftTrack } from '../services/api'
+import { isAbortError } from '../services/http'
+import { getBaseMapStyle } from '../utils/baseMaps'
+import { getAirspaceLayerId } from '../utils/overlays'
+import { formatAltitude, formatSpeed, cleanCallsign } from '../utils/format'
+import {
+  addAircraftIcons,
+  getAircraftIconProperties,
+  isAircraftIconId,
+} from '../utils/aircraftIcon'
+import {
+  COLOR_MODES,
+  getColorExpression,
+  getOperator,
+  getOperatorColor,
+  getSensorColor,
+} from '../utils/colorScales'
+import { getPrimarySerial, getReceptionBySerial } from '../utils/sensors'
+import { buildCurtainFeatures, buildSegmentFeatures } from '../utils/trackSegments'
+import { FEET_TO_METERS } from '../utils/geo'
+import { useDeadReckoning } from '../hooks/useDeadReckoning'
+import { buildTrackProfile } from '../utils/trackProfile'
+import { TRACK_FORMATS, exportTracks } from '../utils/exportFormats'
+import ColorLegend from './ColorLegend'
+import ReceiverLayers from './ReceiverLayers'
+import GeofenceLayers from './GeofenceLayers'
+import OverlayLayers from './OverlayLayers'
+import ConflictLayers from './ConflictLayers'
+import OverlayControl from './OverlayControl'
+import ProfileChart from './ProfileChart'
+import BaseMapPicker from './BaseMapPicker'
 import {
   DEFAULT_MAP_CENTER,
   INITIAL_ZOOM,
-  MAP_STYLE_LIGHT,
-  MAP_STYLE_DARK,
-  TRACK_COLOR,
   TRACK_WIDTH,
   TRACK_OPACITY,
+  STALE_DATA_OPACITY,
+  AIRCRAFT_MARKER_SIZE,
+  AIRCRAFT_MARKER_SIZE_HOVER,
+  ALERT_COLOR,
+  WATCH_COLOR,
+  TERRAIN_SOURCE_URL,
+  VIEW_3D_PITCH,
+  CURTAIN_OPACITY,
+  FOLLOW_EASE_DURATION,
 } from '../constants'
 import './AircraftMap.css'
 
+const AIRCRAFT_LAYER_ID = 'aircraft-layer'
+const AIRCRAFT_SOURCE_ID = 'aircraft'
+const TRACK_POINTS_LAYER_ID = 'selected-track-points'
+
+const ALTITUDE_SERIES = [{ key: 'altitude', label: 'Altitude', unit: 'ft', color: '#3498db' }]
+const RATE_SERIES = [
+  { key: 'groundspeed', label: 'Ground speed', unit: 'kts', color: '#f39c12' },
+  { key: 'vertical_rate', label: 'Vertical rate', unit: 'ft/min', color: '#9b59b6' },
+]
+
+/**
+ * Expression converting an altitude property in feet to metres, floored at zero
+ *
+ * @param {string} property - Feature property holding the altitude
+ * @returns {Array} Mapbox GL expression
+ */
+function metresExpression(property) {
+  return ['max', 0, ['*', ['coalesce', ['get', property], 0], FEET_TO_METERS]]
+}
+
+// Source data while dead reckoning writes aircraft positions directly to the map
+const EMPTY_COLLECTION = { type: 'FeatureCollection', features: [] }
+
+// 3D elevation for aircraft and trail segments, sloping each segment between its endpoints.
+// Mapbox elevates symbols and lines relative to the terrain below them, so barometric altitude
+// is drawn as height above ground; the error is the terrain elevation, small near airports.
+const AIRCRAFT_ELEVATION = metresExpression('altitude')
+const SEGMENT_ELEVATION = [
+  'interpolate',
+  ['linear'],
+  ['line-progress'],
+  0,
+  metresExpression('altitudeFrom'),
+  1,
+  metresExpression('altitudeTo'),
+]
+
+/**
+ * Build the hover title for an aircraft
+ *
+ * @param {Object} ac - Aircraft object
+ * @returns {string} Callsign, registration and type code
+ */
+function getAircraftTitle(ac) {
+  return [
+    cleanCallsign(ac.callsign) || ac.icao24,
+    ac.registration ? `(${ac.registration})` : null,
+    ac.typecode ? `- ${ac.typecode}` : null,
+  ]
+    .filter(Boolean)
+    .join(' ')
+}
+
+/**
+ * Describe an airspace's vertical limits for the popup
+ *
+ * @param {Object} airspace - Overlay feature properties
+ * @returns {string} e.g. "SFC – FL95", or '' if neither limit is known
+ */
+function formatAirspaceLimits({ floor, ceiling }) {
+  return floor || ceiling ? `${floor || '?'} – ${ceiling || '?'}` : ''
+}
+
+/**
+ * Colours for the categorical colour modes, carried as feature properties
+ *
+ * @param {Object} ac - Aircraft object, or undefined when unknown
+ * @returns {Object} operatorColor and sensorColor
+ */
+function getCategoryColors(ac) {
+  return {
+    operatorColor: getOperatorColor(getOperator(ac?.callsign)),
+    sensorColor: getSensorColor(ac ? getPrimarySerial(ac) : null),
+  }
+}
+
+let mapboxPromise = null
+let mapLibrePromise = null
+
+/**
+ * Load Mapbox GL with the stylesheet from the installed package, so the two always match
+ *
+ * @returns {Promise<Object>} The mapbox-gl module
+ */
+function loadMapbox() {
+  if (!mapboxPromise) {
+    mapboxPromise = Promise.all([
+      import('mapbox-gl'),
+      import('mapbox-gl/dist/mapbox-gl.css'),
+    ]).then(([mapboxgl]) => mapboxgl)
+  }
+  return mapboxPromise
+}
+
+/**
+ * Load MapLibre and its stylesheet on first use so Mapbox-only setups never download them
+ *
+ * @returns {Promise<Object>} The maplibre-gl module
+ */
+function loadMapLibre() {
+  if (!mapLibrePromise) {
+    mapLibrePromise = Promise.all([
+      import('maplibre-gl'),
+      import('maplibre-gl/dist/maplibre-gl.css'),
+    ]).then(([maplibregl]) => maplibregl)
+  }
+  return mapLibrePromise
+}
+
 /**
  * Map component that displays aircraft positions and tracks
  *
  * @param {Object} props - Component props
  * @param {Array} props.aircraft - Array of aircraft objects from the API
- * @param {string} props.mapboxToken - MapBox API token
+ * @param {string} props.mapboxToken - MapBox API token, used by Mapbox base maps
+ * @param {Object} props.baseMap - Base map to draw on, from getBaseMaps
+ * @param {Array} props.baseMaps - Base maps offered in the picker
+ * @param {Function} props.onBaseMapChange - Called with a base map id from the picker
  * @param {Object} props.tracks - Map of icao24 to array of position points
  * @param {boolean} props.showTracks - Whether to display tracks
  * @param {string} props.theme - Current theme ('light' or 'dark')
+ * @param {Object} props.selectedAircraft - Currently selected aircraft, or null
+ * @param {Function} props.onSelectAircraft - Called with an icao24 to select, or null to clear
+ * @param {string} props.colorMode - Colour scale for markers and trails (see COLOR_MODES)
+ * @param {Array<string>} props.alertIcao24s - ICAO24s squawking an alert code, drawn pulsing
+ * @param {Array<string>} props.watchedIcao24s - ICAO24s matching the watchlist, drawn with a ring
+ * @param {number} props.currentTime - Reference time in milliseconds for age colouring,
+ *   e.g. a playback clock (defaults to Date.now())
+ * @param {Object} props.initialViewport - Viewport to open at, e.g. from a shared link; skips
+ *   auto-centering on the first aircraft load
+ * @param {Function} props.onViewportChange - Called with { latitude, longitude, zoom } after the
+ *   map stops moving
+ * @param {Object} props.receiver - Receiver position { latitude, longitude }, or null if unknown
+ * @param {Array<number>} props.rangeRings - Range ring radii around the receiver in nautical miles
+ * @param {Object} props.coverage - Observed max range per bearing sector, or null to hide
+ * @param {boolean} props.coverageByAltitude - Draw coverage per altitude band
+ * @param {Array} props.geofences - Geofences to outline (see utils/geofences)
+ * @param {Object} props.geofenceOccupants - Aircraft inside each geofence, keyed by geofence id
+ * @param {string} props.drawingGeofence - Geofence shape being drawn ('polygon' or 'circle'), or
+ *   null; map clicks place its points instead of selecting aircraft
+ * @param {Function} props.onGeofenceDrawn - Called with the finished geofence shape
+ * @param {Function} props.onCancelDrawing - Called when drawing is cancelled from the map
+ * @param {Object} props.overlaySettings - Aeronautical overlays and actions from useOverlays, or
+ *   null to hide the overlay control
+ * @param {Array} props.conflicts - Conflicting aircraft pairs from useConflicts, joined by a line
+ * @param {boolean} props.is3D - Pitch the map over terrain and raise aircraft and trails to their
+ *   altitude; Mapbox base maps only
+ * @param {boolean} props.deadReckoning - Animate aircraft along their track between updates
+ * @param {boolean} props.stale - Aircraft are last-known positions from before losing the feed,
+ *   drawn faded
  * @returns {JSX.Element} The map component
  */
 function AircraftMap({
   aircraft,
   mapboxToken,
+  baseMap,
+  baseMaps,
+  onBaseMapChange,
   tracks = {},
   showTracks = false,
   maxAgeMinutes = 5,
   onTrackingAircraft,
   theme = 'light',
+  selectedAircraft = null,
+  onSelectAircraft,
+  currentTime,
+  alertIcao24s = [],
+  watchedIcao24s = [],
+  colorMode = 'age',
+  initialViewport = null,
+  onViewportChange,
+  receiver = null,
+  rangeRings = [],
+  coverage = null,
+  coverageByAltitude = false,
+  geofences = [],
+  geofenceOccupants = {},
+  drawingGeofence = null,
+  onGeofenceDrawn,
+  onCancelDrawing,
+  overlaySettings = null,
+  conflicts = [],
+  is3D: is3DRequested = false,
+  deadReckoning = false,
+  stale = false,
 }) {
   const mapRef = useRef(null)
-  const [selectedAircraft, setSelectedAircraft] = useState(null)
+  // Terrain, sky and elevated symbols and lines are Mapbox GL features
+  const isMapbox = baseMap.provider === 'mapbox'
+  const is3D = is3DRequested && isMapbox
   const [selectedAircraftTrack, setSelectedAircraftTrack] = useState(null)
   const [loadingTrack, setLoadingTrack] = useState(false)
-  const [viewport, setViewport] = useState(DEFAULT_MAP_CENTER)
+  const [viewport, setViewport] = useState(initialViewport ?? DEFAULT_MAP_CENTER)
+  const [hoveredIcao24, setHoveredIcao24] = useState(null)
+  const [focusedIcao24, setFocusedIcao24] = useState(null)
+  // Track point highlighted on both the profile charts and the map
+  const [hoveredTrackIndex, setHoveredTrackIndex] = useState(null)
+  // Aircraft the camera follows, kept by ICAO24 so following resumes if it drops out and returns
+  const [followedIcao24, setFollowedIcao24] = useState(null)
+  const [followRotate, setFollowRotate] = useState(false)
+  // Airspaces under the last map click, shown with their limits: { longitude, latitude, airspaces }
+  const [airspacePopup, setAirspacePopup] = useState(null)
 
   // Track if we've done initial centering
-  const [hasInitialized, setHasInitialized] = useState(false)
+  const [hasInitialized, setHasInitialized] = useState(initialViewport !== null)
 
   // Auto-center map on first aircraft load
   useEffect(() => {
@@ -63,79 +276,51 @@ function AircraftMap({
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [aircraft.length, hasInitialized])
 
-  /**
-   * Get the rotation angle for the aircraft icon based on track
-   * Aircraft track is 0° for north, 90° for east, etc.
-   * The airplane emoji points right (east) by default, so subtract 90° to align correctly
-   *
-   * @param {number} track - Aircraft track in degrees
-   * @returns {string} CSS transform string
-   */
-  const getAircraftRotation = track => {
-    return track !== null && track !== undefined ? `rotate(${track - 90}deg)` : 'rotate(-90deg)'
-  }
-
-  /**
-   * Format altitude with thousands separator
-   *
-   * @param {number} altitude - Altitude in feet
-   * @returns {string} Formatted altitude string
-   */
-  const formatAltitude = altitude => {
-    return altitude?.toLocaleString() || 'N/A'
-  }
-
-  /**
-   * Format speed to one decimal place
-   *
-   * @param {number} speed - Speed value
-   * @returns {string} Formatted speed string
-   */
-  const formatSpeed = speed => {
-    return speed?.toFixed(1) || 'N/A'
-  }
-
-  /**
-   * Clean callsign by removing trailing underscores
-   *
-   * @param {string} callsign - Aircraft callsign
-   * @returns {string} Cleaned callsign
-   */
-  const cleanCallsign = callsign => {
-    return callsign?.replace(/_+$/, '') || 'Unknown'
-  }
+  // Tilt into or out of 3D; the camera stays wherever the user leaves it afterwards
+  useEffect(() => {
+    mapRef.current?.easeTo(is3D ? { pitch: VIEW_3D_PITCH } : { pitch: 0, bearing: 0 })
+  }, [is3D])
 
-  /**
-   * Calculate color based on aircraft age
-   * Fades from full red (#e74c3c) to light red (#ffb3a8) based on maxAgeMinutes
-   *
-   * @param {number} lastseen - Unix timestamp of last seen
-   * @returns {string} CSS color string
-   */
-  const getAircraftColor = lastseen => {
-    if (!lastseen) return '#e74c3c' // Full red if no timestamp
+  // Selection is owned by the parent so other views (e.g. the aircraft list) can drive it
+  const selectedIcao24 = selectedAircraft?.icao24 ?? null
 
-    const currentTime = Math.floor(Date.now() / 1000)
-    const ageInSeconds = currentTime - lastseen
-    const ageInMinutes = ageInSeconds / 60
+  const isFollowing = selectedIcao24 !== null && selectedIcao24 === followedIcao24
 
-    // Linear interpolation from full red to light red
-    // 0 minutes = #e74c3c (231, 76, 60)
-    // maxAgeMinutes = #ffb3a8 (255, 179, 168)
-    const ratio = Math.min(ageInMinutes / maxAgeMinutes, 1)
+  // Keep the followed aircraft centred, optionally turning the map to its track
+  // While aircraft are animated the camera moves with each redraw instead (see below)
+  useEffect(() => {
+    if (!isFollowing || deadReckoning || !mapRef.current) return
+    const { latitude, longitude, track } = selectedAircraft
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') return
 
-    const r = Math.round(231 + (255 - 231) * ratio)
-    const g = Math.round(76 + (179 - 76) * ratio)
-    const b = Math.round(60 + (168 - 60) * ratio)
+    mapRef.current.easeTo({
+      center: [longitude, latitude],
+      ...(followRotate && typeof track === 'number' && { bearing: track }),
+      duration: FOLLOW_EASE_DURATION,
+    })
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [
+    isFollowing,
+    deadReckoning,
+    followRotate,
+    selectedAircraft?.latitude,
+    selectedAircraft?.longitude,
+    selectedAircraft?.track,
+  ])
 
-    return `rgb(${r}, ${g}, ${b})`
+  const toggleFollowRotate = rotate => {
+    setFollowRotate(rotate)
+    if (!rotate) mapRef.current?.easeTo({ bearing: 0, duration: FOLLOW_EASE_DURATION })
   }
 
   // Fetch detailed track when an aircraft is selected
   useEffect(() => {
-    if (selectedAircraft) {
+    setHoveredTrackIndex(null)
+    if (selectedIcao24) {
+      // Cancel the request if the selection changes first, so a slow reply can't land late
+      const controller = new AbortController()
       setLoadingTrack(true)
-      fetchAircraftTrack(selectedAircraft.icao24)
+      fetchAircraftTrack(selectedIcao24, undefined, { signal: controller.signal })
         .then(trackData => {
           setSelectedAircraftTrack(trackData)
           setLoadingTrack(false)
@@ -145,23 +330,146 @@ function AircraftMap({
           }
         })
         .catch(error => {
+          if (isAbortError(error)) return
           console.error('Error fetching aircraft track:', error)
           setLoadingTrack(false)
         })
-    } else {
-      setSelectedAircraftTrack(null)
-      // Notify parent that we're no longer tracking
-      if (onTrackingAircraft) {
-        onTrackingAircraft(false)
-      }
+      return () => controller.abort()
     }
-  }, [selectedAircraft, onTrackingAircraft])
+
+    setSelectedAircraftTrack(null)
+    // Notify parent that we're no longer tracking
+    if (onTrackingAircraft) {
+      onTrackingAircraft(false)
+    }
+    return undefined
+  }, [selectedIcao24, onTrackingAircraft])
 
   // Filter aircraft with valid positions
-  const validAircraft = aircraft.filter(a => a.latitude && a.longitude)
+  const validAircraft = useMemo(() => aircraft.filter(a => a.latitude && a.longitude), [aircraft])
+
+  // Select the base map style for the theme; memoized as raster maps build a style object
+  const mapStyle = useMemo(() => getBaseMapStyle(baseMap, theme), [baseMap, theme])
 
-  // Select map style based on theme
-  const mapStyle = theme === 'dark' ? MAP_STYLE_DARK : MAP_STYLE_LIGHT
+  /**
+   * Convert aircraft positions to GeoJSON Points for the symbol layer
+   * Drawing in WebGL instead of one DOM marker per aircraft keeps pan/zoom smooth on busy feeds
+   */
+  const aircraftGeoJSON = useMemo(() => {
+    const alerting = new Set(alertIcao24s)
+    const watched = new Set(watchedIcao24s)
+    return {
+      type: 'FeatureCollection',
+      features: validAircraft.map(ac => ({
+        type: 'Feature',
+        properties: {
+          icao24: ac.icao24,
+          track: ac.track ?? null,
+          lastseen: ac.lastseen ?? null,
+          altitude: ac.altitude ?? null,
+          groundspeed: ac.groundspeed ?? null,
+          vertical_rate: ac.vertical_rate ?? null,
+          ...getAircraftIconProperties(ac),
+          ...getCategoryColors(ac),
+          alert: alerting.has(ac.icao24),
+          watched: watched.has(ac.icao24),
+        },
+        geometry: {
+          type: 'Point',
+          coordinates: [ac.longitude, ac.latitude],
+        },
+      })),
+    }
+  }, [validAircraft, alertIcao24s, watchedIcao24s])
+
+  // Few aircraft squawk alert codes at once, so these get DOM markers with a CSS pulse
+  const alertAircraft = useMemo(() => {
+    const alerting = new Set(alertIcao24s)
+    return validAircraft.filter(ac => alerting.has(ac.icao24))
+  }, [validAircraft, alertIcao24s])
+
+  /**
+   * Colour expression for the active mode, evaluated on the GPU per feature
+   * The reference time is captured per poll so panning doesn't rewrite the paint property
+   */
+  const lineColorExpression = useMemo(() => {
+    const now = Math.floor((currentTime ?? Date.now()) / 1000)
+    return getColorExpression(colorMode, { now, maxAgeMinutes })
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [aircraft, maxAgeMinutes, currentTime, colorMode])
+
+  // Glide aircraft between updates instead of jumping once per poll
+  const { follow, getPosition, onDraw } = useDeadReckoning(
+    mapRef,
+    AIRCRAFT_SOURCE_ID,
+    aircraftGeoJSON,
+    deadReckoning
+  )
+
+  /**
+   * Where an aircraft is drawn, so DOM markers and popups stay on the animated icon
+   *
+   * @param {Object} ac - Aircraft object
+   * @returns {Array<number>} Position as [longitude, latitude]
+   */
+  const getDrawnPosition = ac => getPosition(ac.icao24) ?? [ac.longitude, ac.latitude]
+
+  // Follow the animated icon rather than jumping to each reported position
+  const followedTrack = selectedAircraft?.track
+  useEffect(() => {
+    if (!isFollowing || !deadReckoning) return undefined
+    let lastPosition = null
+    return onDraw(drawn => {
+      const position = drawn.get(followedIcao24)
+      // Leave the camera alone once the icon stops, so zooming isn't interrupted
+      if (!position || (position[0] === lastPosition?.[0] && position[1] === lastPosition[1])) {
+        return
+      }
+      lastPosition = position
+      mapRef.current?.jumpTo({
+        center: position,
+        ...(followRotate && typeof followedTrack === 'number' && { bearing: followedTrack }),
+      })
+    })
+  }, [isFollowing, deadReckoning, followedIcao24, followRotate, followedTrack, onDraw])
+
+  // Markers use the same scale, with squawk alerts overriding it
+  const aircraftColorExpression = useMemo(
+    () => ['case', ['get', 'alert'], ALERT_COLOR, lineColorExpression],
+    [lineColorExpression]
+  )
+
+  // Aircraft drawn enlarged on top of the rest: hovered, keyboard-focused and selected
+  const highlightedIcao24s = [hoveredIcao24, focusedIcao24, selectedIcao24].filter(Boolean)
+
+  const hoveredAircraft = hoveredIcao24
+    ? validAircraft.find(ac => ac.icao24 === hoveredIcao24)
+    : null
+
+  /**
+   * Off-screen list of aircraft buttons so the canvas layer stays keyboard and screen reader accessible
+   * Memoized so panning the map doesn't re-render one element per aircraft
+   */
+  const keyboardAircraftList = useMemo(
+    () => (
+      <ul className="sr-only" aria-label="Aircraft on map">
+        {validAircraft.map(ac => (
+          <li key={ac.icao24}>
+            <button
+              type="button"
+              aria-label={`Aircraft ${ac.callsign || ac.icao24} at ${formatAltitude(ac.altitude)} feet`}
+              onClick={() => onSelectAircraft(ac.icao24)}
+              onFocus={() => setFocusedIcao24(ac.icao24)}
+              onBlur={() => setFocusedIcao24(null)}
+            >
+              {getAircraftTitle(ac)}
+            </button>
+          </li>
+        ))}
+      </ul>
+    ),
+    [validAircraft, onSelectAircraft]
+  )
 
   /**
    * Convert tracks data to GeoJSON format for MapBox
@@ -169,19 +477,23 @@ function AircraftMap({
    */
   const tracksGeoJSON = useMemo(() => {
     const features = []
+    const aircraftByIcao24 = Object.fromEntries(aircraft.map(ac => [ac.icao24, ac]))
 
     Object.entries(tracks).forEach(([icao24, points]) => {
       if (points.length >= 2) {
-        // Convert points to GeoJSON LineString
-        const coordinates = points.map(p => [p[0], p[1]])
-        features.push({
-          type: 'Feature',
-          properties: { icao24 },
-          geometry: {
-            type: 'LineString',
-            coordinates,
-          },
-        })
+        // Split into per-segment lines so each segment takes the colour of its own values
+        const positions = points.map(p => ({
+          longitude: p[0],
+          latitude: p[1],
+          timestamp: p[2] / 1000,
+          altitude: p[3] ?? null,
+        }))
+        features.push(
+          ...buildSegmentFeatures(positions, {
+            icao24,
+            ...getCategoryColors(aircraftByIcao24[icao24]),
+          })
+        )
       }
     })
 
@@ -189,26 +501,33 @@ function AircraftMap({
       type: 'FeatureCollection',
       features,
     }
-  }, [tracks])
+  }, [tracks, aircraft])
+
+  // Selected aircraft track points with a position; indexes are shared by the dots and charts
+  const selectedTrackPositions = useMemo(
+    () =>
+      (selectedAircraftTrack || []).filter(pos => pos.longitude !== null && pos.latitude !== null),
+    [selectedAircraftTrack]
+  )
+
+  // Altitude, speed and vertical rate over time for the sidebar charts
+  const trackProfile = useMemo(
+    () => buildTrackProfile(selectedTrackPositions),
+    [selectedTrackPositions]
+  )
+
+  // Receivers hearing the selected aircraft, strongest signal first
+  const selectedReception = useMemo(
+    () => (selectedAircraft ? getReceptionBySerial(selectedAircraft) : []),
+    [selectedAircraft]
+  )
 
   /**
-   * Convert selected aircraft track to GeoJSON LineString for the track line
+   * Convert selected aircraft track to per-segment GeoJSON LineStrings for the track line
    * Memoized to avoid recalculating on every render
    */
   const selectedTrackLineGeoJSON = useMemo(() => {
-    if (!selectedAircraftTrack || selectedAircraftTrack.length < 2) {
-      return {
-        type: 'FeatureCollection',
-        features: [],
-      }
-    }
-
-    // Convert track positions to coordinates [lon, lat]
-    const coordinates = selectedAircraftTrack
-      .filter(pos => pos.longitude !== null && pos.latitude !== null)
-      .map(pos => [pos.longitude, pos.latitude])
-
-    if (coordinates.length < 2) {
+    if (selectedTrackPositions.length < 2) {
       return {
         type: 'FeatureCollection',
         features: [],
@@ -217,79 +536,191 @@ function AircraftMap({
 
     return {
       type: 'FeatureCollection',
-      features: [
-        {
-          type: 'Feature',
-          properties: { icao24: selectedAircraft?.icao24 },
-          geometry: {
-            type: 'LineString',
-            coordinates,
-          },
-        },
-      ],
+      features: buildSegmentFeatures(selectedTrackPositions, {
+        icao24: selectedIcao24,
+        ...getCategoryColors(selectedAircraft),
+      }),
     }
-  }, [selectedAircraftTrack, selectedAircraft])
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedTrackPositions, selectedIcao24])
 
   /**
    * Convert selected aircraft track to GeoJSON Points for the dots
    * Memoized to avoid recalculating on every render
    */
   const selectedTrackPointsGeoJSON = useMemo(() => {
-    if (!selectedAircraftTrack || selectedAircraftTrack.length === 0) {
-      return {
-        type: 'FeatureCollection',
-        features: [],
-      }
-    }
-
     // Create a Point feature for each position
-    const features = selectedAircraftTrack
-      .filter(pos => pos.longitude !== null && pos.latitude !== null)
-      .map((pos, index) => ({
-        type: 'Feature',
-        properties: {
-          icao24: selectedAircraft?.icao24,
-          timestamp: pos.timestamp,
-          index,
-        },
-        geometry: {
-          type: 'Point',
-          coordinates: [pos.longitude, pos.latitude],
-        },
-      }))
+    const features = selectedTrackPositions.map((pos, index) => ({
+      type: 'Feature',
+      properties: {
+        icao24: selectedIcao24,
+        timestamp: pos.timestamp,
+        index,
+      },
+      geometry: {
+        type: 'Point',
+        coordinates: [pos.longitude, pos.latitude],
+      },
+    }))
 
     return {
       type: 'FeatureCollection',
       features,
     }
-  }, [selectedAircraftTrack, selectedAircraft])
+  }, [selectedTrackPositions, selectedIcao24])
 
-  if (!mapboxToken) {
-    return (
-      <div className="map-placeholder" role="alert">
-        <p>Please enter your MapBox API token above to display the map</p>
-      </div>
-    )
-  }
+  // Extruded wall from the selected track down to the ground, drawn in 3D mode
+  const selectedTrackCurtainGeoJSON = useMemo(
+    () => ({
+      type: 'FeatureCollection',
+      features: is3D ? buildCurtainFeatures(selectedTrackPositions) : [],
+    }),
+    [selectedTrackPositions, is3D]
+  )
+
+  // Overlays switched on and loaded, and their airspace layers that open the popup on click
+  const visibleOverlays = (overlaySettings?.overlays ?? []).filter(
+    overlay => overlay.visible && overlay.data
+  )
+  const airspaceLayerIds = visibleOverlays.map(overlay => getAirspaceLayerId(overlay.id))
+
+  // Layout shared by trail line layers; line-progress needs lineMetrics on their sources
+  const trailLineLayout = is3D
+    ? { 'line-z-offset': SEGMENT_ELEVATION, 'line-elevation-reference': 'ground' }
+    : {}
 
   return (
     <div className="map-container" role="region" aria-label="Aircraft tracking map">
       <Map
+        // Each provider needs its own map instance
+        key={baseMap.provider}
+        mapLib={isMapbox ? loadMapbox() : loadMapLibre()}
         ref={mapRef}
         {...viewport}
         onMove={evt => setViewport(evt.viewState)}
-        mapboxAccessToken={mapboxToken}
+        // Dragging the map takes the camera back from follow mode
+        onDragStart={() => setFollowedIcao24(null)}
+        onMoveEnd={evt => {
+          if (onViewportChange) {
+            const { latitude, longitude, zoom } = evt.viewState
+            onViewportChange({ latitude, longitude, zoom })
+          }
+        }}
+        onLoad={evt => {
+          // Style switches (e.g. theme changes) drop registered images, so re-add on demand
+          addAircraftIcons(evt.target)
+          evt.target.on('styleimagemissing', e => {
+            if (isAircraftIconId(e.id)) addAircraftIcons(evt.target)
+          })
+        }}
+        interactiveLayerIds={[
+          AIRCRAFT_LAYER_ID,
+          ...(selectedAircraftTrack ? [TRACK_POINTS_LAYER_ID] : []),
+          ...airspaceLayerIds,
+        ]}
+        onClick={evt => {
+          if (drawingGeofence) return
+          const features = evt.features ?? []
+          const feature = features.find(f => f.layer.id === AIRCRAFT_LAYER_ID)
+          if (feature) {
+            onSelectAircraft(feature.properties.icao24)
+            return
+          }
+
+          // Stacked airspaces are all listed; GeoJSON sources can return a feature once per tile
+          const airspaces = [
+            ...new Set(
+              features
+                .filter(f => airspaceLayerIds.includes(f.layer.id))
+                .map(f => JSON.stringify(f.properties))
+            ),
+          ].map(properties => JSON.parse(properties))
+          setAirspacePopup(
+            airspaces.length > 0
+              ? { longitude: evt.lngLat.lng, latitude: evt.lngLat.lat, airspaces }
+              : null
+          )
+        }}
+        onMouseMove={evt => {
+          const features = evt.features ?? []
+          const aircraftFeature = features.find(f => f.layer.id === AIRCRAFT_LAYER_ID)
+          const pointFeature = features.find(f => f.layer.id === TRACK_POINTS_LAYER_ID)
+          setHoveredIcao24(aircraftFeature?.properties.icao24 ?? null)
+          setHoveredTrackIndex(pointFeature ? pointFeature.properties.index : null)
+        }}
+        onMouseLeave={() => {
+          setHoveredIcao24(null)
+          setHoveredTrackIndex(null)
+        }}
+        cursor={drawingGeofence ? 'crosshair' : hoveredIcao24 ? 'pointer' : undefined}
+        // Double-clicks finish polygons while drawing
+        doubleClickZoom={!drawingGeofence}
+        mapboxAccessToken={isMapbox ? mapboxToken : undefined}
         style={{ width: '100%', height: '100%' }}
         mapStyle={mapStyle}
+        terrain={is3D ? { source: 'mapbox-dem', exaggeration: 1 } : undefined}
       >
+        {/* Kept mounted so terrain can be turned off before the source would be removed;
+            an unused raster-dem source loads no tiles */}
+        {isMapbox && (
+          <Source
+            id="mapbox-dem"
+            type="raster-dem"
+            url={TERRAIN_SOURCE_URL}
+            tileSize={512}
+            maxzoom={14}
+          />
+        )}
+        {is3D && (
+          <>
+            <Layer id="sky" type="sky" paint={{ 'sky-type': 'atmosphere' }} />
+            <NavigationControl position="top-right" visualizePitch />
+          </>
+        )}
+
+        {visibleOverlays.length > 0 && (
+          <OverlayLayers overlays={visibleOverlays} beforeId={AIRCRAFT_LAYER_ID} />
+        )}
+
+        {receiver && (
+          <ReceiverLayers
+            receiver={receiver}
+            rangeRings={rangeRings}
+            coverage={coverage}
+            coverageByAltitude={coverageByAltitude}
+            beforeId={AIRCRAFT_LAYER_ID}
+          />
+        )}
+
+        {(geofences.length > 0 || drawingGeofence) && (
+          <GeofenceLayers
+            geofences={geofences}
+            occupants={geofenceOccupants}
+            drawing={drawingGeofence}
+            onDrawn={onGeofenceDrawn}
+            onCancel={onCancelDrawing}
+            beforeId={AIRCRAFT_LAYER_ID}
+          />
+        )}
+
+        {conflicts.length > 0 && (
+          <ConflictLayers
+            conflicts={conflicts}
+            beforeId={AIRCRAFT_LAYER_ID}
+            getPosition={getPosition}
+            onDraw={onDraw}
+          />
+        )}
+
         {/* Render all aircraft tracks (only when not showing selected aircraft track) */}
         {showTracks && !selectedAircraftTrack && (
-          <Source id="aircraft-tracks" type="geojson" data={tracksGeoJSON}>
+          <Source id="aircraft-tracks" type="geojson" data={tracksGeoJSON} lineMetrics>
             <Layer
               id="tracks-layer"
               type="line"
+              layout={trailLineLayout}
               paint={{
-                'line-color': TRACK_COLOR,
+                'line-color': lineColorExpression,
                 'line-width': TRACK_WIDTH,
                 'line-opacity': TRACK_OPACITY,
               }}
@@ -305,17 +736,36 @@ function AircraftMap({
               id="selected-aircraft-track-line"
               type="geojson"
               data={selectedTrackLineGeoJSON}
+              lineMetrics
             >
               <Layer
                 id="selected-track-layer"
                 type="line"
+                layout={trailLineLayout}
                 paint={{
-                  'line-color': '#f39c12', // Orange color for selected track
+                  'line-color': lineColorExpression,
                   'line-width': 2,
                   'line-opacity': 0.7,
                 }}
               />
             </Source>
+            {/* Altitude curtain below the track line in 3D */}
+            <Source
+              id="selected-aircraft-track-curtain"
+              type="geojson"
+              data={selectedTrackCurtainGeoJSON}
+            >
+              <Layer
+                id="selected-track-curtain"
+                type="fill-extrusion"
+                paint={{
+                  'fill-extrusion-color': '#f39c12',
+                  'fill-extrusion-height': metresExpression('altitude'),
+                  'fill-extrusion-base': 0,
+                  'fill-extrusion-opacity': CURTAIN_OPACITY,
+                }}
+              />
+            </Source>
             {/* Track points as circles - size increases with zoom for visibility */}
             <Source
               id="selected-aircraft-track-points"
@@ -323,7 +773,7 @@ function AircraftMap({
               data={selectedTrackPointsGeoJSON}
             >
               <Layer
-                id="selected-track-points"
+                id={TRACK_POINTS_LAYER_ID}
                 type="circle"
                 paint={{
                   'circle-radius': [
@@ -341,52 +791,163 @@ function AircraftMap({
                   'circle-opacity': 0.95,
                 }}
               />
+              {/* Point under the cursor on the profile charts */}
+              <Layer
+                id="selected-track-point-hover"
+                type="circle"
+                filter={['==', ['get', 'index'], hoveredTrackIndex ?? -1]}
+                paint={{
+                  'circle-radius': 6,
+                  'circle-color': '#f39c12',
+                  'circle-stroke-color': '#fff',
+                  'circle-stroke-width': 2,
+                }}
+              />
             </Source>
           </>
         )}
 
-        {validAircraft.map(ac => (
-          <Marker
-            key={ac.icao24}
-            longitude={ac.longitude}
-            latitude={ac.latitude}
-            anchor="center"
-            onClick={e => {
-              e.originalEvent.stopPropagation()
-              setSelectedAircraft(ac)
+        {alertAircraft.map(ac => {
+          const [longitude, latitude] = getDrawnPosition(ac)
+          return (
+            <Marker
+              key={ac.icao24}
+              ref={follow(ac.icao24)}
+              longitude={longitude}
+              latitude={latitude}
+              anchor="center"
+              style={{ pointerEvents: 'none' }}
+            >
+              <div className="aircraft-alert-pulse" aria-hidden="true" />
+            </Marker>
+          )
+        })}
+
+        <Source
+          id={AIRCRAFT_SOURCE_ID}
+          type="geojson"
+          data={deadReckoning ? EMPTY_COLLECTION : aircraftGeoJSON}
+        >
+          {/* Watched aircraft get a ring under the icon */}
+          <Layer
+            id="aircraft-watch-layer"
+            type="circle"
+            filter={['get', 'watched']}
+            paint={{
+              'circle-radius': ['*', ['get', 'iconSize'], AIRCRAFT_MARKER_SIZE / 2 + 2],
+              'circle-color': WATCH_COLOR,
+              'circle-opacity': 0.25,
+              'circle-stroke-color': WATCH_COLOR,
+              'circle-stroke-width': 2,
+              'circle-stroke-opacity': stale ? STALE_DATA_OPACITY : 1,
+              'circle-pitch-alignment': 'map',
+            }}
+          />
+          <Layer
+            id={AIRCRAFT_LAYER_ID}
+            type="symbol"
+            layout={{
+              'icon-image': ['get', 'icon'],
+              'icon-size': ['get', 'iconSize'],
+              'icon-rotate': ['coalesce', ['get', 'track'], 0],
+              'icon-rotation-alignment': 'map',
+              'icon-allow-overlap': true,
+              'icon-ignore-placement': true,
+              ...(is3D && { 'symbol-z-elevate': true }),
+            }}
+            paint={{
+              'icon-color': aircraftColorExpression,
+              'icon-opacity': stale ? STALE_DATA_OPACITY : 1,
+              ...(is3D && { 'symbol-z-offset': AIRCRAFT_ELEVATION }),
+            }}
+          />
+          {/* Keyboard focus ring, under the enlarged icon */}
+          <Layer
+            id="aircraft-focus-layer"
+            type="circle"
+            filter={['==', ['get', 'icao24'], focusedIcao24 ?? '']}
+            paint={{
+              'circle-radius': ['*', ['get', 'iconSize'], AIRCRAFT_MARKER_SIZE_HOVER / 2 + 2],
+              'circle-opacity': 0,
+              'circle-stroke-color': '#3498db',
+              'circle-stroke-width': 2,
+              'circle-pitch-alignment': 'map',
             }}
+          />
+          <Layer
+            id="aircraft-highlight-layer"
+            type="symbol"
+            filter={['in', ['get', 'icao24'], ['literal', highlightedIcao24s]]}
+            layout={{
+              'icon-image': ['get', 'icon'],
+              'icon-size': [
+                '*',
+                ['get', 'iconSize'],
+                AIRCRAFT_MARKER_SIZE_HOVER / AIRCRAFT_MARKER_SIZE,
+              ],
+              'icon-rotate': ['coalesce', ['get', 'track'], 0],
+              'icon-rotation-alignment': 'map',
+              'icon-allow-overlap': true,
+              'icon-ignore-placement': true,
+              ...(is3D && { 'symbol-z-elevate': true }),
+            }}
+            paint={{
+              'icon-color': aircraftColorExpression,
+              'icon-opacity': stale ? STALE_DATA_OPACITY : 1,
+              ...(is3D && { 'symbol-z-offset': AIRCRAFT_ELEVATION }),
+            }}
+          />
+        </Source>
+
+        {hoveredAircraft && (
+          <Popup
+            ref={follow(hoveredAircraft.icao24)}
+            longitude={getDrawnPosition(hoveredAircraft)[0]}
+            latitude={getDrawnPosition(hoveredAircraft)[1]}
+            anchor="bottom"
+            offset={AIRCRAFT_MARKER_SIZE_HOVER / 2}
+            closeButton={false}
+            closeOnClick={false}
+            className="aircraft-tooltip"
           >
-            <div
-              className="aircraft-marker"
-              style={{
-                transform: getAircraftRotation(ac.track),
-                color: getAircraftColor(ac.lastseen),
-              }}
-              title={
-                [
-                  cleanCallsign(ac.callsign) || ac.icao24,
-                  ac.registration ? `(${ac.registration})` : null,
-                  ac.typecode ? `- ${ac.typecode}` : null,
-                ]
-                  .filter(Boolean)
-                  .join(' ')
-              }
-              role="button"
-              tabIndex={0}
-              aria-label={`Aircraft ${ac.callsign || ac.icao24} at ${formatAltitude(ac.altitude)} feet`}
-              onKeyDown={e => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                  e.preventDefault()
-                  setSelectedAircraft(ac)
-                }
-              }}
-            >
-              ✈
-            </div>
-          </Marker>
-        ))}
+            {getAircraftTitle(hoveredAircraft)}
+          </Popup>
+        )}
+
+        {airspacePopup && (
+          <Popup
+            longitude={airspacePopup.longitude}
+            latitude={airspacePopup.latitude}
+            anchor="bottom"
+            closeOnClick={false}
+            onClose={() => setAirspacePopup(null)}
+            className="airspace-popup"
+          >
+            <ul aria-label="Airspace at this point">
+              {airspacePopup.airspaces.map((airspace, index) => (
+                <li key={index}>
+                  <div className="airspace-popup-name">
+                    {airspace.name || 'Unnamed airspace'}
+                    {airspace.class && ` (${airspace.class})`}
+                  </div>
+                  <div className="airspace-popup-limits">{formatAirspaceLimits(airspace)}</div>
+                </li>
+              ))}
+            </ul>
+          </Popup>
+        )}
       </Map>
 
+      <ColorLegend mode={colorMode} aircraft={validAircraft} maxAgeMinutes={maxAgeMinutes} />
+      <div className="map-controls">
+        {baseMaps.length > 1 && (
+          <BaseMapPicker baseMaps={baseMaps} value={baseMap.id} onChange={onBaseMapChange} />
+        )}
+        {overlaySettings && <OverlayControl overlaySettings={overlaySettings} />}
+      </div>
+
+      {keyboardAircraftList}
+
       {/* Sidebar for aircraft details */}
       <div className={`aircraft-sidebar ${selectedAircraft ? 'active' : ''}`}>
         {selectedAircraft ? (
@@ -398,13 +959,38 @@ function AircraftMap({
               </h3>
               <button
                 className="close-button"
-                onClick={() => setSelectedAircraft(null)}
+                onClick={() => {
+                  setFollowedIcao24(null)
+                  onSelectAircraft(null)
+                }}
                 aria-label="Close aircraft details"
               >
                 ×
               </button>
             </div>
             <div className="sidebar-content">
+              <div className="follow-controls">
+                <button
+                  type="button"
+                  className="follow-button"
+                  onClick={() => setFollowedIcao24(isFollowing ? null : selectedIcao24)}
+                  aria-pressed={isFollowing}
+                  disabled={typeof selectedAircraft.latitude !== 'number'}
+                >
+                  {isFollowing ? 'Following' : 'Follow'}
+                </button>
+                <label htmlFor="follow-rotate" className={isFollowing ? '' : 'disabled'}>
+                  <input
+                    id="follow-rotate"
+                    type="checkbox"
+                    checked={followRotate}
+                    onChange={e => toggleFollowRotate(e.target.checked)}
+                    disabled={!isFollowing}
+                  />
+                  Rotate map to track
+                </label>
+              </div>
+
               <div className="info-group">
                 <div className="info-section-title">Aircraft Details</div>
 
@@ -517,7 +1103,86 @@ function AircraftMap({
                     <span className="value">{selectedAircraftTrack.length}</span>
                   </div>
                 )}
+
+                {selectedTrackPositions.length >= 2 && (
+                  <div className="info-row">
+                    <span className="label">
+                      <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"/>
+                      </svg>
+                      Export Track
+                    </span>
+                    <span className="track-export">
+                      {Object.entries(TRACK_FORMATS).map(([format, { label }]) => (
+                        <button
+                          key={format}
+                          type="button"
+                          onClick={() =>
+                            exportTracks(
+                              [
+                                {
+                                  icao24: selectedIcao24,
+                                  callsign: selectedAircraft.callsign,
+                                  points: selectedTrackPositions,
+                                },
+                              ],
+                              format,
+                              `adsb-track-${selectedIcao24}`
+                            )
+                          }
+                          aria-label={`Download track as ${label}`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </span>
+                  </div>
+                )}
               </div>
+
+              {selectedReception.length > 0 && (
+                <div className="info-group">
+                  <div className="info-section-title">Receivers</div>
+                  {selectedReception.map(({ serial, rssi, messages }) => (
+                    <div key={serial} className="info-row">
+                      <span className="label">
+                        <span
+                          className="reception-swatch"
+                          style={{ backgroundColor: getSensorColor(serial) }}
+                        />
+                        Receiver {serial}
+                      </span>
+                      <span className="value">
+                        {rssi === null ? 'N/A' : `${rssi.toFixed(1)} dBFS`}
+                        <span className="reception-messages">
+                          {' '}
+                          ({messages} msg{messages === 1 ? '' : 's'})
+                        </span>
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {trackProfile.length >= 2 && (
+                <div className="info-group">
+                  <div className="info-section-title">Flight Profile</div>
+                  <ProfileChart
+                    title="Altitude"
+                    data={trackProfile}
+                    series={ALTITUDE_SERIES}
+                    hoverIndex={hoveredTrackIndex}
+                    onHoverIndexChange={setHoveredTrackIndex}
+                  />
+                  <ProfileChart
+                    title="Speed and vertical rate"
+                    data={trackProfile}
+                    series={RATE_SERIES}
+                    hoverIndex={hoveredTrackIndex}
+                    onHoverIndexChange={setHoveredTrackIndex}
+                  />
+                </div>
+              )}
             </div>
           </>
         ) : (
@@ -530,6 +1195,12 @@ function AircraftMap({
   )
 }
 
+const BASE_MAP_SHAPE = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+  provider: PropTypes.oneOf(['mapbox', 'maplibre']).isRequired,
+})
+
 AircraftMap.propTypes = {
   aircraft: PropTypes.arrayOf(
     PropTypes.shape({
@@ -548,20 +1219,83 @@ AircraftMap.propTypes = {
       lastseen: PropTypes.number,
     })
   ).isRequired,
-  mapboxToken: PropTypes.string.isRequired,
+  mapboxToken: PropTypes.string,
+  baseMap: BASE_MAP_SHAPE.isRequired,
+  baseMaps: PropTypes.arrayOf(BASE_MAP_SHAPE).isRequired,
+  onBaseMapChange: PropTypes.func.isRequired,
   tracks: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number))),
   showTracks: PropTypes.bool,
   maxAgeMinutes: PropTypes.number,
   onTrackingAircraft: PropTypes.func,
   theme: PropTypes.oneOf(['light', 'dark']),
+  selectedAircraft: PropTypes.shape({
+    icao24: PropTypes.string.isRequired,
+  }),
+  onSelectAircraft: PropTypes.func.isRequired,
+  currentTime: PropTypes.number,
+  alertIcao24s: PropTypes.arrayOf(PropTypes.string),
+  watchedIcao24s: PropTypes.arrayOf(PropTypes.string),
+  colorMode: PropTypes.oneOf(Object.keys(COLOR_MODES)),
+  initialViewport: PropTypes.shape({
+    latitude: PropTypes.number.isRequired,
+    longitude: PropTypes.number.isRequired,
+    zoom: PropTypes.number.isRequired,
+  }),
+  onViewportChange: PropTypes.func,
+  receiver: PropTypes.shape({
+    latitude: PropTypes.number.isRequired,
+    longitude: PropTypes.number.isRequired,
+  }),
+  rangeRings: PropTypes.arrayOf(PropTypes.number),
+  coverage: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.number)),
+  coverageByAltitude: PropTypes.bool,
+  geofences: PropTypes.arrayOf(PropTypes.object),
+  geofenceOccupants: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)),
+  drawingGeofence: PropTypes.oneOf(['polygon', 'circle', null]),
+  onGeofenceDrawn: PropTypes.func,
+  onCancelDrawing: PropTypes.func,
+  overlaySettings: PropTypes.shape({
+    overlays: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        visible: PropTypes.bool.isRequired,
+        data: PropTypes.object,
+      })
+    ).isRequired,
+  }),
+  conflicts: PropTypes.arrayOf(PropTypes.object),
+  is3D: PropTypes.bool,
+  deadReckoning: PropTypes.bool,
+  stale: PropTypes.bool,
 }
 
 AircraftMap.defaultProps = {
+  mapboxToken: '',
   tracks: {},
   showTracks: false,
   maxAgeMinutes: 5,
   onTrackingAircraft: null,
   theme: 'light',
+  selectedAircraft: null,
+  alertIcao24s: [],
+  watchedIcao24s: [],
+  colorMode: 'age',
+  initialViewport: null,
+  onViewportChange: null,
+  receiver: null,
+  rangeRings: [],
+  coverage: null,
+  coverageByAltitude: false,
+  geofences: [],
+  geofenceOccupants: {},
+  drawingGeofence: null,
+  onGeofenceDrawn: null,
+  onCancelDrawing: null,
+  overlaySettings: null,
+  conflicts: [],
+  is3D: false,
+  deadReckoning: false,
+  stale: false,
 }
 
 export default AircraftMap
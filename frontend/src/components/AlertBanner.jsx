@@ -0,0 +1,61 @@
+import PropTypes from 'prop-types'
+import './AlertBanner.css'
+
+/**
+ * Persistent banner listing unacknowledged squawk alerts
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.alerts - Active alerts from useSquawkAlerts
+ * @param {Function} props.onAcknowledge - Called with an alert key to silence it
+ * @param {Function} props.onSelectAircraft - Called with an icao24 to show the aircraft
+ * @returns {JSX.Element|null} The alert banner, or null when there are no alerts
+ */
+function AlertBanner({ alerts, onAcknowledge, onSelectAircraft }) {
+  if (alerts.length === 0) return null
+
+  return (
+    <div className="alert-banner" role="alert" aria-label="Squawk alerts">
+      {alerts.map(alert => (
+        <div key={alert.key} className={`alert-item ${alert.isEmergency ? 'emergency' : 'watch'}`}>
+          <button
+            type="button"
+            className="alert-aircraft"
+            onClick={() => onSelectAircraft(alert.icao24)}
+            aria-label={`Show ${alert.callsign} squawking ${alert.squawk}`}
+          >
+            <span className="alert-squawk">{alert.squawk}</span>
+            <span className="alert-description">{alert.description}</span>
+            <span className="alert-callsign">
+              {alert.callsign} ({alert.icao24})
+            </span>
+          </button>
+          <button
+            type="button"
+            className="alert-acknowledge"
+            onClick={() => onAcknowledge(alert.key)}
+            aria-label={`Acknowledge squawk ${alert.squawk} alert for ${alert.callsign}`}
+          >
+            Acknowledge
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+AlertBanner.propTypes = {
+  alerts: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      icao24: PropTypes.string.isRequired,
+      callsign: PropTypes.string.isRequired,
+      squawk: PropTypes.string.isRequired,
+      isEmergency: PropTypes.bool.isRequired,
+      description: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  onAcknowledge: PropTypes.func.isRequired,
+  onSelectAircraft: PropTypes.func.isRequired,
+}
+
+export default AlertBanner
@@ -0,0 +1,49 @@
+import PropTypes from 'prop-types'
+import './BaseMapPicker.css'
+
+/**
+ * Map overlay for switching between the configured base maps
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.baseMaps - Base maps to offer, as { id, label }
+ * @param {string} props.value - Id of the current base map
+ * @param {Function} props.onChange - Called with the chosen base map id
+ * @returns {JSX.Element} The picker
+ */
+function BaseMapPicker({ baseMaps, value, onChange }) {
+  return (
+    <div className="base-map-picker">
+      <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          strokeWidth="2"
+          d="M9 20l-5.447-2.724A1 1 0 013 16.382V5.618a1 1 0 011.447-.894L9 7m0 13l6-3m-6 3V7m6 10l4.553 2.276A1 1 0 0021 18.382V7.618a1 1 0 00-.553-.894L15 4m0 13V4m0 0L9 7"
+        />
+      </svg>
+      <label htmlFor="base-map-select" className="sr-only">
+        Base map
+      </label>
+      <select id="base-map-select" value={value} onChange={e => onChange(e.target.value)}>
+        {baseMaps.map(({ id, label }) => (
+          <option key={id} value={id}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </div>
+  )
+}
+
+BaseMapPicker.propTypes = {
+  baseMaps: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+}
+
+export default BaseMapPicker
@@ -0,0 +1,101 @@
+import { useMemo } from 'react'
+import PropTypes from 'prop-types'
+import {
+  COLOR_MODES,
+  MISSING_VALUE_COLOR,
+  getAircraftCategory,
+  getColorStops,
+} from '../utils/colorScales'
+import { LEGEND_MAX_CATEGORIES } from '../constants'
+import './ColorLegend.css'
+
+/**
+ * Map overlay explaining the active colour scale
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.mode - Active colour mode key
+ * @param {Array} props.aircraft - Aircraft on the map, used to list operators or receivers
+ * @param {number} props.maxAgeMinutes - Maximum aircraft age, the end of the age scale
+ * @returns {JSX.Element} The legend
+ */
+function ColorLegend({ mode, aircraft, maxAgeMinutes }) {
+  const { label, unit } = COLOR_MODES[mode]
+  const stops = getColorStops(mode, maxAgeMinutes)
+
+  // Most common categories (operators or receivers) currently on the map
+  const categories = useMemo(() => {
+    if (getColorStops(mode, maxAgeMinutes)) return []
+    const counts = {}
+    aircraft.forEach(ac => {
+      const category = getAircraftCategory(mode, ac)
+      if (!category) return
+      counts[category.key] = counts[category.key] || { ...category, count: 0 }
+      counts[category.key].count += 1
+    })
+    return Object.values(counts)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, LEGEND_MAX_CATEGORIES)
+  }, [mode, aircraft, maxAgeMinutes])
+
+  return (
+    <div className="color-legend" aria-label={`Colour legend: ${label}`}>
+      <div className="color-legend-title">
+        {label}
+        {unit && <span className="color-legend-unit"> ({unit})</span>}
+      </div>
+      {stops ? (
+        <>
+          <div
+            className="color-legend-ramp"
+            style={{
+              background: `linear-gradient(to right, ${stops
+                .map(([value, color]) => {
+                  const position =
+                    ((value - stops[0][0]) / (stops[stops.length - 1][0] - stops[0][0])) * 100
+                  return `${color} ${position}%`
+                })
+                .join(', ')})`,
+            }}
+          />
+          <div className="color-legend-labels">
+            {stops.map(([value]) => (
+              <span key={value}>{value.toLocaleString()}</span>
+            ))}
+          </div>
+        </>
+      ) : (
+        <ul className="color-legend-swatches">
+          {categories.map(({ key, label, color, count }) => (
+            <li key={key}>
+              <span className="swatch" style={{ backgroundColor: color }} />
+              {label} <span className="color-legend-unit">({count})</span>
+            </li>
+          ))}
+          <li>
+            <span className="swatch" style={{ backgroundColor: MISSING_VALUE_COLOR }} />
+            Other / unknown
+          </li>
+        </ul>
+      )}
+      {stops && mode !== 'age' && (
+        <div className="color-legend-missing">
+          <span className="swatch" style={{ backgroundColor: MISSING_VALUE_COLOR }} />
+          No data
+        </div>
+      )}
+    </div>
+  )
+}
+
+ColorLegend.propTypes = {
+  mode: PropTypes.oneOf(Object.keys(COLOR_MODES)).isRequired,
+  aircraft: PropTypes.arrayOf(
+    PropTypes.shape({
+      icao24: PropTypes.string.isRequired,
+      callsign: PropTypes.string,
+    })
+  ).isRequired,
+  maxAgeMinutes: PropTypes.number.isRequired,
+}
+
+export default ColorLegend
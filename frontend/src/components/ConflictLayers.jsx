@@ -0,0 +1,145 @@
+import { useEffect, useMemo } from 'react'
+import PropTypes from 'prop-types'
+import { Source, Layer, useMap } from 'react-map-gl'
+import { formatClosestApproach } from '../utils/conflicts'
+import { CONFLICT_COLOR, CONFLICT_PREDICTED_COLOR, MAP_LABEL_FONT } from '../constants'
+
+const CONFLICT_LABEL_COLOR = [
+  'case',
+  ['==', ['get', 'status'], 'loss'],
+  CONFLICT_COLOR,
+  CONFLICT_PREDICTED_COLOR,
+]
+
+const CONFLICTS_SOURCE_ID = 'conflicts'
+
+/**
+ * Build the line and midpoint label features for each conflict
+ *
+ * @param {Array} conflicts - Conflicts from detectConflicts
+ * @param {Function} [getPosition] - Returns where an aircraft is drawn as [longitude, latitude],
+ *   if anywhere; aircraft without one are joined at their reported position
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function getConflictsGeoJSON(conflicts, getPosition) {
+  return {
+    type: 'FeatureCollection',
+    features: conflicts.flatMap(conflict => {
+      const positions = conflict.icao24s.map(
+        (icao24, i) => getPosition?.(icao24) ?? conflict.positions[i]
+      )
+      const [[lon1, lat1], [lon2, lat2]] = positions
+      return [
+        {
+          type: 'Feature',
+          properties: { status: conflict.status },
+          geometry: { type: 'LineString', coordinates: positions },
+        },
+        {
+          type: 'Feature',
+          properties: { status: conflict.status, label: formatClosestApproach(conflict) },
+          geometry: { type: 'Point', coordinates: [(lon1 + lon2) / 2, (lat1 + lat2) / 2] },
+        },
+      ]
+    }),
+  }
+}
+
+/**
+ * Map layers joining conflicting aircraft pairs, labelled at the midpoint with their closest
+ * approach. Pairs that have lost separation are drawn solid and predicted ones dashed.
+ * Must be rendered inside a react-map-gl Map.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.conflicts - Conflicts from detectConflicts
+ * @param {string} props.beforeId - Layer to draw beneath, so aircraft stay on top
+ * @param {Function} props.getPosition - Where an aircraft is drawn, from useDeadReckoning
+ * @param {Function} props.onDraw - Redraw subscription from useDeadReckoning, so lines stay
+ *   joined to animated aircraft
+ * @returns {JSX.Element} The conflict layers
+ */
+function ConflictLayers({ conflicts, beforeId, getPosition, onDraw }) {
+  const { current: map } = useMap()
+
+  // Only reference the layer once it exists; react-map-gl moves our layers when it appears
+  const layerBeforeId = map?.getLayer(beforeId) ? beforeId : undefined
+
+  const conflictsGeoJSON = useMemo(
+    () => getConflictsGeoJSON(conflicts, getPosition),
+    [conflicts, getPosition]
+  )
+
+  // Move the lines with the aircraft between updates, writing to the source directly
+  useEffect(() => {
+    if (!onDraw) return undefined
+    return onDraw(drawn =>
+      map
+        ?.getSource(CONFLICTS_SOURCE_ID)
+        ?.setData(getConflictsGeoJSON(conflicts, icao24 => drawn.get(icao24)))
+    )
+  }, [map, onDraw, conflicts])
+
+  return (
+    <Source id={CONFLICTS_SOURCE_ID} type="geojson" data={conflictsGeoJSON}>
+      <Layer
+        id="conflicts-loss"
+        type="line"
+        beforeId={layerBeforeId}
+        filter={['all', ['==', ['geometry-type'], 'LineString'], ['==', ['get', 'status'], 'loss']]}
+        layout={{ 'line-cap': 'round' }}
+        paint={{ 'line-color': CONFLICT_COLOR, 'line-width': 2.5 }}
+      />
+      <Layer
+        id="conflicts-predicted"
+        type="line"
+        beforeId={layerBeforeId}
+        filter={[
+          'all',
+          ['==', ['geometry-type'], 'LineString'],
+          ['==', ['get', 'status'], 'predicted'],
+        ]}
+        paint={{
+          'line-color': CONFLICT_PREDICTED_COLOR,
+          'line-width': 2.5,
+          'line-dasharray': [2, 1.5],
+        }}
+      />
+      <Layer
+        id="conflicts-label"
+        type="symbol"
+        beforeId={layerBeforeId}
+        filter={['==', ['geometry-type'], 'Point']}
+        layout={{
+          'text-field': ['get', 'label'],
+          'text-font': MAP_LABEL_FONT,
+          'text-size': 11,
+          'text-offset': [0, -0.8],
+          'text-allow-overlap': true,
+        }}
+        paint={{
+          'text-color': CONFLICT_LABEL_COLOR,
+          'text-halo-color': '#000',
+          'text-halo-width': 1,
+        }}
+      />
+    </Source>
+  )
+}
+
+ConflictLayers.propTypes = {
+  conflicts: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      icao24s: PropTypes.arrayOf(PropTypes.string).isRequired,
+      status: PropTypes.oneOf(['loss', 'predicted']).isRequired,
+      positions: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)).isRequired,
+      timeToClosest: PropTypes.number.isRequired,
+      closestLateralNm: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+  beforeId: PropTypes.string,
+  getPosition: PropTypes.func,
+  onDraw: PropTypes.func,
+}
+
+export default ConflictLayers
@@ -0,0 +1,154 @@
+import { useMemo } from 'react'
+import PropTypes from 'prop-types'
+import { formatClosestApproach } from '../utils/conflicts'
+import { cleanCallsign, formatAge, formatAltitude } from '../utils/format'
+import {
+  CONFLICT_AIRPORT_CEILING_FT,
+  CONFLICT_AIRPORT_RADIUS_NM,
+  CONFLICT_FALLBACK_CEILING_FT,
+} from '../constants'
+import './ConflictPanel.css'
+
+/**
+ * Panel listing conflicting aircraft pairs, with the separation minima and look-ahead time
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.conflictSettings - State and actions returned by useConflicts
+ * @param {Array} props.aircraft - Live aircraft, used to name the aircraft in each pair
+ * @param {Function} props.onSelectAircraft - Called with an icao24 to show an aircraft
+ * @returns {JSX.Element} The conflict panel
+ */
+function ConflictPanel({ conflictSettings, aircraft, onSelectAircraft }) {
+  const { conflicts, settings, setSettings } = conflictSettings
+
+  const callsigns = useMemo(
+    () =>
+      Object.fromEntries(
+        aircraft.filter(ac => ac.callsign).map(ac => [ac.icao24, cleanCallsign(ac.callsign)])
+      ),
+    [aircraft]
+  )
+
+  // Ignore empty or non-positive entries rather than saving them
+  const setPositive = (key, value) => {
+    const number = Number(value)
+    if (value !== '' && number > 0) setSettings({ [key]: number })
+  }
+
+  return (
+    <div className="conflict-panel" role="group" aria-label="Conflicts">
+      <div className="conflict-settings">
+        <label htmlFor="conflict-enabled" className="conflict-toggle">
+          <input
+            id="conflict-enabled"
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={e => setSettings({ enabled: e.target.checked })}
+          />
+          Detect conflicts
+        </label>
+        <label htmlFor="conflict-lateral">
+          Lateral (nm)
+          <input
+            id="conflict-lateral"
+            type="number"
+            min="0.5"
+            step="0.5"
+            defaultValue={settings.lateralNm}
+            onChange={e => setPositive('lateralNm', e.target.value)}
+          />
+        </label>
+        <label htmlFor="conflict-vertical">
+          Vertical (ft)
+          <input
+            id="conflict-vertical"
+            type="number"
+            min="100"
+            step="100"
+            defaultValue={settings.verticalFt}
+            onChange={e => setPositive('verticalFt', e.target.value)}
+          />
+        </label>
+        <label htmlFor="conflict-lookahead">
+          Look-ahead (min)
+          <input
+            id="conflict-lookahead"
+            type="number"
+            min="0.5"
+            step="0.5"
+            defaultValue={settings.lookaheadMinutes}
+            onChange={e => setPositive('lookaheadMinutes', e.target.value)}
+          />
+        </label>
+      </div>
+      <p className="conflict-note">
+        Aircraft on the ground, and below {formatAltitude(CONFLICT_AIRPORT_CEILING_FT)} ft within{' '}
+        {CONFLICT_AIRPORT_RADIUS_NM} nm of an airport in the map overlays, are not checked. With no
+        airports loaded, aircraft below {formatAltitude(CONFLICT_FALLBACK_CEILING_FT)} ft are not
+        checked.
+      </p>
+
+      {settings.enabled && conflicts.length === 0 && <p className="conflict-empty">No conflicts</p>}
+      {conflicts.length > 0 && (
+        <ul className="conflict-list" aria-live="polite">
+          {conflicts.map(conflict => (
+            <li key={conflict.id} className={conflict.status}>
+              {conflict.icao24s.map(icao24 => (
+                <button key={icao24} type="button" onClick={() => onSelectAircraft(icao24)}>
+                  {callsigns[icao24] || icao24}
+                </button>
+              ))}
+              <span className="conflict-status">
+                {conflict.status === 'loss'
+                  ? 'Separation lost'
+                  : `Loss in ${formatAge(Math.round(conflict.timeToLoss))}`}
+              </span>
+              <span className="conflict-separation">
+                {conflict.lateralNm.toFixed(1)} nm ·{' '}
+                {formatAltitude(Math.round(conflict.verticalFt))} ft
+              </span>
+              <span className="conflict-separation">
+                {formatClosestApproach(conflict)} ·{' '}
+                {formatAltitude(Math.round(conflict.closestVerticalFt))} ft
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+ConflictPanel.propTypes = {
+  conflictSettings: PropTypes.shape({
+    conflicts: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        icao24s: PropTypes.arrayOf(PropTypes.string).isRequired,
+        status: PropTypes.oneOf(['loss', 'predicted']).isRequired,
+        lateralNm: PropTypes.number.isRequired,
+        verticalFt: PropTypes.number.isRequired,
+        timeToLoss: PropTypes.number.isRequired,
+        timeToClosest: PropTypes.number.isRequired,
+        closestLateralNm: PropTypes.number.isRequired,
+        closestVerticalFt: PropTypes.number.isRequired,
+      })
+    ).isRequired,
+    settings: PropTypes.shape({
+      enabled: PropTypes.bool.isRequired,
+      lateralNm: PropTypes.number.isRequired,
+      verticalFt: PropTypes.number.isRequired,
+      lookaheadMinutes: PropTypes.number.isRequired,
+    }).isRequired,
+    setSettings: PropTypes.func.isRequired,
+  }).isRequired,
+  aircraft: PropTypes.arrayOf(
+    PropTypes.shape({
+      icao24: PropTypes.string.isRequired,
+      callsign: PropTypes.string,
+    })
+  ).isRequired,
+  onSelectAircraft: PropTypes.func.isRequired,
+}
+
+export default ConflictPanel
@@ -0,0 +1,72 @@
+import PropTypes from 'prop-types'
+import {
+  SNAPSHOT_FORMATS,
+  TRACK_FORMATS,
+  exportSnapshot,
+  exportTracks,
+  fromSessionTracks,
+} from '../utils/exportFormats'
+import './ExportPanel.css'
+
+/**
+ * Panel with downloads for the session trails and the current aircraft snapshot
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.aircraft - Current aircraft snapshot with every API field
+ * @param {Object} props.tracks - Session trails, map of icao24 to position arrays
+ * @returns {JSX.Element} The export panel
+ */
+function ExportPanel({ aircraft, tracks }) {
+  const trailCount = Object.values(tracks).filter(points => points.length >= 2).length
+
+  return (
+    <div className="export-panel" role="group" aria-label="Export data">
+      <div className="export-row">
+        <span>
+          Session trails <span className="export-count">({trailCount})</span>
+        </span>
+        {Object.entries(TRACK_FORMATS).map(([format, { label }]) => (
+          <button
+            key={format}
+            type="button"
+            onClick={() =>
+              exportTracks(fromSessionTracks(tracks, aircraft), format, 'adsb-session-trails')
+            }
+            disabled={trailCount === 0}
+            aria-label={`Download session trails as ${label}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className="export-row">
+        <span>
+          Aircraft snapshot <span className="export-count">({aircraft.length})</span>
+        </span>
+        {Object.entries(SNAPSHOT_FORMATS).map(([format, { label }]) => (
+          <button
+            key={format}
+            type="button"
+            onClick={() => exportSnapshot(aircraft, format)}
+            disabled={aircraft.length === 0}
+            aria-label={`Download aircraft snapshot as ${label}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+ExportPanel.propTypes = {
+  aircraft: PropTypes.arrayOf(
+    PropTypes.shape({
+      icao24: PropTypes.string.isRequired,
+      callsign: PropTypes.string,
+    })
+  ).isRequired,
+  tracks: PropTypes.objectOf(PropTypes.array).isRequired,
+}
+
+export default ExportPanel
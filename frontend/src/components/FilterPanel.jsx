@@ -0,0 +1,201 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { EMPTY_FILTERS, isFilterActive } from '../utils/filters'
+import './FilterPanel.css'
+
+const RANGE_FIELDS = [
+  { label: 'Altitude (ft)', min: 'altitudeMin', max: 'altitudeMax', step: 500 },
+  { label: 'Speed (kts)', min: 'speedMin', max: 'speedMax', step: 10 },
+]
+
+const TEXT_FIELDS = [
+  { key: 'type', label: 'Type contains', placeholder: 'A320, Cessna' },
+  { key: 'callsignPrefix', label: 'Callsign prefix', placeholder: 'UAL' },
+  { key: 'squawk', label: 'Squawk', placeholder: '1200' },
+]
+
+/**
+ * Panel for building attribute filters and saving them as named presets
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Current filter values
+ * @param {Function} props.onChange - Called with the new filter values
+ * @param {Object} props.presets - State and actions returned by useFilterPresets
+ * @param {Array} props.sensors - Known receivers, offered as a receiver filter
+ * @returns {JSX.Element} The filter panel
+ */
+function FilterPanel({ filters, onChange, presets, sensors }) {
+  const [presetName, setPresetName] = useState('')
+
+  const setField = (key, value) => onChange({ ...filters, [key]: value })
+
+  // Empty number inputs clear the bound rather than filtering at zero
+  const setBound = (key, value) => setField(key, value === '' ? null : Number(value))
+
+  const handleSave = e => {
+    e.preventDefault()
+    const name = presetName.trim()
+    if (!name) return
+    presets.savePreset(name, filters)
+    setPresetName('')
+  }
+
+  return (
+    <div className="filter-panel" role="group" aria-label="Aircraft filters">
+      <div className="filter-fields">
+        {RANGE_FIELDS.map(({ label, min, max, step }) => (
+          <fieldset key={min} className="filter-range">
+            <legend>{label}</legend>
+            <label htmlFor={`filter-${min}`} className="sr-only">
+              Minimum {label}
+            </label>
+            <input
+              id={`filter-${min}`}
+              type="number"
+              min={0}
+              step={step}
+              placeholder="Min"
+              value={filters[min] ?? ''}
+              onChange={e => setBound(min, e.target.value)}
+            />
+            <span aria-hidden="true">–</span>
+            <label htmlFor={`filter-${max}`} className="sr-only">
+              Maximum {label}
+            </label>
+            <input
+              id={`filter-${max}`}
+              type="number"
+              min={0}
+              step={step}
+              placeholder="Max"
+              value={filters[max] ?? ''}
+              onChange={e => setBound(max, e.target.value)}
+            />
+          </fieldset>
+        ))}
+        {TEXT_FIELDS.map(({ key, label, placeholder }) => (
+          <div key={key} className="filter-text">
+            <label htmlFor={`filter-${key}`}>{label}</label>
+            <input
+              id={`filter-${key}`}
+              type="text"
+              placeholder={placeholder}
+              value={filters[key]}
+              onChange={e => setField(key, e.target.value)}
+            />
+          </div>
+        ))}
+        <div className="filter-text">
+          <label htmlFor="filter-sensor">Receiver</label>
+          <select
+            id="filter-sensor"
+            value={filters.sensor}
+            onChange={e => setField('sensor', e.target.value)}
+          >
+            <option value="">Any</option>
+            {sensors.map(({ serial }) => (
+              <option key={serial} value={String(serial)}>
+                {serial}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-text">
+          <label htmlFor="filter-on-ground">On ground</label>
+          <select
+            id="filter-on-ground"
+            value={filters.onGround}
+            onChange={e => setField('onGround', e.target.value)}
+          >
+            <option value="">Any</option>
+            <option value="ground">On the ground</option>
+            <option value="airborne">Airborne</option>
+          </select>
+        </div>
+        <label htmlFor="filter-has-position" className="filter-checkbox">
+          <input
+            id="filter-has-position"
+            type="checkbox"
+            checked={filters.hasPosition}
+            onChange={e => setField('hasPosition', e.target.checked)}
+          />
+          Has position
+        </label>
+        <button
+          type="button"
+          onClick={() => onChange(EMPTY_FILTERS)}
+          disabled={!isFilterActive(filters)}
+        >
+          Clear
+        </button>
+      </div>
+
+      <form className="filter-presets" onSubmit={handleSave}>
+        <label htmlFor="filter-preset-name" className="sr-only">
+          Preset name
+        </label>
+        <input
+          id="filter-preset-name"
+          type="text"
+          placeholder="Preset name"
+          value={presetName}
+          onChange={e => setPresetName(e.target.value)}
+        />
+        <button type="submit" disabled={!presetName.trim() || !isFilterActive(filters)}>
+          Save preset
+        </button>
+        {Object.keys(presets.presets).length > 0 && (
+          <ul className="filter-preset-list">
+            {Object.keys(presets.presets).map(name => (
+              <li key={name}>
+                <button
+                  type="button"
+                  className="filter-preset-apply"
+                  onClick={() => onChange(presets.getPreset(name))}
+                >
+                  {name}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => presets.deletePreset(name)}
+                  aria-label={`Delete preset ${name}`}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </form>
+    </div>
+  )
+}
+
+FilterPanel.propTypes = {
+  filters: PropTypes.shape({
+    altitudeMin: PropTypes.number,
+    altitudeMax: PropTypes.number,
+    speedMin: PropTypes.number,
+    speedMax: PropTypes.number,
+    type: PropTypes.string.isRequired,
+    callsignPrefix: PropTypes.string.isRequired,
+    squawk: PropTypes.string.isRequired,
+    hasPosition: PropTypes.bool.isRequired,
+    sensor: PropTypes.string.isRequired,
+    onGround: PropTypes.string.isRequired,
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  presets: PropTypes.shape({
+    presets: PropTypes.objectOf(PropTypes.object).isRequired,
+    savePreset: PropTypes.func.isRequired,
+    deletePreset: PropTypes.func.isRequired,
+    getPreset: PropTypes.func.isRequired,
+  }).isRequired,
+  sensors: PropTypes.arrayOf(
+    PropTypes.shape({
+      serial: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+}
+
+export default FilterPanel
@@ -0,0 +1,238 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react'
+import PropTypes from 'prop-types'
+import { Source, Layer, useMap } from 'react-map-gl'
+import { buildGeofencesGeoJSON, getGeofenceRing } from '../utils/geofences'
+import { distanceNm } from '../utils/geo'
+import { GEOFENCE_COLOR, GEOFENCE_OCCUPIED_COLOR, MAP_LABEL_FONT } from '../constants'
+import './GeofenceLayers.css'
+
+// Clicks closer than this many pixels to the last vertex, e.g. a double-click, add no vertex
+const DUPLICATE_VERTEX_PX = 5
+
+/**
+ * Map layers drawing geofences, and the interaction for drawing a new one
+ * Polygons are drawn by clicking each vertex and finished with a double-click or Enter;
+ * circles by clicking the centre and then a point on the edge. Escape cancels.
+ * Must be rendered inside a react-map-gl Map.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.geofences - Geofences to draw (see utils/geofences)
+ * @param {Object} props.occupants - Aircraft inside each geofence, keyed by geofence id
+ * @param {string} props.drawing - Shape being drawn ('polygon' or 'circle'), or null
+ * @param {Function} props.onDrawn - Called with the finished polygon or circle shape
+ * @param {Function} props.onCancel - Called when drawing is cancelled
+ * @param {string} props.beforeId - Layer to draw beneath, so aircraft stay on top
+ * @returns {JSX.Element} The geofence layers
+ */
+function GeofenceLayers({ geofences, occupants, drawing = null, onDrawn, onCancel, beforeId }) {
+  const { current: map } = useMap()
+  const [vertices, setVertices] = useState([])
+  const [cursor, setCursor] = useState(null)
+  // Mirrors vertices for map handlers, as a double-click fires before React re-renders
+  const verticesRef = useRef([])
+
+  // Only reference the layer once it exists; react-map-gl moves our layers when it appears
+  const layerBeforeId = map?.getLayer(beforeId) ? beforeId : undefined
+
+  const updateVertices = useCallback(next => {
+    verticesRef.current = next
+    setVertices(next)
+  }, [])
+
+  // Start each shape afresh
+  useEffect(
+    () => () => {
+      updateVertices([])
+      setCursor(null)
+    },
+    [drawing, updateVertices]
+  )
+
+  useEffect(() => {
+    if (!drawing || !map) return undefined
+
+    const finishPolygon = () => {
+      if (verticesRef.current.length >= 3)
+        onDrawn({ type: 'polygon', coordinates: verticesRef.current })
+    }
+
+    const handleClick = evt => {
+      const point = [evt.lngLat.lng, evt.lngLat.lat]
+      const current = verticesRef.current
+
+      if (drawing === 'circle' && current.length === 1) {
+        const [longitude, latitude] = current[0]
+        const radiusNm = distanceNm(latitude, longitude, point[1], point[0])
+        if (radiusNm > 0) onDrawn({ type: 'circle', center: current[0], radiusNm })
+        return
+      }
+
+      const last = current[current.length - 1]
+      if (last) {
+        const { x, y } = map.project(last)
+        if (Math.hypot(evt.point.x - x, evt.point.y - y) < DUPLICATE_VERTEX_PX) return
+      }
+      updateVertices([...current, point])
+    }
+
+    const handleMouseMove = evt => setCursor([evt.lngLat.lng, evt.lngLat.lat])
+
+    const handleKeyDown = evt => {
+      if (evt.key === 'Escape') onCancel()
+      if (evt.key === 'Enter' && drawing === 'polygon') finishPolygon()
+    }
+
+    map.on('click', handleClick)
+    map.on('mousemove', handleMouseMove)
+    if (drawing === 'polygon') map.on('dblclick', finishPolygon)
+    window.addEventListener('keydown', handleKeyDown)
+
+    return () => {
+      map.off('click', handleClick)
+      map.off('mousemove', handleMouseMove)
+      map.off('dblclick', finishPolygon)
+      window.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [map, drawing, onDrawn, onCancel, updateVertices])
+
+  const geofencesGeoJSON = useMemo(
+    () => buildGeofencesGeoJSON(geofences, occupants),
+    [geofences, occupants]
+  )
+
+  // Outline of the shape being drawn, following the cursor
+  const draftGeoJSON = useMemo(() => {
+    const points = cursor ? [...vertices, cursor] : vertices
+    const features = vertices.map(coordinates => ({
+      type: 'Feature',
+      properties: {},
+      geometry: { type: 'Point', coordinates },
+    }))
+
+    if (drawing === 'circle' && vertices.length === 1 && cursor) {
+      const [longitude, latitude] = vertices[0]
+      const radiusNm = distanceNm(latitude, longitude, cursor[1], cursor[0])
+      features.push({
+        type: 'Feature',
+        properties: {},
+        geometry: {
+          type: 'Polygon',
+          coordinates: [getGeofenceRing({ type: 'circle', center: vertices[0], radiusNm })],
+        },
+      })
+    } else if (drawing === 'polygon' && points.length >= 2) {
+      features.push({
+        type: 'Feature',
+        properties: {},
+        geometry:
+          points.length >= 3
+            ? { type: 'Polygon', coordinates: [[...points, points[0]]] }
+            : { type: 'LineString', coordinates: points },
+      })
+    }
+
+    return { type: 'FeatureCollection', features }
+  }, [drawing, vertices, cursor])
+
+  const hint =
+    drawing === 'circle'
+      ? vertices.length === 0
+        ? 'Click the centre of the circle'
+        : 'Click to set the radius'
+      : vertices.length < 3
+        ? 'Click to add corners'
+        : 'Double-click or press Enter to finish'
+
+  return (
+    <>
+      <Source id="geofences" type="geojson" data={geofencesGeoJSON}>
+        <Layer
+          id="geofences-fill"
+          type="fill"
+          beforeId={layerBeforeId}
+          filter={['==', ['geometry-type'], 'Polygon']}
+          paint={{
+            'fill-color': ['case', ['get', 'occupied'], GEOFENCE_OCCUPIED_COLOR, GEOFENCE_COLOR],
+            'fill-opacity': ['case', ['get', 'occupied'], 0.18, 0.08],
+          }}
+        />
+        <Layer
+          id="geofences-outline"
+          type="line"
+          beforeId={layerBeforeId}
+          filter={['==', ['geometry-type'], 'Polygon']}
+          paint={{
+            'line-color': ['case', ['get', 'occupied'], GEOFENCE_OCCUPIED_COLOR, GEOFENCE_COLOR],
+            'line-width': 2,
+            'line-opacity': 0.8,
+          }}
+        />
+        <Layer
+          id="geofences-label"
+          type="symbol"
+          beforeId={layerBeforeId}
+          filter={['==', ['geometry-type'], 'Point']}
+          layout={{
+            'text-field': ['get', 'label'],
+            'text-font': MAP_LABEL_FONT,
+            'text-size': 12,
+          }}
+          paint={{ 'text-color': GEOFENCE_COLOR, 'text-halo-color': '#000', 'text-halo-width': 1 }}
+        />
+      </Source>
+
+      {drawing && (
+        <>
+          <Source id="geofence-draft" type="geojson" data={draftGeoJSON}>
+            <Layer
+              id="geofence-draft-fill"
+              type="fill"
+              filter={['==', ['geometry-type'], 'Polygon']}
+              paint={{ 'fill-color': GEOFENCE_COLOR, 'fill-opacity': 0.15 }}
+            />
+            <Layer
+              id="geofence-draft-outline"
+              type="line"
+              filter={['!=', ['geometry-type'], 'Point']}
+              paint={{ 'line-color': GEOFENCE_COLOR, 'line-width': 2, 'line-dasharray': [3, 2] }}
+            />
+            <Layer
+              id="geofence-draft-vertices"
+              type="circle"
+              filter={['==', ['geometry-type'], 'Point']}
+              paint={{
+                'circle-radius': 4,
+                'circle-color': GEOFENCE_COLOR,
+                'circle-stroke-color': '#fff',
+                'circle-stroke-width': 1.5,
+              }}
+            />
+          </Source>
+          <div className="geofence-draw-hint" role="status">
+            <span>{hint}</span>
+            <button type="button" onClick={onCancel}>
+              Cancel
+            </button>
+          </div>
+        </>
+      )}
+    </>
+  )
+}
+
+GeofenceLayers.propTypes = {
+  geofences: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      type: PropTypes.oneOf(['polygon', 'circle']).isRequired,
+    })
+  ).isRequired,
+  occupants: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
+  drawing: PropTypes.oneOf(['polygon', 'circle', null]),
+  onDrawn: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  beforeId: PropTypes.string,
+}
+
+export default GeofenceLayers
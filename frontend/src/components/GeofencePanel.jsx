@@ -0,0 +1,292 @@
+import { useState, useRef, useMemo } from 'react'
+import PropTypes from 'prop-types'
+import { geofencesToGeoJSON, parseGeofences } from '../utils/geofences'
+import { SNAPSHOT_FORMATS, exportGeofenceEvents } from '../utils/exportFormats'
+import { downloadFile } from '../utils/download'
+import { cleanCallsign, formatAltitude } from '../utils/format'
+import './GeofencePanel.css'
+
+/**
+ * Describe a geofence's altitude limits
+ *
+ * @param {number|null} floor - Floor in feet, or null
+ * @param {number|null} ceiling - Ceiling in feet, or null
+ * @returns {string} e.g. "1,000–5,000 ft" or "All altitudes"
+ */
+function formatLimits(floor, ceiling) {
+  if (floor !== null && ceiling !== null) {
+    return `${formatAltitude(floor)}–${formatAltitude(ceiling)} ft`
+  }
+  if (floor !== null) return `Above ${formatAltitude(floor)} ft`
+  if (ceiling !== null) return `Below ${formatAltitude(ceiling)} ft`
+  return 'All altitudes'
+}
+
+/**
+ * Panel for drawing and importing geofences, with their occupancy and the entry/exit log
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.geofenceSettings - State and actions returned by useGeofences
+ * @param {Array} props.aircraft - Live aircraft, used to name the aircraft inside each geofence
+ * @param {string} props.drawing - Shape being drawn on the map ('polygon' or 'circle'), or null
+ * @param {Function} props.onDraw - Called with { shape, name, floor, ceiling } to start drawing
+ * @param {Function} props.onCancelDrawing - Called to stop drawing
+ * @param {Function} props.onSelectAircraft - Called with an icao24 to show an aircraft
+ * @returns {JSX.Element} The geofence panel
+ */
+function GeofencePanel({
+  geofenceSettings,
+  aircraft,
+  drawing = null,
+  onDraw,
+  onCancelDrawing,
+  onSelectAircraft,
+}) {
+  const [name, setName] = useState('')
+  const [floor, setFloor] = useState('')
+  const [ceiling, setCeiling] = useState('')
+  const [importError, setImportError] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const { geofences, occupants, events } = geofenceSettings
+
+  const callsigns = useMemo(
+    () =>
+      Object.fromEntries(
+        aircraft.filter(ac => ac.callsign).map(ac => [ac.icao24, cleanCallsign(ac.callsign)])
+      ),
+    [aircraft]
+  )
+
+  const limitsValid = floor === '' || ceiling === '' || Number(floor) < Number(ceiling)
+
+  const startDrawing = shape => {
+    onDraw({ shape, name, floor, ceiling })
+    setName('')
+  }
+
+  const handleExport = () => {
+    downloadFile(
+      'geofences.geojson',
+      JSON.stringify(geofencesToGeoJSON(geofences), null, 2),
+      'application/geo+json'
+    )
+  }
+
+  const handleImport = async e => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      geofenceSettings.importGeofences(parseGeofences(JSON.parse(await file.text())))
+      setImportError(null)
+    } catch (err) {
+      setImportError(err.message)
+    }
+  }
+
+  return (
+    <div className="geofence-panel" role="group" aria-label="Geofences">
+      <div className="geofence-add">
+        <label htmlFor="geofence-name" className="sr-only">
+          Name
+        </label>
+        <input
+          id="geofence-name"
+          type="text"
+          placeholder="Name"
+          value={name}
+          onChange={e => setName(e.target.value)}
+        />
+        <label htmlFor="geofence-floor" className="sr-only">
+          Floor in feet
+        </label>
+        <input
+          id="geofence-floor"
+          type="number"
+          min="0"
+          step="100"
+          placeholder="Floor (ft)"
+          value={floor}
+          onChange={e => setFloor(e.target.value)}
+        />
+        <label htmlFor="geofence-ceiling" className="sr-only">
+          Ceiling in feet
+        </label>
+        <input
+          id="geofence-ceiling"
+          type="number"
+          min="0"
+          step="100"
+          placeholder="Ceiling (ft)"
+          value={ceiling}
+          onChange={e => setCeiling(e.target.value)}
+          aria-invalid={!limitsValid}
+        />
+        {drawing ? (
+          <button type="button" onClick={onCancelDrawing}>
+            Cancel drawing
+          </button>
+        ) : (
+          <>
+            <button type="button" onClick={() => startDrawing('polygon')} disabled={!limitsValid}>
+              Draw area
+            </button>
+            <button type="button" onClick={() => startDrawing('circle')} disabled={!limitsValid}>
+              Draw circle
+            </button>
+          </>
+        )}
+        <button type="button" onClick={handleExport} disabled={geofences.length === 0}>
+          Export
+        </button>
+        <button type="button" onClick={() => fileInputRef.current.click()}>
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/geo+json,application/json,.geojson,.json"
+          onChange={handleImport}
+          hidden
+        />
+        <label htmlFor="geofence-notifications" className="geofence-notify">
+          <input
+            id="geofence-notifications"
+            type="checkbox"
+            checked={geofenceSettings.notificationsEnabled}
+            onChange={e => geofenceSettings.setNotificationsEnabled(e.target.checked)}
+          />
+          Notify on entry/exit
+        </label>
+        {importError && (
+          <span className="error" role="alert">
+            Import failed: {importError}
+          </span>
+        )}
+      </div>
+
+      {geofences.length > 0 && (
+        <ul className="geofence-list">
+          {geofences.map(geofence => {
+            const inside = occupants[geofence.id] ?? []
+            return (
+              <li key={geofence.id}>
+                <span className="geofence-name">{geofence.name}</span>
+                <span className="geofence-limits">
+                  {formatLimits(geofence.floor, geofence.ceiling)}
+                </span>
+                <span className="geofence-count" aria-label={`${inside.length} aircraft inside`}>
+                  {inside.length}
+                </span>
+                {inside.map(icao24 => (
+                  <button
+                    key={icao24}
+                    type="button"
+                    className="geofence-occupant"
+                    onClick={() => onSelectAircraft(icao24)}
+                  >
+                    {callsigns[icao24] || icao24}
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  className="geofence-remove"
+                  onClick={() => geofenceSettings.removeGeofence(geofence.id)}
+                  aria-label={`Remove geofence ${geofence.name}`}
+                >
+                  ×
+                </button>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      <div className="geofence-events-header">
+        <span>
+          Events <span className="geofence-count">({events.length})</span>
+        </span>
+        {Object.entries(SNAPSHOT_FORMATS).map(([format, { label }]) => (
+          <button
+            key={format}
+            type="button"
+            onClick={() => exportGeofenceEvents(events, format)}
+            disabled={events.length === 0}
+            aria-label={`Download geofence events as ${label}`}
+          >
+            {label}
+          </button>
+        ))}
+        <button type="button" onClick={geofenceSettings.clearEvents} disabled={events.length === 0}>
+          Clear
+        </button>
+      </div>
+      {events.length > 0 && (
+        <ol className="geofence-events" aria-live="polite">
+          {events.map(event => (
+            <li key={event.id} className={event.type}>
+              <time dateTime={new Date(event.time * 1000).toISOString()}>
+                {new Date(event.time * 1000).toLocaleTimeString()}
+              </time>
+              <button type="button" onClick={() => onSelectAircraft(event.icao24)}>
+                {event.callsign ? cleanCallsign(event.callsign) : event.icao24}
+              </button>
+              <span>
+                {event.type === 'entry' ? 'entered' : 'left'} {event.geofenceName}
+                {event.signalLost && ' (signal lost)'}
+              </span>
+              {event.altitude !== null && (
+                <span className="geofence-limits">{formatAltitude(event.altitude)} ft</span>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+GeofencePanel.propTypes = {
+  geofenceSettings: PropTypes.shape({
+    geofences: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        name: PropTypes.string.isRequired,
+        floor: PropTypes.number,
+        ceiling: PropTypes.number,
+      })
+    ).isRequired,
+    occupants: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
+    events: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        time: PropTypes.number.isRequired,
+        type: PropTypes.oneOf(['entry', 'exit']).isRequired,
+        geofenceName: PropTypes.string.isRequired,
+        icao24: PropTypes.string.isRequired,
+        callsign: PropTypes.string,
+        altitude: PropTypes.number,
+        signalLost: PropTypes.bool.isRequired,
+      })
+    ).isRequired,
+    removeGeofence: PropTypes.func.isRequired,
+    importGeofences: PropTypes.func.isRequired,
+    clearEvents: PropTypes.func.isRequired,
+    notificationsEnabled: PropTypes.bool.isRequired,
+    setNotificationsEnabled: PropTypes.func.isRequired,
+  }).isRequired,
+  aircraft: PropTypes.arrayOf(
+    PropTypes.shape({
+      icao24: PropTypes.string.isRequired,
+      callsign: PropTypes.string,
+    })
+  ).isRequired,
+  drawing: PropTypes.oneOf(['polygon', 'circle', null]),
+  onDraw: PropTypes.func.isRequired,
+  onCancelDrawing: PropTypes.func.isRequired,
+  onSelectAircraft: PropTypes.func.isRequired,
+}
+
+export default GeofencePanel
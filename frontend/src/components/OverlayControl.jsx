@@ -0,0 +1,111 @@
+import { useState, useRef } from 'react'
+import PropTypes from 'prop-types'
+import './OverlayControl.css'
+
+/**
+ * Map overlay listing aeronautical overlays with toggles, and loading more from files
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.overlaySettings - State and actions returned by useOverlays
+ * @returns {JSX.Element} The overlay control
+ */
+function OverlayControl({ overlaySettings }) {
+  const [fileError, setFileError] = useState(null)
+  const fileInputRef = useRef(null)
+  const { overlays } = overlaySettings
+
+  const handleFile = async e => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      await overlaySettings.addFile(file)
+      setFileError(null)
+    } catch (err) {
+      setFileError(err.message)
+    }
+  }
+
+  return (
+    <details className="overlay-control">
+      <summary>
+        <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth="2"
+            d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10"
+          />
+        </svg>
+        Overlays
+      </summary>
+      <ul>
+        {overlays.map(overlay => (
+          <li key={overlay.id}>
+            <label htmlFor={`overlay-${overlay.id}`}>
+              <input
+                id={`overlay-${overlay.id}`}
+                type="checkbox"
+                checked={overlay.visible}
+                onChange={e => overlaySettings.setVisible(overlay.id, e.target.checked)}
+                disabled={!overlay.data}
+              />
+              {overlay.label}
+            </label>
+            {overlay.error && (
+              <span className="error" title={overlay.error}>
+                failed
+              </span>
+            )}
+            {!overlay.data && !overlay.error && <span className="overlay-status">loading</span>}
+            {overlay.removable && (
+              <button
+                type="button"
+                onClick={() => overlaySettings.removeOverlay(overlay.id)}
+                aria-label={`Remove overlay ${overlay.label}`}
+              >
+                ×
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      <button type="button" className="overlay-add" onClick={() => fileInputRef.current.click()}>
+        Add GeoJSON or OpenAir file…
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".geojson,.json,.txt,.air,.openair,application/geo+json,application/json,text/plain"
+        onChange={handleFile}
+        hidden
+      />
+      {fileError && (
+        <span className="error" role="alert">
+          {fileError}
+        </span>
+      )}
+    </details>
+  )
+}
+
+OverlayControl.propTypes = {
+  overlaySettings: PropTypes.shape({
+    overlays: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        label: PropTypes.string.isRequired,
+        removable: PropTypes.bool.isRequired,
+        visible: PropTypes.bool.isRequired,
+        data: PropTypes.object,
+        error: PropTypes.string,
+      })
+    ).isRequired,
+    addFile: PropTypes.func.isRequired,
+    removeOverlay: PropTypes.func.isRequired,
+    setVisible: PropTypes.func.isRequired,
+  }).isRequired,
+}
+
+export default OverlayControl
@@ -0,0 +1,102 @@
+import PropTypes from 'prop-types'
+import { Source, Layer, useMap } from 'react-map-gl'
+import { getAirspaceColorExpression, getAirspaceLayerId } from '../utils/overlays'
+import { MAP_LABEL_FONT, OVERLAY_COLOR } from '../constants'
+
+const AIRSPACE_COLOR = getAirspaceColorExpression()
+const IS_POLYGON = ['match', ['geometry-type'], ['Polygon', 'MultiPolygon'], true, false]
+const IS_LINE = ['match', ['geometry-type'], ['LineString', 'MultiLineString'], true, false]
+const IS_POINT = ['match', ['geometry-type'], ['Point', 'MultiPoint'], true, false]
+
+/**
+ * Map layers for aeronautical overlays
+ * Polygons are drawn as airspace coloured by class, lines as runways and points as airports,
+ * each labelled with its name. Must be rendered inside a react-map-gl Map.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.overlays - Overlays to draw as { id, data } with GeoJSON data
+ * @param {string} props.beforeId - Layer to draw beneath, so aircraft stay on top
+ * @returns {JSX.Element} The overlay layers
+ */
+function OverlayLayers({ overlays, beforeId }) {
+  const { current: map } = useMap()
+
+  // Only reference the layer once it exists; react-map-gl moves our layers when it appears
+  const layerBeforeId = map?.getLayer(beforeId) ? beforeId : undefined
+
+  return (
+    <>
+      {overlays.map(({ id, data }) => (
+        <Source key={id} id={`overlay-${id}`} type="geojson" data={data}>
+          <Layer
+            id={getAirspaceLayerId(id)}
+            type="fill"
+            beforeId={layerBeforeId}
+            filter={IS_POLYGON}
+            paint={{ 'fill-color': AIRSPACE_COLOR, 'fill-opacity': 0.06 }}
+          />
+          <Layer
+            id={`overlay-${id}-outline`}
+            type="line"
+            beforeId={layerBeforeId}
+            filter={IS_POLYGON}
+            paint={{ 'line-color': AIRSPACE_COLOR, 'line-width': 1.5, 'line-opacity': 0.8 }}
+          />
+          <Layer
+            id={`overlay-${id}-line`}
+            type="line"
+            beforeId={layerBeforeId}
+            filter={IS_LINE}
+            layout={{ 'line-cap': 'round' }}
+            paint={{
+              'line-color': OVERLAY_COLOR,
+              'line-width': ['interpolate', ['linear'], ['zoom'], 8, 1.5, 14, 8],
+            }}
+          />
+          <Layer
+            id={`overlay-${id}-point`}
+            type="circle"
+            beforeId={layerBeforeId}
+            filter={IS_POINT}
+            paint={{
+              'circle-radius': 4,
+              'circle-color': OVERLAY_COLOR,
+              'circle-stroke-color': '#fff',
+              'circle-stroke-width': 1.5,
+            }}
+          />
+          <Layer
+            id={`overlay-${id}-label`}
+            type="symbol"
+            beforeId={layerBeforeId}
+            filter={['!=', ['get', 'name'], '']}
+            layout={{
+              'text-field': ['get', 'name'],
+              'text-font': MAP_LABEL_FONT,
+              'text-size': 11,
+              'text-offset': ['case', IS_POINT, ['literal', [0, 1]], ['literal', [0, 0]]],
+              'text-anchor': ['case', IS_POINT, 'top', 'center'],
+            }}
+            paint={{
+              'text-color': ['case', IS_POLYGON, AIRSPACE_COLOR, OVERLAY_COLOR],
+              'text-halo-color': '#fff',
+              'text-halo-width': 1,
+            }}
+          />
+        </Source>
+      ))}
+    </>
+  )
+}
+
+OverlayLayers.propTypes = {
+  overlays: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      data: PropTypes.object.isRequired,
+    })
+  ).isRequired,
+  beforeId: PropTypes.string,
+}
+
+export default OverlayLayers
@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import { PLAYBACK_SPEEDS, PLAYBACK_STEP_SECONDS } from '../constants'
+import './PlaybackControls.css'
+
+/**
+ * Convert a Unix timestamp to the local "YYYY-MM-DDTHH:mm" format used by datetime-local inputs
+ *
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {string} Local datetime string
+ */
+function toDateTimeLocal(timestamp) {
+  const date = new Date(timestamp * 1000)
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset())
+  return date.toISOString().slice(0, 16)
+}
+
+/**
+ * Convert a datetime-local input value back to a Unix timestamp
+ *
+ * @param {string} value - Local datetime string
+ * @returns {number} Unix timestamp in seconds
+ */
+function fromDateTimeLocal(value) {
+  return Math.floor(new Date(value).getTime() / 1000)
+}
+
+/**
+ * Controls for historical playback: time window, transport buttons, speed and timeline scrubber
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.playback - State and controls returned by usePlayback
+ * @returns {JSX.Element} The playback control bar
+ */
+function PlaybackControls({ playback }) {
+  const { range, currentTime, isPlaying, speed, loading, error, isLoaded, available } = playback
+  const [windowStart, setWindowStart] = useState(() => toDateTimeLocal(range.start))
+  const [windowEnd, setWindowEnd] = useState(() => toDateTimeLocal(range.end))
+
+  // Show the window that was actually loaded, which is clamped to the stored history
+  useEffect(() => {
+    setWindowStart(toDateTimeLocal(range.start))
+    setWindowEnd(toDateTimeLocal(range.end))
+  }, [range])
+
+  const historyMin = available ? toDateTimeLocal(available.start) : undefined
+  const historyMax = available ? toDateTimeLocal(available.end) : undefined
+
+  const windowValid = windowStart && windowEnd && windowStart < windowEnd
+
+  return (
+    <div className="playback-controls" role="group" aria-label="Playback controls">
+      <form
+        className="playback-window"
+        onSubmit={e => {
+          e.preventDefault()
+          if (windowValid) {
+            playback.load(fromDateTimeLocal(windowStart), fromDateTimeLocal(windowEnd))
+          }
+        }}
+      >
+        <label htmlFor="playback-start">From: </label>
+        <input
+          id="playback-start"
+          type="datetime-local"
+          value={windowStart}
+          min={historyMin}
+          max={historyMax}
+          onChange={e => setWindowStart(e.target.value)}
+        />
+        <label htmlFor="playback-end">To: </label>
+        <input
+          id="playback-end"
+          type="datetime-local"
+          value={windowEnd}
+          min={historyMin}
+          max={historyMax}
+          onChange={e => setWindowEnd(e.target.value)}
+        />
+        <button type="submit" disabled={!windowValid || loading}>
+          {loading ? 'Loading...' : 'Load'}
+        </button>
+        {error && (
+          <span className="error" role="alert">
+            Error: {error}
+          </span>
+        )}
+      </form>
+
+      <p className="playback-history">
+        {available
+          ? `Stored history starts ${new Date(available.start * 1000).toLocaleString()}. `
+          : 'No stored history. '}
+        Only aircraft the server is still tracking can be replayed; their positions are dropped once
+        they are no longer heard.
+      </p>
+
+      <div className="playback-transport">
+        <button
+          type="button"
+          onClick={() => playback.step(-PLAYBACK_STEP_SECONDS)}
+          disabled={!isLoaded}
+          aria-label={`Step back ${PLAYBACK_STEP_SECONDS} seconds`}
+        >
+          ⏮
+        </button>
+        <button
+          type="button"
+          onClick={isPlaying ? playback.pause : playback.play}
+          disabled={!isLoaded}
+          aria-label={isPlaying ? 'Pause playback' : 'Play'}
+        >
+          {isPlaying ? '⏸' : '▶'}
+        </button>
+        <button
+          type="button"
+          onClick={() => playback.step(PLAYBACK_STEP_SECONDS)}
+          disabled={!isLoaded}
+          aria-label={`Step forward ${PLAYBACK_STEP_SECONDS} seconds`}
+        >
+          ⏭
+        </button>
+        <label htmlFor="playback-speed" className="sr-only">
+          Playback speed
+        </label>
+        <select
+          id="playback-speed"
+          value={speed}
+          onChange={e => playback.setSpeed(Number(e.target.value))}
+        >
+          {PLAYBACK_SPEEDS.map(value => (
+            <option key={value} value={value}>
+              {value}x
+            </option>
+          ))}
+        </select>
+        <label htmlFor="playback-timeline" className="sr-only">
+          Playback time
+        </label>
+        <input
+          id="playback-timeline"
+          className="playback-timeline"
+          type="range"
+          min={range.start}
+          max={range.end}
+          step={1}
+          value={currentTime}
+          onChange={e => playback.seek(Number(e.target.value))}
+          disabled={!isLoaded}
+          aria-valuetext={new Date(currentTime * 1000).toLocaleString()}
+        />
+        <span className="playback-time" aria-live="off">
+          {new Date(currentTime * 1000).toLocaleTimeString()}
+        </span>
+      </div>
+    </div>
+  )
+}
+
+PlaybackControls.propTypes = {
+  playback: PropTypes.shape({
+    range: PropTypes.shape({
+      start: PropTypes.number.isRequired,
+      end: PropTypes.number.isRequired,
+    }).isRequired,
+    currentTime: PropTypes.number.isRequired,
+    isPlaying: PropTypes.bool.isRequired,
+    speed: PropTypes.number.isRequired,
+    loading: PropTypes.bool.isRequired,
+    error: PropTypes.string,
+    isLoaded: PropTypes.bool.isRequired,
+    available: PropTypes.shape({
+      start: PropTypes.number.isRequired,
+      end: PropTypes.number.isRequired,
+    }),
+    load: PropTypes.func.isRequired,
+    play: PropTypes.func.isRequired,
+    pause: PropTypes.func.isRequired,
+    seek: PropTypes.func.isRequired,
+    step: PropTypes.func.isRequired,
+    setSpeed: PropTypes.func.isRequired,
+  }).isRequired,
+}
+
+export default PlaybackControls
@@ -0,0 +1,257 @@
+import { useMemo } from 'react'
+import PropTypes from 'prop-types'
+import './ProfileChart.css'
+
+const WIDTH = 320
+const HEIGHT = 110
+const PADDING = { top: 8, bottom: 18, left: 44, right: 44 }
+
+/**
+ * Value range of a series, padded when flat so the line sits mid-chart
+ *
+ * @param {Array<number|null>} values - Series values
+ * @returns {Array<number>|null} [min, max], or null when the series has no data
+ */
+function getExtent(values) {
+  const numbers = values.filter(value => typeof value === 'number')
+  if (numbers.length === 0) return null
+  const min = Math.min(...numbers)
+  const max = Math.max(...numbers)
+  return min === max ? [min - 1, max + 1] : [min, max]
+}
+
+/**
+ * Build an SVG path through the values, breaking the line where data is missing
+ *
+ * @param {Array<number|null>} values - Series values
+ * @param {Function} x - Index to x coordinate
+ * @param {Function} y - Value to y coordinate
+ * @returns {string} SVG path data
+ */
+function buildPath(values, x, y) {
+  let path = ''
+  let drawing = false
+  values.forEach((value, i) => {
+    if (typeof value !== 'number') {
+      drawing = false
+      return
+    }
+    path += `${drawing ? 'L' : 'M'}${x(i).toFixed(1)},${y(value).toFixed(1)}`
+    drawing = true
+  })
+  return path
+}
+
+/**
+ * Format a Unix timestamp as a short local time
+ *
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {string} Time string
+ */
+function formatTime(timestamp) {
+  return new Date(timestamp * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+}
+
+/**
+ * Format a series value for axis labels and the hover readout
+ *
+ * @param {number|null} value - Value
+ * @returns {string} Rounded value with thousands separators
+ */
+function formatValue(value) {
+  return typeof value === 'number' ? Math.round(value).toLocaleString() : 'N/A'
+}
+
+/**
+ * Line chart of one or two series against time, with hover shared with the map
+ * The first series uses the left axis and the second, if any, the right axis.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.title - Chart title
+ * @param {Array} props.data - Samples with a `timestamp` (seconds) and one property per series
+ * @param {Array} props.series - Series to draw as { key, label, unit, color }
+ * @param {number|null} props.hoverIndex - Index of the highlighted sample
+ * @param {Function} props.onHoverIndexChange - Called with a sample index, or null on leave
+ * @returns {JSX.Element} The chart
+ */
+function ProfileChart({ title, data, series, hoverIndex, onHoverIndexChange }) {
+  const start = data[0]?.timestamp ?? 0
+  const end = data[data.length - 1]?.timestamp ?? 0
+  const duration = end - start || 1
+
+  const x = i =>
+    PADDING.left + ((data[i].timestamp - start) / duration) * (WIDTH - PADDING.left - PADDING.right)
+
+  const scales = useMemo(
+    () =>
+      series.map(({ key }) => {
+        const values = data.map(sample => sample[key])
+        const extent = getExtent(values)
+        const y = value =>
+          HEIGHT -
+          PADDING.bottom -
+          ((value - extent[0]) / (extent[1] - extent[0])) * (HEIGHT - PADDING.top - PADDING.bottom)
+        return { values, extent, y }
+      }),
+    [data, series]
+  )
+
+  /**
+   * Find the sample nearest a pointer position
+   *
+   * @param {MouseEvent} e - Mouse event over the SVG
+   * @returns {number} Sample index
+   */
+  const getIndexAtPointer = e => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const svgX = ((e.clientX - rect.left) / rect.width) * WIDTH
+    const time = start + ((svgX - PADDING.left) / (WIDTH - PADDING.left - PADDING.right)) * duration
+
+    let nearest = 0
+    data.forEach((sample, i) => {
+      if (Math.abs(sample.timestamp - time) < Math.abs(data[nearest].timestamp - time)) {
+        nearest = i
+      }
+    })
+    return nearest
+  }
+
+  const handleKeyDown = e => {
+    const steps = { ArrowLeft: -1, ArrowRight: 1 }
+    if (e.key === 'Home' || e.key === 'End') {
+      e.preventDefault()
+      onHoverIndexChange(e.key === 'Home' ? 0 : data.length - 1)
+    } else if (steps[e.key]) {
+      e.preventDefault()
+      const current = hoverIndex ?? (steps[e.key] > 0 ? -1 : data.length)
+      onHoverIndexChange(Math.min(data.length - 1, Math.max(0, current + steps[e.key])))
+    } else if (e.key === 'Escape') {
+      onHoverIndexChange(null)
+    }
+  }
+
+  const hovered = hoverIndex !== null ? data[hoverIndex] : null
+
+  return (
+    <figure className="profile-chart">
+      <figcaption className="profile-chart-header">
+        <span className="info-section-title">{title}</span>
+        <span className="profile-chart-readout">
+          {hovered
+            ? `${formatTime(hovered.timestamp)} · ${series
+                .map(({ key, unit }) => `${formatValue(hovered[key])} ${unit}`)
+                .join(' · ')}`
+            : series.map(({ key, label, color }) => (
+                <span key={key} className="profile-chart-key">
+                  <span className="profile-chart-swatch" style={{ backgroundColor: color }} />
+                  {label}
+                </span>
+              ))}
+        </span>
+      </figcaption>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        tabIndex={0}
+        role="group"
+        aria-label={`${title} chart. Use the arrow keys to step through data points.`}
+        onMouseMove={e => onHoverIndexChange(getIndexAtPointer(e))}
+        onMouseLeave={() => onHoverIndexChange(null)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => onHoverIndexChange(null)}
+      >
+        <line
+          className="profile-chart-axis"
+          x1={PADDING.left}
+          x2={WIDTH - PADDING.right}
+          y1={HEIGHT - PADDING.bottom}
+          y2={HEIGHT - PADDING.bottom}
+        />
+        <text className="profile-chart-label" x={PADDING.left} y={HEIGHT - 4}>
+          {formatTime(start)}
+        </text>
+        <text
+          className="profile-chart-label"
+          x={WIDTH - PADDING.right}
+          y={HEIGHT - 4}
+          textAnchor="end"
+        >
+          {formatTime(end)}
+        </text>
+
+        {scales.map(({ values, extent, y }, s) => {
+          if (!extent) return null
+          const { key, color } = series[s]
+          const axisX = s === 0 ? PADDING.left - 4 : WIDTH - PADDING.right + 4
+          const anchor = s === 0 ? 'end' : 'start'
+          return (
+            <g key={key}>
+              <text
+                className="profile-chart-label"
+                x={axisX}
+                y={PADDING.top + 4}
+                textAnchor={anchor}
+                style={{ fill: color }}
+              >
+                {formatValue(extent[1])}
+              </text>
+              <text
+                className="profile-chart-label"
+                x={axisX}
+                y={HEIGHT - PADDING.bottom}
+                textAnchor={anchor}
+                style={{ fill: color }}
+              >
+                {formatValue(extent[0])}
+              </text>
+              <path d={buildPath(values, x, y)} stroke={color} className="profile-chart-line" />
+            </g>
+          )
+        })}
+
+        {hovered && (
+          <g>
+            <line
+              className="profile-chart-cursor"
+              x1={x(hoverIndex)}
+              x2={x(hoverIndex)}
+              y1={PADDING.top}
+              y2={HEIGHT - PADDING.bottom}
+            />
+            {scales.map(({ values, extent, y }, s) =>
+              extent && typeof values[hoverIndex] === 'number' ? (
+                <circle
+                  key={series[s].key}
+                  cx={x(hoverIndex)}
+                  cy={y(values[hoverIndex])}
+                  r={3}
+                  fill={series[s].color}
+                />
+              ) : null
+            )}
+          </g>
+        )}
+      </svg>
+    </figure>
+  )
+}
+
+ProfileChart.propTypes = {
+  title: PropTypes.string.isRequired,
+  data: PropTypes.arrayOf(
+    PropTypes.shape({
+      timestamp: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+  series: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      unit: PropTypes.string.isRequired,
+      color: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  hoverIndex: PropTypes.number,
+  onHoverIndexChange: PropTypes.func.isRequired,
+}
+
+export default ProfileChart
@@ -0,0 +1,116 @@
+import { useMemo } from 'react'
+import PropTypes from 'prop-types'
+import { Marker, Source, Layer, useMap } from 'react-map-gl'
+import { buildCoverageGeoJSON, buildRangeRingsGeoJSON } from '../utils/coverage'
+import { MAP_LABEL_FONT, RECEIVER_COLOR } from '../constants'
+import './ReceiverLayers.css'
+
+/**
+ * Map layers for the receiver: antenna marker, range rings and the observed coverage outline
+ * Must be rendered inside a react-map-gl Map.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.receiver - Receiver position { latitude, longitude }
+ * @param {Array<number>} props.rangeRings - Ring radii in nautical miles
+ * @param {Object} props.coverage - Max range per sector (see utils/coverage), or null to hide
+ * @param {boolean} props.coverageByAltitude - Draw one outline per altitude band
+ * @param {string} props.beforeId - Layer to draw beneath, so aircraft stay on top
+ * @returns {JSX.Element} The receiver layers
+ */
+function ReceiverLayers({
+  receiver,
+  rangeRings,
+  coverage = null,
+  coverageByAltitude = false,
+  beforeId,
+}) {
+  const { current: map } = useMap()
+
+  // Only reference the layer once it exists; react-map-gl moves our layers when it appears
+  const layerBeforeId = map?.getLayer(beforeId) ? beforeId : undefined
+
+  const ringsGeoJSON = useMemo(
+    () => buildRangeRingsGeoJSON(receiver, rangeRings),
+    [receiver, rangeRings]
+  )
+
+  const coverageGeoJSON = useMemo(
+    () => coverage && buildCoverageGeoJSON(receiver, coverage, coverageByAltitude),
+    [receiver, coverage, coverageByAltitude]
+  )
+
+  return (
+    <>
+      {coverageGeoJSON && (
+        <Source id="receiver-coverage" type="geojson" data={coverageGeoJSON}>
+          <Layer
+            id="receiver-coverage-fill"
+            type="fill"
+            beforeId={layerBeforeId}
+            paint={{ 'fill-color': ['get', 'color'], 'fill-opacity': 0.12 }}
+          />
+          <Layer
+            id="receiver-coverage-outline"
+            type="line"
+            beforeId={layerBeforeId}
+            paint={{ 'line-color': ['get', 'color'], 'line-width': 1.5, 'line-opacity': 0.8 }}
+          />
+        </Source>
+      )}
+
+      <Source id="receiver-range-rings" type="geojson" data={ringsGeoJSON}>
+        <Layer
+          id="receiver-range-rings-line"
+          type="line"
+          beforeId={layerBeforeId}
+          filter={['==', ['geometry-type'], 'LineString']}
+          paint={{
+            'line-color': RECEIVER_COLOR,
+            'line-width': 1,
+            'line-opacity': 0.6,
+            'line-dasharray': [4, 3],
+          }}
+        />
+        <Layer
+          id="receiver-range-rings-label"
+          type="symbol"
+          beforeId={layerBeforeId}
+          filter={['==', ['geometry-type'], 'Point']}
+          layout={{
+            'text-field': ['get', 'label'],
+            'text-font': MAP_LABEL_FONT,
+            'text-size': 11,
+            'text-offset': [0, -0.8],
+          }}
+          paint={{ 'text-color': RECEIVER_COLOR, 'text-halo-color': '#000', 'text-halo-width': 1 }}
+        />
+      </Source>
+
+      <Marker
+        longitude={receiver.longitude}
+        latitude={receiver.latitude}
+        anchor="center"
+        style={{ pointerEvents: 'none' }}
+      >
+        <div
+          className="receiver-marker"
+          role="img"
+          aria-label={`Receiver at ${receiver.latitude.toFixed(4)}, ${receiver.longitude.toFixed(4)}`}
+        />
+      </Marker>
+    </>
+  )
+}
+
+ReceiverLayers.propTypes = {
+  receiver: PropTypes.shape({
+    latitude: PropTypes.number.isRequired,
+    longitude: PropTypes.number.isRequired,
+  }).isRequired,
+  rangeRings: PropTypes.arrayOf(PropTypes.number).isRequired,
+  coverage: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.number)),
+  coverageByAltitude: PropTypes.bool,
+  beforeId: PropTypes.string,
+}
+
+export default ReceiverLayers
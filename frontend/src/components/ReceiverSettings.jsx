@@ -0,0 +1,160 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { COVERAGE_ALTITUDE_BANDS } from '../constants'
+import './ReceiverSettings.css'
+
+/**
+ * Parse a coordinate input, returning null unless it is a number within the limit
+ *
+ * @param {string} value - Input value
+ * @param {number} limit - Maximum absolute value
+ * @returns {number|null} Coordinate in degrees
+ */
+function parseCoordinate(value, limit) {
+  if (value.trim() === '') return null
+  const number = Number(value)
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : null
+}
+
+/**
+ * Settings controls for the receiver position, range rings and coverage display
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.receiverSettings - State and actions returned by useReceiver
+ * @returns {JSX.Element} The receiver settings controls
+ */
+function ReceiverSettings({ receiverSettings }) {
+  const { receiver } = receiverSettings
+  const [latitude, setLatitude] = useState(receiver ? String(receiver.latitude) : '')
+  const [longitude, setLongitude] = useState(receiver ? String(receiver.longitude) : '')
+
+  const parsedLatitude = parseCoordinate(latitude, 90)
+  const parsedLongitude = parseCoordinate(longitude, 180)
+  const isCleared = latitude.trim() === '' && longitude.trim() === ''
+  const isChanged = receiver?.latitude !== parsedLatitude || receiver?.longitude !== parsedLongitude
+  // Clearing both fields removes the receiver; otherwise both must be valid
+  const canSubmit = isCleared
+    ? receiver !== null
+    : parsedLatitude !== null && parsedLongitude !== null && isChanged
+
+  const handleSubmit = e => {
+    e.preventDefault()
+    if (!canSubmit) return
+    receiverSettings.setReceiver(
+      isCleared ? null : { latitude: parsedLatitude, longitude: parsedLongitude }
+    )
+  }
+
+  return (
+    <>
+      <form className="receiver-position-input" onSubmit={handleSubmit}>
+        <label htmlFor="receiver-latitude">Receiver: </label>
+        <input
+          id="receiver-latitude"
+          type="text"
+          inputMode="decimal"
+          placeholder="Latitude"
+          value={latitude}
+          onChange={e => setLatitude(e.target.value)}
+          aria-label="Receiver latitude in degrees"
+          aria-invalid={latitude !== '' && parsedLatitude === null}
+        />
+        <input
+          id="receiver-longitude"
+          type="text"
+          inputMode="decimal"
+          placeholder="Longitude"
+          value={longitude}
+          onChange={e => setLongitude(e.target.value)}
+          aria-label="Receiver longitude in degrees"
+          aria-invalid={longitude !== '' && parsedLongitude === null}
+        />
+        <button type="submit" disabled={!canSubmit}>
+          Set
+        </button>
+      </form>
+      <div className="squawk-watch-input">
+        <label htmlFor="range-rings">Range Rings (nm): </label>
+        <input
+          id="range-rings"
+          type="text"
+          placeholder="e.g. 50, 100, 150"
+          defaultValue={receiverSettings.rangeRings.join(', ')}
+          onBlur={e =>
+            receiverSettings.setRangeRings(
+              e.target.value
+                .split(/[\s,]+/)
+                .map(Number)
+                .filter(radius => Number.isFinite(radius) && radius > 0)
+            )
+          }
+          disabled={!receiver}
+        />
+      </div>
+      <div className="show-tracks-toggle">
+        <label htmlFor="show-coverage" className={receiver ? '' : 'disabled'}>
+          <input
+            id="show-coverage"
+            type="checkbox"
+            checked={receiverSettings.showCoverage}
+            onChange={e => receiverSettings.setShowCoverage(e.target.checked)}
+            disabled={!receiver}
+          />
+          Show Coverage
+        </label>
+      </div>
+      <div className="show-tracks-toggle">
+        <label
+          htmlFor="coverage-by-altitude"
+          className={receiver && receiverSettings.showCoverage ? '' : 'disabled'}
+        >
+          <input
+            id="coverage-by-altitude"
+            type="checkbox"
+            checked={receiverSettings.coverageByAltitude}
+            onChange={e => receiverSettings.setCoverageByAltitude(e.target.checked)}
+            disabled={!receiver || !receiverSettings.showCoverage}
+          />
+          By Altitude
+        </label>
+        {receiverSettings.showCoverage && receiverSettings.coverageByAltitude && (
+          <ul className="coverage-bands" aria-label="Coverage altitude bands">
+            {COVERAGE_ALTITUDE_BANDS.map(band => (
+              <li key={band.key}>
+                <span className="coverage-band-swatch" style={{ backgroundColor: band.color }} />
+                {band.label}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <button
+        type="button"
+        className="reset-coverage-button"
+        onClick={receiverSettings.resetCoverage}
+        disabled={!receiver}
+      >
+        Reset Coverage
+      </button>
+    </>
+  )
+}
+
+ReceiverSettings.propTypes = {
+  receiverSettings: PropTypes.shape({
+    receiver: PropTypes.shape({
+      latitude: PropTypes.number.isRequired,
+      longitude: PropTypes.number.isRequired,
+    }),
+    setReceiver: PropTypes.func.isRequired,
+    rangeRings: PropTypes.arrayOf(PropTypes.number).isRequired,
+    setRangeRings: PropTypes.func.isRequired,
+    showCoverage: PropTypes.bool.isRequired,
+    setShowCoverage: PropTypes.func.isRequired,
+    coverageByAltitude: PropTypes.bool.isRequired,
+    setCoverageByAltitude: PropTypes.func.isRequired,
+    resetCoverage: PropTypes.func.isRequired,
+  }).isRequired,
+}
+
+export default ReceiverSettings
@@ -0,0 +1,61 @@
+import PropTypes from 'prop-types'
+import { getSensorColor } from '../utils/colorScales'
+import './SensorsPanel.css'
+
+/**
+ * Panel listing receivers with their aircraft counts and message rates
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.sensors - Receivers as returned by useSensors
+ * @param {string|null} props.error - Error from the last /sensors request
+ * @param {string} props.activeSensor - Serial the map is filtered to, or '' for all receivers
+ * @param {Function} props.onShowOnly - Called with a serial string to filter the map, '' to clear
+ * @returns {JSX.Element} The sensors panel
+ */
+function SensorsPanel({ sensors, error, activeSensor, onShowOnly }) {
+  return (
+    <div className="sensors-panel" role="group" aria-label="Receivers">
+      {sensors.length === 0 ? (
+        <p className="sensors-empty">{error ? `Error: ${error}` : 'No receivers reported yet'}</p>
+      ) : (
+        <ul className="sensors-list">
+          {sensors.map(({ serial, aircraftCount, messageRate }) => {
+            const isActive = activeSensor === String(serial)
+            return (
+              <li key={serial} className={isActive ? 'active' : ''}>
+                <span className="swatch" style={{ backgroundColor: getSensorColor(serial) }} />
+                <span className="sensors-name">Receiver {serial}</span>
+                <span className="sensors-stat">{aircraftCount} aircraft</span>
+                <span className="sensors-stat">
+                  {messageRate === null ? '–' : messageRate.toFixed(1)} msg/s
+                </span>
+                <button
+                  type="button"
+                  onClick={() => onShowOnly(isActive ? '' : String(serial))}
+                  aria-pressed={isActive}
+                >
+                  {isActive ? 'Show all' : 'Show only'}
+                </button>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+SensorsPanel.propTypes = {
+  sensors: PropTypes.arrayOf(
+    PropTypes.shape({
+      serial: PropTypes.number.isRequired,
+      aircraftCount: PropTypes.number.isRequired,
+      messageRate: PropTypes.number,
+    })
+  ).isRequired,
+  error: PropTypes.string,
+  activeSensor: PropTypes.string.isRequired,
+  onShowOnly: PropTypes.func.isRequired,
+}
+
+export default SensorsPanel
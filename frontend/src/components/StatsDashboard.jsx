@@ -0,0 +1,200 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import ProfileChart from './ProfileChart'
+import { getRssiBins } from '../utils/sessionStats'
+import './StatsDashboard.css'
+
+const TRAFFIC_SERIES = [
+  { key: 'aircraftCount', label: 'Aircraft', unit: 'aircraft', color: '#3498db' },
+  { key: 'messageRate', label: 'Messages', unit: 'msg/s', color: '#f39c12' },
+]
+const RANGE_SERIES = [{ key: 'maxRange', label: 'Max range', unit: 'nm', color: '#2ecc71' }]
+const POSITION_SERIES = [
+  { key: 'positionPercent', label: 'With position', unit: '%', color: '#9b59b6' },
+]
+
+const HISTOGRAM_WIDTH = 320
+const HISTOGRAM_HEIGHT = 110
+const HISTOGRAM_PADDING = { top: 8, bottom: 18, left: 8, right: 8 }
+
+/**
+ * Format a statistic for the summary tiles
+ *
+ * @param {number|null} value - Value
+ * @param {number} digits - Decimal places
+ * @returns {string} Formatted value, or an en dash when unknown
+ */
+function formatStat(value, digits = 0) {
+  return typeof value === 'number' ? value.toFixed(digits) : '–'
+}
+
+/**
+ * Bar chart of how many messages arrived at each signal strength
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.histogram - Message count per RSSI bin from useSessionStats
+ * @returns {JSX.Element} The histogram
+ */
+function RssiHistogram({ histogram }) {
+  const bins = getRssiBins(histogram)
+  const total = bins.reduce((sum, bin) => sum + bin.count, 0)
+  const maxCount = Math.max(1, ...bins.map(bin => bin.count))
+  const plotWidth = HISTOGRAM_WIDTH - HISTOGRAM_PADDING.left - HISTOGRAM_PADDING.right
+  const plotHeight = HISTOGRAM_HEIGHT - HISTOGRAM_PADDING.top - HISTOGRAM_PADDING.bottom
+  const barWidth = bins.length ? plotWidth / bins.length : 0
+
+  return (
+    <figure className="profile-chart">
+      <figcaption className="profile-chart-header">
+        <span className="info-section-title">Signal strength</span>
+        <span className="profile-chart-readout">{total.toLocaleString()} messages (dBFS)</span>
+      </figcaption>
+      {bins.length === 0 ? (
+        <p className="stats-empty">No RSSI reported yet</p>
+      ) : (
+        <svg
+          viewBox={`0 0 ${HISTOGRAM_WIDTH} ${HISTOGRAM_HEIGHT}`}
+          role="img"
+          aria-label={`RSSI distribution of ${total} messages from ${bins[0].from} to ${
+            bins[bins.length - 1].to
+          } dBFS`}
+        >
+          {bins.map(({ from, to, count }, i) => {
+            const height = (count / maxCount) * plotHeight
+            return (
+              <rect
+                key={from}
+                className="stats-bar"
+                x={HISTOGRAM_PADDING.left + i * barWidth + 1}
+                y={HISTOGRAM_HEIGHT - HISTOGRAM_PADDING.bottom - height}
+                width={Math.max(1, barWidth - 2)}
+                height={height}
+              >
+                <title>{`${from} to ${to} dBFS: ${count.toLocaleString()}`}</title>
+              </rect>
+            )
+          })}
+          <line
+            className="profile-chart-axis"
+            x1={HISTOGRAM_PADDING.left}
+            x2={HISTOGRAM_WIDTH - HISTOGRAM_PADDING.right}
+            y1={HISTOGRAM_HEIGHT - HISTOGRAM_PADDING.bottom}
+            y2={HISTOGRAM_HEIGHT - HISTOGRAM_PADDING.bottom}
+          />
+          <text className="profile-chart-label" x={HISTOGRAM_PADDING.left} y={HISTOGRAM_HEIGHT - 4}>
+            {bins[0].from}
+          </text>
+          <text
+            className="profile-chart-label"
+            x={HISTOGRAM_WIDTH - HISTOGRAM_PADDING.right}
+            y={HISTOGRAM_HEIGHT - 4}
+            textAnchor="end"
+          >
+            {bins[bins.length - 1].to}
+          </text>
+        </svg>
+      )}
+    </figure>
+  )
+}
+
+RssiHistogram.propTypes = {
+  histogram: PropTypes.objectOf(PropTypes.number).isRequired,
+}
+
+/**
+ * Dashboard of traffic, range and signal statistics collected during this session
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.stats - State and actions returned by useSessionStats
+ * @param {boolean} props.hasReceiver - Whether a receiver position is set, needed for range
+ * @returns {JSX.Element} The dashboard
+ */
+function StatsDashboard({ stats, hasReceiver }) {
+  const [hoverIndex, setHoverIndex] = useState(null)
+  const { samples, rssiHistogram, reset } = stats
+  const latest = samples[samples.length - 1]
+  const sessionMaxRange = samples.reduce(
+    (max, sample) =>
+      typeof sample.maxRange === 'number' ? Math.max(max ?? 0, sample.maxRange) : max,
+    null
+  )
+
+  return (
+    <div className="stats-dashboard" role="group" aria-label="Session statistics">
+      <div className="stats-summary">
+        <div className="stats-tile">
+          <span className="stats-value">{formatStat(latest?.aircraftCount)}</span>
+          <span className="stats-label">aircraft</span>
+        </div>
+        <div className="stats-tile">
+          <span className="stats-value">{formatStat(latest?.messageRate, 1)}</span>
+          <span className="stats-label">msg/s</span>
+        </div>
+        <div className="stats-tile">
+          <span className="stats-value">{formatStat(latest?.positionPercent)}%</span>
+          <span className="stats-label">with position</span>
+        </div>
+        <div className="stats-tile">
+          <span className="stats-value">{formatStat(sessionMaxRange)}</span>
+          <span className="stats-label">nm max range</span>
+        </div>
+        <button type="button" onClick={reset} disabled={samples.length === 0}>
+          Reset
+        </button>
+      </div>
+
+      {samples.length < 2 ? (
+        <p className="stats-empty">Collecting samples…</p>
+      ) : (
+        <div className="stats-charts">
+          <ProfileChart
+            title="Traffic"
+            data={samples}
+            series={TRAFFIC_SERIES}
+            hoverIndex={hoverIndex}
+            onHoverIndexChange={setHoverIndex}
+          />
+          {hasReceiver ? (
+            <ProfileChart
+              title="Max range"
+              data={samples}
+              series={RANGE_SERIES}
+              hoverIndex={hoverIndex}
+              onHoverIndexChange={setHoverIndex}
+            />
+          ) : (
+            <p className="stats-empty">Set a receiver position in settings to chart range</p>
+          )}
+          <ProfileChart
+            title="Position reports"
+            data={samples}
+            series={POSITION_SERIES}
+            hoverIndex={hoverIndex}
+            onHoverIndexChange={setHoverIndex}
+          />
+          <RssiHistogram histogram={rssiHistogram} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+StatsDashboard.propTypes = {
+  stats: PropTypes.shape({
+    samples: PropTypes.arrayOf(
+      PropTypes.shape({
+        timestamp: PropTypes.number.isRequired,
+        aircraftCount: PropTypes.number.isRequired,
+        messageRate: PropTypes.number,
+        positionPercent: PropTypes.number,
+        maxRange: PropTypes.number,
+      })
+    ).isRequired,
+    rssiHistogram: PropTypes.objectOf(PropTypes.number).isRequired,
+    reset: PropTypes.func.isRequired,
+  }).isRequired,
+  hasReceiver: PropTypes.bool.isRequired,
+}
+
+export default StatsDashboard
@@ -0,0 +1,175 @@
+import { useState, useRef } from 'react'
+import PropTypes from 'prop-types'
+import { WATCH_FIELDS, compilePattern, parseWatchlist } from '../utils/watchlist'
+import { downloadFile } from '../utils/download'
+import { cleanCallsign } from '../utils/format'
+import './WatchlistPanel.css'
+
+/**
+ * Panel for editing the aircraft watchlist, with JSON import/export
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.watchlist - State and actions returned by useWatchlist
+ * @param {Function} props.onSelectAircraft - Called with an icao24 to show a matched aircraft
+ * @returns {JSX.Element} The watchlist panel
+ */
+function WatchlistPanel({ watchlist, onSelectAircraft }) {
+  const [field, setField] = useState('registration')
+  const [pattern, setPattern] = useState('')
+  const [label, setLabel] = useState('')
+  const [importError, setImportError] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const patternValid = compilePattern(pattern) !== null
+
+  const handleAdd = e => {
+    e.preventDefault()
+    if (!patternValid) return
+    watchlist.addEntry({ field, pattern, label })
+    setPattern('')
+    setLabel('')
+  }
+
+  const handleExport = () => {
+    downloadFile('watchlist.json', JSON.stringify(watchlist.entries, null, 2), 'application/json')
+  }
+
+  const handleImport = async e => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      watchlist.importEntries(parseWatchlist(JSON.parse(await file.text())))
+      setImportError(null)
+    } catch (err) {
+      setImportError(err.message)
+    }
+  }
+
+  return (
+    <div className="watchlist-panel" role="group" aria-label="Watchlist">
+      <form className="watchlist-add" onSubmit={handleAdd}>
+        <label htmlFor="watch-field" className="sr-only">
+          Match on
+        </label>
+        <select id="watch-field" value={field} onChange={e => setField(e.target.value)}>
+          {Object.entries(WATCH_FIELDS).map(([value, name]) => (
+            <option key={value} value={value}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <label htmlFor="watch-pattern" className="sr-only">
+          Pattern
+        </label>
+        <input
+          id="watch-pattern"
+          type="text"
+          placeholder="N123AB, UAL*, /^LIFE\d+$/"
+          value={pattern}
+          onChange={e => setPattern(e.target.value)}
+          aria-invalid={pattern !== '' && !patternValid}
+        />
+        <label htmlFor="watch-label" className="sr-only">
+          Label
+        </label>
+        <input
+          id="watch-label"
+          type="text"
+          placeholder="Label (optional)"
+          value={label}
+          onChange={e => setLabel(e.target.value)}
+        />
+        <button type="submit" disabled={!patternValid}>
+          Add
+        </button>
+        <button type="button" onClick={handleExport} disabled={watchlist.entries.length === 0}>
+          Export
+        </button>
+        <button type="button" onClick={() => fileInputRef.current.click()}>
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          hidden
+        />
+        <label htmlFor="watch-notifications" className="watchlist-notify">
+          <input
+            id="watch-notifications"
+            type="checkbox"
+            checked={watchlist.notificationsEnabled}
+            onChange={e => watchlist.setNotificationsEnabled(e.target.checked)}
+          />
+          Notify on appearance
+        </label>
+        {importError && (
+          <span className="error" role="alert">
+            Import failed: {importError}
+          </span>
+        )}
+      </form>
+
+      {watchlist.entries.length > 0 && (
+        <ul className="watchlist-entries">
+          {watchlist.entries.map(entry => (
+            <li key={entry.id}>
+              <span className="watchlist-entry-field">{WATCH_FIELDS[entry.field]}</span>
+              <code>{entry.pattern}</code>
+              {entry.label && <span className="watchlist-entry-label">{entry.label}</span>}
+              <button
+                type="button"
+                onClick={() => watchlist.removeEntry(entry.id)}
+                aria-label={`Remove ${entry.pattern} from watchlist`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {watchlist.matchedAircraft.length > 0 && (
+        <div className="watchlist-matches" aria-live="polite">
+          <span>In feed:</span>
+          {watchlist.matchedAircraft.map(ac => (
+            <button key={ac.icao24} type="button" onClick={() => onSelectAircraft(ac.icao24)}>
+              ★ {cleanCallsign(ac.callsign)} {ac.registration && `(${ac.registration})`}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+WatchlistPanel.propTypes = {
+  watchlist: PropTypes.shape({
+    entries: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        field: PropTypes.string.isRequired,
+        pattern: PropTypes.string.isRequired,
+        label: PropTypes.string,
+      })
+    ).isRequired,
+    matchedAircraft: PropTypes.arrayOf(
+      PropTypes.shape({
+        icao24: PropTypes.string.isRequired,
+        callsign: PropTypes.string,
+        registration: PropTypes.string,
+      })
+    ).isRequired,
+    addEntry: PropTypes.func.isRequired,
+    removeEntry: PropTypes.func.isRequired,
+    importEntries: PropTypes.func.isRequired,
+    notificationsEnabled: PropTypes.bool.isRequired,
+    setNotificationsEnabled: PropTypes.func.isRequired,
+  }).isRequired,
+  onSelectAircraft: PropTypes.func.isRequired,
+}
+
+export default WatchlistPanel
@@ -4,7 +4,18 @@
 
 // API Configuration
 export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000'
+export const API_ADAPTER = import.meta.env.VITE_API_ADAPTER || 'jet1090' // jet1090, dump1090 or recorded
+export const API_TIMEOUT = 10000 // milliseconds before a request is abandoned
 export const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN || ''
+export const STREAM_URL = import.meta.env.VITE_STREAM_URL || `${API_URL}/stream`
+
+// Streaming Configuration
+export const STREAM_RECONNECT_MIN_DELAY = 1000 // milliseconds
+export const STREAM_RECONNECT_MAX_DELAY = 60000 // milliseconds
+
+// Offline Configuration
+export const OFFLINE_SAVE_INTERVAL = 10 // seconds between saving the live snapshot and trails
+export const STALE_DATA_OPACITY = 0.5 // aircraft opacity while showing last-known positions
 
 // Map Configuration
 export const DEFAULT_MAP_CENTER = {
@@ -15,25 +26,149 @@ export const DEFAULT_MAP_CENTER = {
 
 export const INITIAL_ZOOM = 8
 
+// 3D View Configuration
+export const TERRAIN_SOURCE_URL = 'mapbox://mapbox.mapbox-terrain-dem-v1'
+export const VIEW_3D_PITCH = 60 // degrees, applied when entering 3D mode
+export const CURTAIN_WIDTH_NM = 0.01 // thickness of the selected track's altitude curtain
+export const CURTAIN_OPACITY = 0.35
+
+// Dead Reckoning Configuration
+export const DEAD_RECKONING_MAX_SECONDS = 30 // stop extrapolating this long after the last report
+export const DEAD_RECKONING_CORRECTION_MS = 1000 // time to blend into a newly reported position
+export const DEAD_RECKONING_SNAP_NM = 2 // larger corrections jump straight to the new position
+export const DEAD_RECKONING_FRAME_MS = 80 // redraw at about 12 Hz rather than every animation frame
+
+// Sensor Configuration
+export const SENSOR_REFRESH_INTERVAL = 30 // seconds between /sensors requests
+export const SENSOR_RATE_WINDOW = 30 // seconds of message counts averaged into the rate
+
+// Statistics Dashboard Configuration
+export const STATS_SAMPLE_INTERVAL = 10 // seconds between session statistics samples
+export const STATS_MAX_SAMPLES = 360 // samples kept, one hour at the default interval
+export const STATS_RSSI_MIN = -48 // dBFS, lower edge of the RSSI histogram; weaker signals clamp
+export const STATS_RSSI_BIN_WIDTH = 3 // dB per RSSI histogram bar
+
+// Follow Camera Configuration
+export const FOLLOW_EASE_DURATION = 500 // milliseconds to glide to each new position
+
 export const MAP_STYLE_LIGHT = 'mapbox://styles/mapbox/light-v11'
 export const MAP_STYLE_DARK = 'mapbox://styles/mapbox/dark-v11'
 
+// Base Map Configuration
+export const BASE_MAPS_CONFIG = import.meta.env.VITE_BASE_MAPS || '' // JSON array of extra base maps
+export const DEFAULT_BASE_MAP = import.meta.env.VITE_DEFAULT_BASE_MAP || '' // base map id to start on
+// Label fonts for raster base maps; point at a self-hosted copy to avoid the public demo server
+export const RASTER_GLYPHS_URL =
+  import.meta.env.VITE_GLYPHS_URL || 'https://demotiles.maplibre.org/font/{fontstack}/{range}.pbf'
+export const MAP_LABEL_FONT = ['Open Sans Regular'] // available from Mapbox and OpenMapTiles glyphs
+
+// Aeronautical Overlay Configuration
+export const OVERLAYS_CONFIG = import.meta.env.VITE_OVERLAYS || '' // JSON array of bundled overlays
+export const OVERLAY_COLOR = '#c2185b' // Airports, runways and other non-airspace features
+export const AIRSPACE_COLORS = {
+  A: '#1565c0',
+  B: '#1565c0',
+  C: '#6a1b9a',
+  D: '#1e88e5',
+  E: '#00897b',
+  F: '#7cb342',
+  G: '#7cb342',
+  CTR: '#6a1b9a',
+  R: '#e53935', // Restricted
+  P: '#b71c1c', // Prohibited
+  Q: '#fb8c00', // Danger
+}
+export const AIRSPACE_DEFAULT_COLOR = '#78909c'
+// Point features whose `type`, `kind` or `aeroway` property matches are taken to be airports,
+// e.g. OurAirports `small_airport` or OpenStreetMap `aerodrome`
+export const AIRPORT_FEATURE_TYPE = /airport|aerodrome|airfield/i
+
 // Legacy export for backwards compatibility
 export const MAP_STYLE = MAP_STYLE_LIGHT
 
 // Track Configuration
 export const MAX_TRACK_POINTS = 500
 export const TRACK_MIN_DISTANCE_CHANGE = 0.001 // ~100 meters in degrees
+export const TRACK_BACKFILL_WINDOW = 30 * 60 // seconds of history fetched for aircraft first seen
+export const TRACK_BACKFILL_CONCURRENCY = 4 // History requests in flight at once
 
 // Track Display Configuration
-export const TRACK_COLOR = '#3498db'
 export const TRACK_WIDTH = 2
 export const TRACK_OPACITY = 0.6
+export const PROFILE_RATE_WINDOW = 30 // seconds spanned when deriving speed and vertical rate
+
+// Colour Scale Configuration
+export const DEFAULT_COLOR_MODE = 'age'
+export const LEGEND_MAX_CATEGORIES = 8 // Operators or receivers listed in the legend, most common first
+
+// On-ground Configuration
+export const ON_GROUND_MAX_SPEED = 50 // knots; slower aircraft without an altitude are on the ground
 
 // Aircraft Marker Configuration
 export const AIRCRAFT_MARKER_COLOR = '#e74c3c'
+export const AIRCRAFT_MARKER_COLOR_STALE = '#ffb3a8' // Colour at maxAgeMinutes
 export const AIRCRAFT_MARKER_SIZE = 24
 export const AIRCRAFT_MARKER_SIZE_HOVER = 28
+export const AIRCRAFT_WAKE_SCALES = { L: 0.8, M: 1, H: 1.2, J: 1.35 } // Icon scale by wake category
+
+// Squawk Alert Configuration
+export const EMERGENCY_SQUAWKS = {
+  7500: 'Unlawful interference',
+  7600: 'Radio failure',
+  7700: 'General emergency',
+}
+export const ALERT_COLOR = '#ff2d55'
+export const SQUAWK_ACK_EXPIRY_HOURS = 12 // Acknowledged alerts stay silenced this long, across reloads
+
+// Watchlist Configuration
+export const WATCH_COLOR = '#ffcc00' // Ring drawn under watched aircraft
+
+// Geofence Configuration
+export const GEOFENCE_COLOR = '#00bcd4'
+export const GEOFENCE_OCCUPIED_COLOR = '#ff9800' // Outline of geofences with aircraft inside
+export const GEOFENCE_MAX_EVENTS = 1000 // Entry/exit events kept in the log, newest first
+
+// Conflict Detection Configuration
+export const DEFAULT_CONFLICT_SETTINGS = {
+  enabled: true,
+  lateralNm: 5, // Separation minima; pairs inside both are in conflict
+  verticalFt: 1000,
+  lookaheadMinutes: 2, // How far ahead pairs are projected along their track
+}
+export const CONFLICT_AIRPORT_RADIUS_NM = 5 // Aircraft this close to an airport overlay point
+export const CONFLICT_AIRPORT_CEILING_FT = 3000 // and below this altitude are not checked
+export const CONFLICT_FALLBACK_CEILING_FT = 1500 // Without airport overlays, below this anywhere
+export const CONFLICT_MAX_POSITION_AGE = 30 // seconds; older positions are not checked
+export const CONFLICT_COLOR = '#ff1744' // Pairs whose separation is already lost
+export const CONFLICT_PREDICTED_COLOR = '#ffab00' // Pairs predicted to lose separation
+
+// Receiver Configuration
+// Defaults for the antenna position; the same values passed to `adsb serve --lat/--lon`
+const envLatitude = parseFloat(import.meta.env.VITE_RECEIVER_LAT)
+const envLongitude = parseFloat(import.meta.env.VITE_RECEIVER_LON)
+export const DEFAULT_RECEIVER =
+  Number.isFinite(envLatitude) && Number.isFinite(envLongitude)
+    ? { latitude: envLatitude, longitude: envLongitude }
+    : null
+export const DEFAULT_RANGE_RINGS = [50, 100, 150, 200] // nautical miles
+export const RECEIVER_COLOR = '#2ecc71'
+
+// Coverage Configuration
+export const COVERAGE_SECTOR_DEGREES = 5 // bearing sector width for max-range tracking
+export const COVERAGE_MAX_RANGE_NM = 400 // positions further out are treated as bad decodes
+export const COVERAGE_ALTITUDE_BANDS = [
+  { key: 'low', label: 'Below 10,000 ft', max: 10000, color: '#ff9800' },
+  { key: 'mid', label: '10,000–25,000 ft', max: 25000, color: '#4caf50' },
+  { key: 'high', label: 'Above 25,000 ft', max: Infinity, color: '#2196f3' },
+]
+
+// Playback Configuration
+export const PLAYBACK_SPEEDS = [1, 2, 5, 10, 30, 60] // multiples of real time
+export const PLAYBACK_TICK_INTERVAL = 200 // milliseconds between simulated clock updates
+export const PLAYBACK_STEP_SECONDS = 10 // step size for the step buttons
+export const PLAYBACK_DEFAULT_WINDOW_MINUTES = 60
+export const PLAYBACK_MAX_INTERPOLATION_GAP = 60 // seconds; longer gaps hold the last position
+export const PLAYBACK_FETCH_CONCURRENCY = 6 // parallel /track requests when loading a window
 
 // Default Values
 export const DEFAULT_REFRESH_INTERVAL = 1 // seconds
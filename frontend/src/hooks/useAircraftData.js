@@ -2,45 +2,134 @@
  * Custom hook for fetching and managing aircraft data
  */
 
-import { useState, useEffect, useCallback } from 'react'
-import { fetchAllAircraft } from '../services/api'
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { fetchAllAircraft, connectAircraftStream } from '../services/api'
+import { loadOfflineValue, saveOfflineValue } from '../utils/offlineStore'
+import { OFFLINE_SAVE_INTERVAL } from '../constants'
 
 /**
- * Hook to fetch and poll aircraft data
+ * Merge an incremental stream update into the current aircraft array
  *
- * @param {number} refreshInterval - Refresh interval in seconds
- * @returns {Object} Object containing aircraft data, loading state, error, and last update time
+ * @param {Array} aircraft - Current aircraft objects
+ * @param {Object} update - Update with `upsert` (validated aircraft states) and `remove` (icao24s)
+ * @returns {Array} New aircraft array
+ */
+function applyAircraftUpdate(aircraft, { upsert = [], remove = [] }) {
+  const byIcao = new Map(aircraft.map(ac => [ac.icao24, ac]))
+
+  remove.forEach(icao24 => byIcao.delete(icao24))
+  upsert.forEach(change => {
+    if (!change?.icao24) return
+    byIcao.set(change.icao24, { ...byIcao.get(change.icao24), ...change })
+  })
+
+  return Array.from(byIcao.values())
+}
+
+/**
+ * Hook to receive aircraft data, streaming when available and polling otherwise
+ * The last snapshot is kept in IndexedDB and shown, flagged stale, until the backend answers
+ * again, so a restart or lost link doesn't empty the map.
+ *
+ * @param {number} refreshInterval - Polling interval in seconds, used while the stream is down
+ * @returns {Object} Object containing aircraft data, loading state, error, last update time,
+ *   whether the live stream is connected and whether the data is a stale last-known snapshot
  */
 export function useAircraftData(refreshInterval) {
   const [aircraft, setAircraft] = useState([])
   const [lastUpdate, setLastUpdate] = useState(null)
   const [error, setError] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [isStreaming, setIsStreaming] = useState(false)
+  const [isStale, setIsStale] = useState(false)
+  const hasLiveDataRef = useRef(false)
+  const lastSavedRef = useRef(0)
+
+  const markUpdated = useCallback(() => {
+    hasLiveDataRef.current = true
+    setLastUpdate(new Date())
+    setError(null)
+    setLoading(false)
+    setIsStale(false)
+  }, [])
 
   const fetchAircraft = useCallback(async () => {
     try {
       const data = await fetchAllAircraft()
       setAircraft(data)
-      setLastUpdate(new Date())
-      setError(null)
-      setLoading(false)
+      markUpdated()
       return data
     } catch (err) {
       console.error('Error fetching aircraft data:', err)
-      setError(err.message)
+      setError(navigator.onLine === false ? 'Offline' : err.message)
       setLoading(false)
+      setIsStale(true)
       return null
     }
+  }, [markUpdated])
+
+  // Show the last known snapshot until live data arrives
+  useEffect(() => {
+    let cancelled = false
+    loadOfflineValue('aircraftSnapshot').then(snapshot => {
+      if (cancelled || !snapshot || hasLiveDataRef.current) return
+      setAircraft(snapshot.aircraft)
+      setLastUpdate(new Date(snapshot.timestamp))
+      setIsStale(true)
+      setLoading(false)
+    })
+    return () => {
+      cancelled = true
+    }
   }, [])
 
+  // Keep the latest live snapshot for the next outage or reload
+  useEffect(() => {
+    if (
+      isStale ||
+      !lastUpdate ||
+      Date.now() - lastSavedRef.current < OFFLINE_SAVE_INTERVAL * 1000
+    ) {
+      return
+    }
+    lastSavedRef.current = Date.now()
+    saveOfflineValue('aircraftSnapshot', { aircraft, timestamp: lastUpdate.getTime() })
+  }, [aircraft, isStale, lastUpdate])
+
+  // Refetch the moment the link returns rather than waiting for the next poll or reconnect
   useEffect(() => {
+    window.addEventListener('online', fetchAircraft)
+    return () => window.removeEventListener('online', fetchAircraft)
+  }, [fetchAircraft])
+
+  // Prefer the push stream; it reconnects with backoff on its own
+  useEffect(() => {
+    const stream = connectAircraftStream({
+      onSnapshot: data => {
+        setAircraft(data)
+        markUpdated()
+      },
+      onUpdate: update => {
+        setAircraft(prev => applyAircraftUpdate(prev, update))
+        markUpdated()
+      },
+      onStatusChange: status => setIsStreaming(status === 'open'),
+    })
+
+    return () => stream.close()
+  }, [markUpdated])
+
+  // Fall back to polling whenever the stream isn't connected
+  useEffect(() => {
+    if (isStreaming) return undefined
+
     // Initial fetch and polling - this setState is intentional
     fetchAircraft()
     const interval = setInterval(fetchAircraft, refreshInterval * 1000)
 
     return () => clearInterval(interval)
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [refreshInterval])
+  }, [refreshInterval, isStreaming])
 
-  return { aircraft, loading, error, lastUpdate, refetch: fetchAircraft }
+  return { aircraft, loading, error, lastUpdate, isStreaming, isStale, refetch: fetchAircraft }
 }
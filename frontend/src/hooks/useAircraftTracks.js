@@ -2,18 +2,99 @@
  * Custom hook for managing aircraft track history
  */
 
-import { useState, useCallback, useEffect } from 'react'
-import { MAX_TRACK_POINTS, TRACK_MIN_DISTANCE_CHANGE } from '../constants'
+import { useState, useCallback, useEffect, useRef } from 'react'
+import { fetchAircraftTrack } from '../services/api'
+import { isAbortError } from '../services/http'
+import { loadOfflineValue, saveOfflineValue } from '../utils/offlineStore'
+import {
+  MAX_TRACK_POINTS,
+  TRACK_MIN_DISTANCE_CHANGE,
+  TRACK_BACKFILL_WINDOW,
+  TRACK_BACKFILL_CONCURRENCY,
+  OFFLINE_SAVE_INTERVAL,
+} from '../constants'
 
 /**
- * Hook to manage aircraft track history
+ * Combine trails restored from storage with any recorded since the page loaded
+ *
+ * @param {Object} stored - Restored tracks, map of icao24 to position arrays
+ * @param {Object} current - Tracks recorded this page load
+ * @returns {Object} Merged tracks, stored points first
+ */
+function mergeTracks(stored, current) {
+  const merged = { ...stored }
+  Object.entries(current).forEach(([icao24, positions]) => {
+    const earlier = (stored[icao24] || []).filter(pos => pos[2] < positions[0][2])
+    merged[icao24] = [...earlier, ...positions].slice(-MAX_TRACK_POINTS)
+  })
+  return merged
+}
+
+/**
+ * Merge history fetched from the API into a recorded trail
+ * Points are interleaved by time and thinned like live positions, so the denser server
+ * history doesn't crowd recent positions out of MAX_TRACK_POINTS.
+ *
+ * @param {Array} history - Fetched positions as [lon, lat, timestamp, altitude]
+ * @param {Array} [positions] - Recorded positions in the same form
+ * @returns {Array} Merged positions, oldest first
+ */
+function mergeHistory(history, positions = []) {
+  const sorted = [...history, ...positions].sort((a, b) => a[2] - b[2])
+  const merged = []
+  sorted.forEach(position => {
+    const lastPos = merged[merged.length - 1]
+    if (
+      !lastPos ||
+      Math.abs(lastPos[0] - position[0]) > TRACK_MIN_DISTANCE_CHANGE ||
+      Math.abs(lastPos[1] - position[1]) > TRACK_MIN_DISTANCE_CHANGE
+    ) {
+      merged.push(position)
+    }
+  })
+  return merged.slice(-MAX_TRACK_POINTS)
+}
+
+/**
+ * Hook to manage aircraft track history, kept in IndexedDB across reloads and outages
+ * Aircraft shown for the first time have their recent history fetched from the API, so trails
+ * start out with the path flown before the page was opened.
  *
  * @param {Array} aircraft - Array of aircraft objects
  * @param {number} maxAgeMinutes - Maximum age for tracks in minutes
+ * @param {Array} visibleAircraft - Aircraft currently shown on the map
+ * @param {boolean} backfill - Whether to fetch history, e.g. only while trails are drawn
  * @returns {Object} Object containing tracks
  */
-export function useAircraftTracks(aircraft, maxAgeMinutes) {
-  const [tracks, setTracks] = useState({}) // Map of icao24 -> array of [lon, lat, timestamp]
+export function useAircraftTracks(aircraft, maxAgeMinutes, visibleAircraft, backfill) {
+  const [tracks, setTracks] = useState({}) // Map of icao24 -> array of [lon, lat, timestamp, altitude]
+  const [restored, setRestored] = useState(false)
+  const lastSavedRef = useRef(0)
+  // Aircraft whose history has been requested, and those still waiting for a request
+  const requestedRef = useRef(new Set())
+  const queueRef = useRef([])
+  const workersRef = useRef(0)
+  const controllerRef = useRef(null)
+
+  // Restore the session's trails after a reload or outage
+  useEffect(() => {
+    let cancelled = false
+    loadOfflineValue('sessionTracks').then(stored => {
+      if (cancelled) return
+      if (stored) setTracks(current => mergeTracks(stored, current))
+      setRestored(true)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // Save trails periodically; waiting for the restore avoids overwriting them with a partial set
+  useEffect(() => {
+    if (!restored || Date.now() - lastSavedRef.current < OFFLINE_SAVE_INTERVAL * 1000) return
+    lastSavedRef.current = Date.now()
+    saveOfflineValue('sessionTracks', tracks)
+  }, [tracks, restored])
 
   /**
    * Update track history with new aircraft positions
@@ -24,13 +105,13 @@ export function useAircraftTracks(aircraft, maxAgeMinutes) {
     aircraftData => {
       setTracks(prevTracks => {
         const newTracks = { ...prevTracks }
-        const timestamp = Date.now()
 
         aircraftData.forEach(ac => {
           // Only record positions with valid coordinates
           // Use explicit type checks to handle latitude/longitude of 0 (equator/prime meridian)
           if (typeof ac.latitude === 'number' && typeof ac.longitude === 'number' && ac.icao24) {
-            const position = [ac.longitude, ac.latitude, timestamp]
+            // Stamp with the report time so live points line up with fetched history
+            const position = [ac.longitude, ac.latitude, ac.lastseen * 1000, ac.altitude ?? null]
 
             if (!newTracks[ac.icao24]) {
               newTracks[ac.icao24] = [position]
@@ -75,6 +156,67 @@ export function useAircraftTracks(aircraft, maxAgeMinutes) {
     [maxAgeMinutes]
   )
 
+  // Cancel history requests on unmount
+  useEffect(() => {
+    const controller = new AbortController()
+    controllerRef.current = controller
+    return () => controller.abort()
+  }, [])
+
+  /**
+   * Fetch history for queued aircraft one at a time, merging each into its trail
+   * Several of these run side by side, up to TRACK_BACKFILL_CONCURRENCY.
+   */
+  const runBackfill = useCallback(async () => {
+    workersRef.current += 1
+    let inFlight = null
+    try {
+      while (queueRef.current.length > 0) {
+        const icao24 = queueRef.current.shift()
+        inFlight = icao24
+        const since = Date.now() / 1000 - TRACK_BACKFILL_WINDOW
+        const points = await fetchAircraftTrack(icao24, since, {
+          signal: controllerRef.current.signal,
+        })
+        const history = points.map(point => [
+          point.longitude,
+          point.latitude,
+          point.timestamp * 1000,
+          point.altitude ?? null,
+        ])
+        if (history.length > 0) {
+          setTracks(prevTracks => ({
+            ...prevTracks,
+            [icao24]: mergeHistory(history, prevTracks[icao24]),
+          }))
+        }
+      }
+    } catch (error) {
+      // Forget the aircraft so a later update requests it again
+      requestedRef.current.delete(inFlight)
+      if (!isAbortError(error)) {
+        console.warn('Error fetching track history:', error)
+        // The API is likely unreachable, so stop and retry the waiting aircraft later too
+        queueRef.current.splice(0).forEach(icao24 => requestedRef.current.delete(icao24))
+      }
+    } finally {
+      workersRef.current -= 1
+    }
+  }, [])
+
+  // Queue history requests for visible aircraft not requested before
+  useEffect(() => {
+    if (!backfill) return
+    visibleAircraft.forEach(ac => {
+      if (requestedRef.current.has(ac.icao24)) return
+      requestedRef.current.add(ac.icao24)
+      queueRef.current.push(ac.icao24)
+    })
+    while (workersRef.current < TRACK_BACKFILL_CONCURRENCY && queueRef.current.length > 0) {
+      runBackfill()
+    }
+  }, [visibleAircraft, backfill, runBackfill])
+
   // Update tracks when aircraft data changes
   useEffect(() => {
     if (aircraft.length > 0) {
@@ -0,0 +1,40 @@
+/**
+ * Custom hook for proximity and conflict detection between aircraft pairs
+ */
+
+import { useState, useMemo } from 'react'
+import { detectConflicts } from '../utils/conflicts'
+import { loadSetting, saveSetting } from '../utils/storage'
+import { DEFAULT_CONFLICT_SETTINGS } from '../constants'
+
+/**
+ * Hook to check the live aircraft for conflicting pairs on every update
+ *
+ * @param {Array} aircraft - Array of aircraft objects as received from the API
+ * @param {Array} airports - Airport positions as [longitude, latitude]; aircraft low nearby
+ *   are not checked
+ * @param {boolean} isLive - Whether the aircraft are a live update; while offline or showing a
+ *   stale snapshot nothing is checked, since old positions can't be compared to the present
+ * @returns {Object} { conflicts, settings, setSettings } where settings are
+ *   { enabled, lateralNm, verticalFt, lookaheadMinutes }
+ */
+export function useConflicts(aircraft, airports, isLive) {
+  const [settings, setSettingsState] = useState(() => ({
+    ...DEFAULT_CONFLICT_SETTINGS,
+    ...loadSetting('conflictSettings', {}),
+  }))
+
+  const conflicts = useMemo(
+    () => (settings.enabled && isLive ? detectConflicts(aircraft, settings, airports) : []),
+    [aircraft, settings, airports, isLive]
+  )
+
+  // Save settings to localStorage
+  const setSettings = changes => {
+    const newSettings = { ...settings, ...changes }
+    setSettingsState(newSettings)
+    saveSetting('conflictSettings', newSettings)
+  }
+
+  return { conflicts, settings, setSettings }
+}
@@ -0,0 +1,85 @@
+/**
+ * Custom hook for animating aircraft between updates by dead reckoning
+ */
+
+import { useCallback, useEffect, useRef } from 'react'
+import { createCorrections, projectFeatures } from '../utils/deadReckoning'
+import { DEAD_RECKONING_FRAME_MS } from '../constants'
+
+/**
+ * Hook that redraws a GeoJSON source several times a second with extrapolated positions
+ * Data is written straight to the map source so React doesn't re-render at frame rate; while
+ * enabled, the Source component's own `data` prop should stay constant. Markers and popups
+ * tied to an aircraft follow it through `follow`, and should be rendered at `getPosition` so a
+ * re-render doesn't pull them back to the reported position. Other drawings subscribe with
+ * `onDraw`.
+ *
+ * @param {Object} mapRef - Ref to the react-map-gl map
+ * @param {string} sourceId - GeoJSON source to draw into
+ * @param {Object} geojson - Latest aircraft FeatureCollection
+ * @param {boolean} enabled - Whether to animate
+ * @returns {Object} { follow, getPosition, onDraw }: `follow(icao24)` gives a ref callback for a
+ *   Marker or Popup, `getPosition(icao24)` the last drawn [longitude, latitude], if any, and
+ *   `onDraw(listener)` calls the listener with the drawn positions by icao24 after each redraw,
+ *   returning a function that unsubscribes it
+ */
+export function useDeadReckoning(mapRef, sourceId, geojson, enabled) {
+  const geojsonRef = useRef(geojson)
+  const correctionsRef = useRef(new Map())
+  const drawnRef = useRef(new Map())
+  const followersRef = useRef(new Map())
+  const listenersRef = useRef(new Set())
+
+  // Blend from where aircraft were drawn towards their newly reported paths
+  useEffect(() => {
+    correctionsRef.current = createCorrections(geojson.features, drawnRef.current, Date.now())
+    geojsonRef.current = geojson
+  }, [geojson])
+
+  useEffect(() => {
+    if (!enabled) return undefined
+
+    let frame
+    let lastDraw = -Infinity
+    const draw = time => {
+      frame = requestAnimationFrame(draw)
+      if (time - lastDraw < DEAD_RECKONING_FRAME_MS) return
+      lastDraw = time
+
+      const source = mapRef.current?.getSource(sourceId)
+      if (!source) return
+      source.setData(
+        projectFeatures(geojsonRef.current, correctionsRef.current, drawnRef.current, Date.now())
+      )
+      followersRef.current.forEach((icao24, follower) => {
+        const position = drawnRef.current.get(icao24)
+        if (position) follower.setLngLat(position)
+      })
+      listenersRef.current.forEach(listener => listener(drawnRef.current))
+    }
+    frame = requestAnimationFrame(draw)
+
+    return () => {
+      cancelAnimationFrame(frame)
+      drawnRef.current = new Map()
+    }
+  }, [mapRef, sourceId, enabled])
+
+  const follow = useCallback(icao24 => {
+    let followed = null
+    return instance => {
+      if (followed) followersRef.current.delete(followed)
+      followed = instance
+      if (instance) followersRef.current.set(instance, icao24)
+    }
+  }, [])
+
+  const getPosition = useCallback(icao24 => drawnRef.current.get(icao24), [])
+
+  const onDraw = useCallback(listener => {
+    listenersRef.current.add(listener)
+    return () => listenersRef.current.delete(listener)
+  }, [])
+
+  return { follow, getPosition, onDraw }
+}
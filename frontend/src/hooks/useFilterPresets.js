@@ -0,0 +1,42 @@
+/**
+ * Custom hook for saving named filter presets
+ */
+
+import { useState } from 'react'
+import { loadSetting, saveSetting } from '../utils/storage'
+import { EMPTY_FILTERS } from '../utils/filters'
+
+/**
+ * Hook to manage named filter presets persisted in localStorage
+ *
+ * @returns {Object} Presets keyed by name, plus save and delete actions
+ */
+export function useFilterPresets() {
+  const [presets, setPresetsState] = useState(() => loadSetting('filterPresets', {}))
+
+  // Save presets to localStorage
+  const setPresets = newPresets => {
+    setPresetsState(newPresets)
+    saveSetting('filterPresets', newPresets)
+  }
+
+  const savePreset = (name, filters) => {
+    setPresets({ ...presets, [name]: filters })
+  }
+
+  const deletePreset = name => {
+    const rest = { ...presets }
+    delete rest[name]
+    setPresets(rest)
+  }
+
+  /**
+   * Get a preset's filters, filling in any fields added since it was saved
+   *
+   * @param {string} name - Preset name
+   * @returns {Object} Filter values
+   */
+  const getPreset = name => ({ ...EMPTY_FILTERS, ...presets[name] })
+
+  return { presets, savePreset, deletePreset, getPreset }
+}
@@ -1,25 +1,29 @@
 /**
- * Custom hook for filtering aircraft by age
+ * Custom hook for filtering aircraft by age and attributes
  */
 
 import { useMemo } from 'react'
+import { EMPTY_FILTERS, matchesFilters } from '../utils/filters'
 
 /**
- * Hook to filter aircraft based on last seen time
+ * Hook to filter aircraft based on last seen time and the filter panel settings
  *
  * @param {Array} aircraft - Array of aircraft objects
  * @param {number} maxAgeMinutes - Maximum age in minutes
+ * @param {number} [now] - Reference time in milliseconds, e.g. a playback clock (defaults to Date.now())
+ * @param {Object} [filters] - Attribute filters (see EMPTY_FILTERS)
  * @returns {Array} Filtered array of aircraft
  */
-export function useFilteredAircraft(aircraft, maxAgeMinutes) {
+export function useFilteredAircraft(aircraft, maxAgeMinutes, now, filters = EMPTY_FILTERS) {
   return useMemo(() => {
     // We intentionally use Date.now() here to filter based on current time
-    const currentTime = Math.floor(Date.now() / 1000) // Current time in Unix timestamp
+    const currentTime = Math.floor((now ?? Date.now()) / 1000) // Current time in Unix timestamp
     return aircraft.filter(ac => {
+      if (!matchesFilters(ac, filters)) return false
       if (!ac.lastseen) return true // Include if no lastseen data
       const ageInSeconds = currentTime - ac.lastseen
       const ageInMinutes = ageInSeconds / 60
       return ageInMinutes <= maxAgeMinutes
     })
-  }, [aircraft, maxAgeMinutes])
+  }, [aircraft, maxAgeMinutes, now, filters])
 }
@@ -0,0 +1,108 @@
+/**
+ * Custom hook for geofences with live occupancy and an entry/exit event log
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { cleanCallsign } from '../utils/format'
+import { loadSetting, saveSetting } from '../utils/storage'
+import { requestNotificationPermission, showNotification } from '../utils/notifications'
+import { createGeofence, detectGeofenceEvents } from '../utils/geofences'
+import { GEOFENCE_MAX_EVENTS } from '../constants'
+
+/**
+ * Hook to test aircraft against persisted geofences on every update
+ *
+ * @param {Array} aircraft - Array of aircraft objects as received from the API
+ * @param {boolean} isLive - Whether the aircraft are a live update; before the first one, and
+ *   while showing a stale snapshot, detection waits so aircraft already inside aren't logged
+ *   as entering
+ * @returns {Object} Geofences, occupants per geofence id, the event log (newest first) and
+ *   actions to edit them
+ */
+export function useGeofences(aircraft, isLive) {
+  const [geofences, setGeofencesState] = useState(() => loadSetting('geofences', []))
+  const [notificationsEnabled, setNotificationsEnabledState] = useState(() =>
+    loadSetting('geofenceNotifications', false)
+  )
+  const [occupants, setOccupants] = useState({})
+  const [events, setEvents] = useState([])
+
+  // Occupants at the last update, the baseline for detecting crossings
+  const occupantsRef = useRef({})
+
+  useEffect(() => {
+    if (!isLive) return
+    const { occupants: current, events: fresh } = detectGeofenceEvents(
+      geofences,
+      aircraft,
+      occupantsRef.current,
+      Date.now() / 1000
+    )
+    occupantsRef.current = current
+    setOccupants(current)
+    if (fresh.length === 0) return
+
+    setEvents(log => [...fresh.reverse(), ...log].slice(0, GEOFENCE_MAX_EVENTS))
+    if (notificationsEnabled) {
+      fresh.forEach(event => {
+        const action = event.type === 'entry' ? 'entered' : 'left'
+        const name = event.callsign ? cleanCallsign(event.callsign) : event.icao24
+        showNotification(`${name} ${action} ${event.geofenceName}`, {
+          body: [event.icao24, event.registration, event.signalLost && 'signal lost']
+            .filter(Boolean)
+            .join(' · '),
+          tag: event.id,
+        })
+      })
+    }
+  }, [aircraft, isLive, geofences, notificationsEnabled])
+
+  // Save geofences to localStorage
+  const setGeofences = newGeofences => {
+    setGeofencesState(newGeofences)
+    saveSetting('geofences', newGeofences)
+  }
+
+  /**
+   * Add a drawn geofence
+   *
+   * @param {Object} shape - Polygon or circle shape (see utils/geofences)
+   * @param {Object} options - { name, floor, ceiling }
+   */
+  const addGeofence = (shape, options) => {
+    setGeofences([...geofences, createGeofence(shape, options)])
+  }
+
+  const removeGeofence = id => {
+    setGeofences(geofences.filter(geofence => geofence.id !== id))
+  }
+
+  /**
+   * Append geofences read from a file
+   *
+   * @param {Array} imported - Validated geofences from parseGeofences
+   */
+  const importGeofences = imported => {
+    setGeofences([...geofences, ...imported])
+  }
+
+  const clearEvents = () => setEvents([])
+
+  const setNotificationsEnabled = async enabled => {
+    if (enabled) await requestNotificationPermission()
+    setNotificationsEnabledState(enabled)
+    saveSetting('geofenceNotifications', enabled)
+  }
+
+  return {
+    geofences,
+    occupants,
+    events,
+    addGeofence,
+    removeGeofence,
+    importGeofences,
+    clearEvents,
+    notificationsEnabled,
+    setNotificationsEnabled,
+  }
+}
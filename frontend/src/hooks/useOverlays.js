@@ -0,0 +1,123 @@
+/**
+ * Custom hook for aeronautical overlays bundled with the build or loaded from files
+ */
+
+import { useState, useEffect, useMemo } from 'react'
+import { fetchText, isAbortError } from '../services/http'
+import {
+  getAirportPositions,
+  getBundledOverlays,
+  getOverlayFormat,
+  parseOverlay,
+} from '../utils/overlays'
+import { createEntryId } from '../utils/ids'
+import { loadSetting, saveSetting } from '../utils/storage'
+import { loadOfflineValue, saveOfflineValue } from '../utils/offlineStore'
+
+/**
+ * Hook to load overlays and track which are shown
+ * Bundled overlays are fetched on start; files the user adds are parsed once and kept in
+ * IndexedDB, as airspace files can outgrow localStorage.
+ *
+ * @returns {Object} { overlays, airports, addFile, removeOverlay, setVisible } where overlays
+ *   are { id, label, removable, visible, data, error } with data null until loaded, and
+ *   airports are the [longitude, latitude] of every loaded airport, shown or not
+ */
+export function useOverlays() {
+  const [bundled] = useState(getBundledOverlays)
+  const [bundledData, setBundledData] = useState({})
+  const [files, setFiles] = useState([])
+  const [visibility, setVisibilityState] = useState(() => loadSetting('overlayVisibility', {}))
+
+  // Fetch bundled overlays
+  useEffect(() => {
+    const controller = new AbortController()
+
+    bundled.forEach(async overlay => {
+      let result
+      try {
+        const text = await fetchText(overlay.url, { signal: controller.signal })
+        result = { data: parseOverlay(text, overlay.format) }
+      } catch (err) {
+        if (isAbortError(err)) return
+        console.error(`Error loading overlay ${overlay.label}:`, err)
+        result = { error: err.message }
+      }
+      setBundledData(current => ({ ...current, [overlay.id]: result }))
+    })
+
+    return () => controller.abort()
+  }, [bundled])
+
+  // Restore overlays added in earlier sessions
+  useEffect(() => {
+    let cancelled = false
+    loadOfflineValue('overlayFiles').then(stored => {
+      if (!cancelled && stored) setFiles(current => [...stored, ...current])
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // Save user overlays to IndexedDB
+  const updateFiles = newFiles => {
+    setFiles(newFiles)
+    saveOfflineValue('overlayFiles', newFiles)
+  }
+
+  /**
+   * Parse a file chosen by the user and add it as a visible overlay
+   *
+   * @param {File} file - GeoJSON or OpenAir file
+   * @returns {Promise<void>} Resolves once added
+   * @throws {Error} If the file can't be parsed
+   */
+  const addFile = async file => {
+    const data = parseOverlay(await file.text(), getOverlayFormat(file.name))
+    updateFiles([...files, { id: createEntryId(), label: file.name, data }])
+  }
+
+  const removeOverlay = id => {
+    updateFiles(files.filter(overlay => overlay.id !== id))
+  }
+
+  // Save visibility to localStorage
+  const setVisible = (id, visible) => {
+    const newVisibility = { ...visibility, [id]: visible }
+    setVisibilityState(newVisibility)
+    saveSetting('overlayVisibility', newVisibility)
+  }
+
+  const overlays = [
+    ...bundled.map(overlay => ({
+      id: overlay.id,
+      label: overlay.label,
+      removable: false,
+      visible: visibility[overlay.id] ?? overlay.visible,
+      data: bundledData[overlay.id]?.data ?? null,
+      error: bundledData[overlay.id]?.error ?? null,
+    })),
+    ...files.map(overlay => ({
+      id: overlay.id,
+      label: overlay.label,
+      removable: true,
+      visible: visibility[overlay.id] ?? true,
+      data: overlay.data,
+      error: null,
+    })),
+  ]
+
+  const airports = useMemo(
+    () =>
+      getAirportPositions([
+        ...Object.values(bundledData)
+          .map(result => result.data)
+          .filter(Boolean),
+        ...files.map(overlay => overlay.data),
+      ]),
+    [bundledData, files]
+  )
+
+  return { overlays, airports, addFile, removeOverlay, setVisible }
+}
@@ -0,0 +1,299 @@
+/**
+ * Custom hook for replaying stored aircraft positions on a simulated clock
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { fetchAllAircraft, fetchAircraftTrack } from '../services/api'
+import { bearingDegrees, distanceNm } from '../utils/geo'
+import {
+  MAX_TRACK_POINTS,
+  PLAYBACK_TICK_INTERVAL,
+  PLAYBACK_DEFAULT_WINDOW_MINUTES,
+  PLAYBACK_MAX_INTERPOLATION_GAP,
+  PLAYBACK_FETCH_CONCURRENCY,
+} from '../constants'
+
+// Live-only fields with no stored history; reconstructed aircraft carry them as unknown
+const UNRECORDED_FIELDS = {
+  selected_altitude: null,
+  ias: null,
+  tas: null,
+  mach: null,
+  roll: null,
+  heading: null,
+  nacp: null,
+  metadata: [],
+}
+
+/**
+ * Find the earliest stored position among tracked aircraft
+ * The server drops an aircraft's positions once it stops tracking it, so nothing older is kept
+ *
+ * @param {Array} aircraft - Aircraft from `/all`
+ * @returns {number|null} Unix timestamp in seconds, or null if nothing is tracked
+ */
+function getEarliestFirstSeen(aircraft) {
+  return aircraft.reduce(
+    (earliest, ac) => (earliest === null || ac.firstseen < earliest ? ac.firstseen : earliest),
+    null
+  )
+}
+
+/**
+ * Run async tasks with a bounded number in flight
+ *
+ * @param {Array} items - Inputs to process
+ * @param {number} limit - Maximum concurrent tasks
+ * @param {Function} task - Async function called with each item
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length)
+  let next = 0
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await task(items[index])
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
+
+/**
+ * Find the index of the last track point at or before a timestamp
+ *
+ * @param {Array} points - Track points sorted by timestamp
+ * @param {number} time - Unix timestamp in seconds
+ * @returns {number} Index, or -1 if every point is later
+ */
+function findPointIndex(points, time) {
+  let low = 0
+  let high = points.length - 1
+  let found = -1
+  while (low <= high) {
+    const mid = (low + high) >> 1
+    if (points[mid].timestamp <= time) {
+      found = mid
+      low = mid + 1
+    } else {
+      high = mid - 1
+    }
+  }
+  return found
+}
+
+/**
+ * Reconstruct an aircraft state vector at a point in time from its stored track
+ * Positions are interpolated between neighbouring points; speed and heading are derived from them
+ *
+ * @param {Object} info - Aircraft state from `/all` with its live-only fields cleared
+ * @param {Array} points - Track points sorted by timestamp
+ * @param {number} time - Unix timestamp in seconds
+ * @returns {Object|null} Aircraft object, or null if it hadn't appeared yet
+ */
+function getAircraftAtTime(info, points, time) {
+  const index = findPointIndex(points, time)
+  if (index === -1) return null
+
+  const prev = points[index]
+  const next = points[index + 1]
+  let { latitude, longitude, altitude } = prev
+
+  const canInterpolate = next && next.timestamp - prev.timestamp <= PLAYBACK_MAX_INTERPOLATION_GAP
+  if (canInterpolate && next.timestamp > prev.timestamp) {
+    const ratio = (time - prev.timestamp) / (next.timestamp - prev.timestamp)
+    latitude += (next.latitude - prev.latitude) * ratio
+    longitude += (next.longitude - prev.longitude) * ratio
+    if (typeof altitude === 'number' && typeof next.altitude === 'number') {
+      altitude = Math.round(altitude + (next.altitude - altitude) * ratio)
+    }
+  }
+
+  // Derive motion from the segment the aircraft is on (or the one that brought it here)
+  const from = canInterpolate ? prev : points[index - 1]
+  const to = canInterpolate ? next : prev
+  let track = null
+  let groundspeed = null
+  let verticalRate = null
+  if (from && to && to.timestamp > from.timestamp) {
+    const hours = (to.timestamp - from.timestamp) / 3600
+    track = bearingDegrees(from.latitude, from.longitude, to.latitude, to.longitude)
+    groundspeed = distanceNm(from.latitude, from.longitude, to.latitude, to.longitude) / hours
+    if (typeof from.altitude === 'number' && typeof to.altitude === 'number') {
+      verticalRate = Math.round((to.altitude - from.altitude) / (hours * 60))
+    }
+  }
+
+  return {
+    ...info,
+    latitude,
+    longitude,
+    altitude,
+    track,
+    groundspeed,
+    vertical_rate: verticalRate,
+    lastseen: prev.timestamp,
+    // Positions stored so far; each one came from at least one message
+    count: index + 1,
+  }
+}
+
+/**
+ * Hook to load a historical time window and play it back
+ *
+ * @param {boolean} enabled - Whether playback mode is active; the clock pauses when disabled
+ * @returns {Object} Playback state (window, stored history bounds, clock, speed, reconstructed
+ *   aircraft and trails) and controls (load, play, pause, seek, step, setSpeed)
+ */
+export function usePlayback(enabled) {
+  const [range, setRange] = useState(() => {
+    const end = Math.floor(Date.now() / 1000)
+    return { start: end - PLAYBACK_DEFAULT_WINDOW_MINUTES * 60, end }
+  })
+  const [recording, setRecording] = useState(null) // { info: {icao24: aircraft}, tracks: {icao24: points} }
+  const [currentTime, setCurrentTime] = useState(range.start)
+  const [isPlaying, setIsPlaying] = useState(false)
+  const [speed, setSpeed] = useState(10)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [available, setAvailable] = useState(null) // { start, end } of the stored history
+
+  // Find out how far back stored history reaches whenever playback is opened
+  useEffect(() => {
+    if (!enabled) return undefined
+
+    let cancelled = false
+    fetchAllAircraft()
+      .then(all => {
+        if (cancelled) return
+        const start = getEarliestFirstSeen(all)
+        setAvailable(start === null ? null : { start, end: Math.floor(Date.now() / 1000) })
+      })
+      .catch(err => console.error('Error fetching stored history bounds:', err))
+
+    return () => {
+      cancelled = true
+    }
+  }, [enabled])
+
+  /**
+   * Fetch every aircraft active in a window along with its stored positions
+   * The window is clamped to the history the server still holds
+   *
+   * @param {number} start - Window start as a Unix timestamp
+   * @param {number} end - Window end as a Unix timestamp
+   */
+  const load = useCallback(async (start, end) => {
+    setIsPlaying(false)
+    setLoading(true)
+    setError(null)
+    try {
+      const all = await fetchAllAircraft()
+      const now = Math.floor(Date.now() / 1000)
+      const earliest = getEarliestFirstSeen(all)
+      setAvailable(earliest === null ? null : { start: earliest, end: now })
+      if (earliest === null || start > now || end < earliest) {
+        throw new Error('No stored positions in this window')
+      }
+      const windowStart = Math.max(start, earliest)
+      const windowEnd = Math.min(end, now)
+
+      const candidates = all.filter(ac => ac.lastseen >= windowStart && ac.firstseen <= windowEnd)
+
+      const trackLists = await mapWithConcurrency(candidates, PLAYBACK_FETCH_CONCURRENCY, ac =>
+        fetchAircraftTrack(ac.icao24, windowStart)
+      )
+
+      const info = {}
+      const tracks = {}
+      candidates.forEach((ac, i) => {
+        const points = trackLists[i].filter(p => p.timestamp <= windowEnd)
+        if (points.length > 0) {
+          info[ac.icao24] = { ...ac, ...UNRECORDED_FIELDS }
+          tracks[ac.icao24] = points
+        }
+      })
+
+      setRange({ start: windowStart, end: windowEnd })
+      setRecording({ info, tracks })
+      setCurrentTime(windowStart)
+    } catch (err) {
+      console.error('Error loading playback window:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  // Advance the simulated clock while playing
+  useEffect(() => {
+    if (!enabled || !isPlaying) return undefined
+
+    const interval = setInterval(() => {
+      setCurrentTime(time => Math.min(time + (PLAYBACK_TICK_INTERVAL / 1000) * speed, range.end))
+    }, PLAYBACK_TICK_INTERVAL)
+
+    return () => clearInterval(interval)
+  }, [enabled, isPlaying, speed, range.end])
+
+  // Stop at the end of the window
+  useEffect(() => {
+    if (currentTime >= range.end) setIsPlaying(false)
+  }, [currentTime, range.end])
+
+  const seek = useCallback(
+    time => setCurrentTime(Math.min(Math.max(time, range.start), range.end)),
+    [range]
+  )
+
+  const step = useCallback(seconds => seek(currentTime + seconds), [seek, currentTime])
+
+  // Aircraft as they were at the simulated time
+  const aircraft = useMemo(() => {
+    if (!recording) return []
+    return Object.entries(recording.tracks)
+      .map(([icao24, points]) => getAircraftAtTime(recording.info[icao24], points, currentTime))
+      .filter(Boolean)
+  }, [recording, currentTime])
+
+  // Trails up to the simulated time, in the same shape useAircraftTracks produces
+  const tracks = useMemo(() => {
+    if (!recording) return {}
+    const result = {}
+    Object.entries(recording.tracks).forEach(([icao24, points]) => {
+      const end = findPointIndex(points, currentTime) + 1
+      if (end > 0) {
+        result[icao24] = points
+          .slice(Math.max(0, end - MAX_TRACK_POINTS), end)
+          .map(p => [p.longitude, p.latitude, p.timestamp * 1000, p.altitude ?? null])
+      }
+    })
+    return result
+  }, [recording, currentTime])
+
+  return {
+    range,
+    currentTime,
+    isPlaying,
+    speed,
+    loading,
+    error,
+    isLoaded: recording !== null,
+    available,
+    aircraft,
+    tracks,
+    load,
+    play: () => {
+      // Replay from the start once the end has been reached
+      if (currentTime >= range.end) setCurrentTime(range.start)
+      setIsPlaying(true)
+    },
+    pause: () => setIsPlaying(false),
+    seek,
+    step,
+    setSpeed,
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Custom hook for the receiver position, range rings and observed coverage
+ */
+
+import { useState, useEffect } from 'react'
+import { loadSetting, saveSetting } from '../utils/storage'
+import { createEmptyCoverage, recordCoverage } from '../utils/coverage'
+import { DEFAULT_RECEIVER, DEFAULT_RANGE_RINGS } from '../constants'
+
+/**
+ * Load stored coverage if it was recorded for the same receiver position and sector layout
+ *
+ * @param {Object|null} receiver - Receiver position { latitude, longitude }
+ * @returns {Object} Coverage
+ */
+function loadCoverage(receiver) {
+  const stored = loadSetting('coverage', null)
+  const empty = createEmptyCoverage()
+  const matches =
+    stored &&
+    receiver &&
+    stored.receiver?.latitude === receiver.latitude &&
+    stored.receiver?.longitude === receiver.longitude &&
+    Object.keys(empty).every(key => stored.sectors?.[key]?.length === empty[key].length)
+  return matches ? stored.sectors : empty
+}
+
+/**
+ * Hook to manage receiver settings and accumulate coverage from live positions
+ *
+ * @param {Array} aircraft - Array of aircraft objects as received from the API
+ * @returns {Object} Receiver settings, coverage by sector, and actions to change them
+ */
+export function useReceiver(aircraft) {
+  const [receiver, setReceiverState] = useState(() => loadSetting('receiver', DEFAULT_RECEIVER))
+  const [rangeRings, setRangeRingsState] = useState(() =>
+    loadSetting('rangeRings', DEFAULT_RANGE_RINGS)
+  )
+  const [showCoverage, setShowCoverageState] = useState(() => loadSetting('showCoverage', false))
+  const [coverageByAltitude, setCoverageByAltitudeState] = useState(() =>
+    loadSetting('coverageByAltitude', false)
+  )
+  const [coverage, setCoverage] = useState(() => loadCoverage(receiver))
+
+  // Grow coverage as positions arrive
+  useEffect(() => {
+    if (receiver) {
+      setCoverage(current => recordCoverage(current, receiver, aircraft))
+    }
+  }, [aircraft, receiver])
+
+  // Persist coverage alongside the position it was measured from
+  useEffect(() => {
+    if (receiver) saveSetting('coverage', { receiver, sectors: coverage })
+  }, [coverage, receiver])
+
+  // Coverage measured from the old position no longer applies
+  const setReceiver = newReceiver => {
+    setReceiverState(newReceiver)
+    saveSetting('receiver', newReceiver)
+    setCoverage(createEmptyCoverage())
+  }
+
+  const setRangeRings = radii => {
+    setRangeRingsState(radii)
+    saveSetting('rangeRings', radii)
+  }
+
+  const setShowCoverage = show => {
+    setShowCoverageState(show)
+    saveSetting('showCoverage', show)
+  }
+
+  const setCoverageByAltitude = byAltitude => {
+    setCoverageByAltitudeState(byAltitude)
+    saveSetting('coverageByAltitude', byAltitude)
+  }
+
+  const resetCoverage = () => setCoverage(createEmptyCoverage())
+
+  return {
+    receiver,
+    setReceiver,
+    rangeRings,
+    setRangeRings,
+    coverage,
+    showCoverage,
+    setShowCoverage,
+    coverageByAltitude,
+    setCoverageByAltitude,
+    resetCoverage,
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Custom hook for per-receiver aircraft counts and message rates
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { fetchSensors } from '../services/api'
+import { isAbortError } from '../services/http'
+import { getAircraftSerials } from '../utils/sensors'
+import { SENSOR_REFRESH_INTERVAL, SENSOR_RATE_WINDOW } from '../constants'
+
+/**
+ * Split the messages received for each aircraft since the last update between its receivers
+ * The backend only counts messages per aircraft, so each aircraft's new messages are shared
+ * out in proportion to how often each receiver appears in its recent metadata.
+ *
+ * @param {Array} aircraft - Array of aircraft objects as received from the API
+ * @param {Object} previousCounts - Message count per icao24 at the last update
+ * @returns {Object} Estimated new messages per serial
+ */
+function attributeMessages(aircraft, previousCounts) {
+  const bySerial = {}
+
+  aircraft.forEach(ac => {
+    const previous = previousCounts[ac.icao24]
+    const delta = typeof previous === 'number' ? ac.count - previous : 0
+    const entries = (ac.metadata || []).filter(entry => entry.serial != null)
+    if (delta <= 0 || entries.length === 0) return
+
+    entries.forEach(entry => {
+      bySerial[entry.serial] = (bySerial[entry.serial] || 0) + delta / entries.length
+    })
+  })
+
+  return bySerial
+}
+
+/**
+ * Hook to list receivers with the aircraft they hear and their message rates
+ *
+ * @param {Array} aircraft - Array of aircraft objects as received from the API
+ * @returns {Object} { sensors, error } where sensors are { serial, aircraftCount, messageRate }
+ *   sorted by serial; messageRate is in messages per second, or null until two updates arrive
+ */
+export function useSensors(aircraft) {
+  const [knownSerials, setKnownSerials] = useState([])
+  const [error, setError] = useState(null)
+  const [messageRates, setMessageRates] = useState(null)
+  const previousRef = useRef(null)
+  const samplesRef = useRef([])
+
+  // Receivers the backend has stored messages from, including ones hearing nothing right now
+  useEffect(() => {
+    const controller = new AbortController()
+
+    const loadSensors = async () => {
+      try {
+        const data = await fetchSensors({ signal: controller.signal })
+        setKnownSerials(data.map(sensor => sensor.serial))
+        setError(null)
+      } catch (err) {
+        if (!isAbortError(err)) setError(err.message)
+      }
+    }
+
+    loadSensors()
+    const interval = setInterval(loadSensors, SENSOR_REFRESH_INTERVAL * 1000)
+
+    return () => {
+      controller.abort()
+      clearInterval(interval)
+    }
+  }, [])
+
+  // Average messages attributed to each receiver over the rate window
+  useEffect(() => {
+    const now = Date.now()
+    const previous = previousRef.current
+    previousRef.current = {
+      time: now,
+      counts: Object.fromEntries(aircraft.map(ac => [ac.icao24, ac.count])),
+    }
+    if (!previous || now <= previous.time) return
+
+    const windowStart = now - SENSOR_RATE_WINDOW * 1000
+    const sample = { since: previous.time, messages: attributeMessages(aircraft, previous.counts) }
+    samplesRef.current = [...samplesRef.current.filter(s => s.since >= windowStart), sample]
+
+    const seconds = (now - samplesRef.current[0].since) / 1000
+    const totals = {}
+    samplesRef.current.forEach(({ messages }) => {
+      Object.entries(messages).forEach(([serial, count]) => {
+        totals[serial] = (totals[serial] || 0) + count
+      })
+    })
+    setMessageRates(
+      Object.fromEntries(Object.entries(totals).map(([serial, total]) => [serial, total / seconds]))
+    )
+  }, [aircraft])
+
+  const sensors = useMemo(() => {
+    const aircraftCounts = {}
+    aircraft.forEach(ac => {
+      getAircraftSerials(ac).forEach(serial => {
+        aircraftCounts[serial] = (aircraftCounts[serial] || 0) + 1
+      })
+    })
+
+    const serials = new Set([
+      ...knownSerials.map(String),
+      ...Object.keys(aircraftCounts),
+      ...Object.keys(messageRates || {}),
+    ])
+
+    return [...serials]
+      .map(serial => ({
+        serial: Number(serial),
+        aircraftCount: aircraftCounts[serial] || 0,
+        messageRate: messageRates ? messageRates[serial] || 0 : null,
+      }))
+      .sort((a, b) => a.serial - b.serial)
+  }, [aircraft, knownSerials, messageRates])
+
+  return { sensors, error }
+}
@@ -0,0 +1,58 @@
+/**
+ * Custom hook collecting traffic and signal statistics for the current session
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { buildStatsSample, recordRssi } from '../utils/sessionStats'
+import { STATS_SAMPLE_INTERVAL, STATS_MAX_SAMPLES } from '../constants'
+
+/**
+ * Hook to sample aircraft snapshots into time series and an RSSI histogram
+ * Snapshots arriving within STATS_SAMPLE_INTERVAL of the last sample are skipped, so rates
+ * are measured over at least that long however often the stream updates.
+ *
+ * @param {Array} aircraft - Array of aircraft objects as received from the API
+ * @param {Object|null} receiver - Receiver position used for the max range series
+ * @returns {Object} { samples, rssiHistogram, reset }
+ */
+export function useSessionStats(aircraft, receiver) {
+  const [samples, setSamples] = useState([])
+  const [rssiHistogram, setRssiHistogram] = useState({})
+  const previousRef = useRef(null)
+  const lastRecordedRef = useRef({})
+  const rssiHistogramRef = useRef({})
+
+  useEffect(() => {
+    if (aircraft.length === 0) return
+
+    const timestamp = Date.now() / 1000
+    const previous = previousRef.current
+    if (previous && timestamp - previous.timestamp < STATS_SAMPLE_INTERVAL) return
+
+    const sample = buildStatsSample(aircraft, previous, timestamp, receiver)
+    previousRef.current = {
+      timestamp,
+      counts: Object.fromEntries(aircraft.map(ac => [ac.icao24, ac.count])),
+    }
+
+    // Recorded outside a state updater, which may run twice, as it advances lastRecordedRef
+    rssiHistogramRef.current = recordRssi(
+      rssiHistogramRef.current,
+      lastRecordedRef.current,
+      aircraft
+    )
+
+    setSamples(current => [...current, sample].slice(-STATS_MAX_SAMPLES))
+    setRssiHistogram(rssiHistogramRef.current)
+  }, [aircraft, receiver])
+
+  const reset = () => {
+    previousRef.current = null
+    lastRecordedRef.current = {}
+    rssiHistogramRef.current = {}
+    setSamples([])
+    setRssiHistogram({})
+  }
+
+  return { samples, rssiHistogram, reset }
+}
@@ -0,0 +1,144 @@
+/**
+ * Custom hook for detecting emergency and watched squawk codes
+ */
+
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react'
+import { cleanCallsign } from '../utils/format'
+import { loadSetting, saveSetting } from '../utils/storage'
+import {
+  requestNotificationPermission,
+  showNotification,
+  playAlertTone,
+  unlockAlertSound,
+} from '../utils/notifications'
+import { EMERGENCY_SQUAWKS, SQUAWK_ACK_EXPIRY_HOURS } from '../constants'
+
+/**
+ * Drop acknowledgements past their expiry
+ *
+ * @param {Object} acknowledged - Map of alert key to expiry time in milliseconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} The acknowledgements still in force
+ */
+function pruneAcknowledged(acknowledged, now) {
+  return Object.fromEntries(Object.entries(acknowledged).filter(([, expires]) => expires > now))
+}
+
+/**
+ * Hook to detect aircraft squawking emergency or watched codes
+ * Alerts fire once per aircraft/code pair; acknowledged pairs stay silenced, across reloads,
+ * until the acknowledgement expires
+ *
+ * @param {Array} aircraft - Array of aircraft objects within the max age
+ * @param {boolean} isLive - Whether the aircraft are a live update; while offline or showing a
+ *   stale snapshot there are no alerts
+ * @returns {Object} Active alerts, alerting aircraft, acknowledge action and alert settings
+ */
+export function useSquawkAlerts(aircraft, isLive) {
+  const [watchList, setWatchListState] = useState(() => loadSetting('squawkWatchList', []))
+  const [soundEnabled, setSoundEnabledState] = useState(() =>
+    loadSetting('squawkAlertSound', false)
+  )
+  const [notificationsEnabled, setNotificationsEnabledState] = useState(() =>
+    loadSetting('squawkAlertNotifications', false)
+  )
+  const [acknowledged, setAcknowledgedState] = useState(() =>
+    pruneAcknowledged(loadSetting('squawkAcknowledged', {}), Date.now())
+  )
+
+  // Alerts we've already announced, so sound and notifications don't repeat every poll
+  const announcedRef = useRef(new Set())
+
+  const alerts = useMemo(() => {
+    if (!isLive) return []
+    const watched = new Set(watchList)
+    return aircraft
+      .filter(ac => ac.squawk && (EMERGENCY_SQUAWKS[ac.squawk] || watched.has(ac.squawk)))
+      .map(ac => ({
+        key: `${ac.icao24}-${ac.squawk}`,
+        icao24: ac.icao24,
+        callsign: cleanCallsign(ac.callsign),
+        squawk: ac.squawk,
+        isEmergency: Boolean(EMERGENCY_SQUAWKS[ac.squawk]),
+        description: EMERGENCY_SQUAWKS[ac.squawk] || 'Watched code',
+      }))
+  }, [aircraft, isLive, watchList])
+
+  const activeAlerts = useMemo(
+    () => alerts.filter(alert => !(acknowledged[alert.key] > Date.now())),
+    [alerts, acknowledged]
+  )
+
+  // ICAO24s currently squawking an alert code, acknowledged or not
+  const alertIcao24s = useMemo(() => alerts.map(alert => alert.icao24), [alerts])
+
+  // Announce newly detected alerts
+  useEffect(() => {
+    const fresh = activeAlerts.filter(alert => !announcedRef.current.has(alert.key))
+    if (fresh.length === 0) return
+
+    fresh.forEach(alert => {
+      announcedRef.current.add(alert.key)
+      if (notificationsEnabled) {
+        showNotification(`Squawk ${alert.squawk}: ${alert.description}`, {
+          body: `${alert.callsign} (${alert.icao24})`,
+          tag: alert.key,
+        })
+      }
+    })
+    if (soundEnabled) playAlertTone()
+  }, [activeAlerts, soundEnabled, notificationsEnabled])
+
+  // A sound setting restored from storage still needs a user interaction before audio can start
+  useEffect(() => {
+    if (!soundEnabled) return undefined
+
+    const events = ['pointerdown', 'keydown']
+    events.forEach(event => document.addEventListener(event, unlockAlertSound, { once: true }))
+    return () => events.forEach(event => document.removeEventListener(event, unlockAlertSound))
+  }, [soundEnabled])
+
+  // Silence an alert for SQUAWK_ACK_EXPIRY_HOURS, remembered across reloads
+  const acknowledge = useCallback(
+    key => {
+      const now = Date.now()
+      const newAcknowledged = {
+        ...pruneAcknowledged(acknowledged, now),
+        [key]: now + SQUAWK_ACK_EXPIRY_HOURS * 3600 * 1000,
+      }
+      setAcknowledgedState(newAcknowledged)
+      saveSetting('squawkAcknowledged', newAcknowledged)
+    },
+    [acknowledged]
+  )
+
+  // Save settings to localStorage
+  const setWatchList = codes => {
+    setWatchListState(codes)
+    saveSetting('squawkWatchList', codes)
+  }
+
+  const setSoundEnabled = enabled => {
+    if (enabled) unlockAlertSound()
+    setSoundEnabledState(enabled)
+    saveSetting('squawkAlertSound', enabled)
+  }
+
+  const setNotificationsEnabled = async enabled => {
+    if (enabled) await requestNotificationPermission()
+    setNotificationsEnabledState(enabled)
+    saveSetting('squawkAlertNotifications', enabled)
+  }
+
+  return {
+    alerts: activeAlerts,
+    alertIcao24s,
+    acknowledge,
+    watchList,
+    setWatchList,
+    soundEnabled,
+    setSoundEnabled,
+    notificationsEnabled,
+    setNotificationsEnabled,
+  }
+}
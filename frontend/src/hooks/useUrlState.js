@@ -0,0 +1,40 @@
+/**
+ * Custom hook for mirroring app state in the URL
+ */
+
+import { useEffect } from 'react'
+import { buildUrlSearch, parseUrlState } from '../utils/urlState'
+
+/**
+ * Hook to keep the query string in sync with the shareable app state
+ * Selection changes push a history entry so back/forward step through them; every other change
+ * replaces the current entry. Navigating history restores the selection stored in that entry.
+ *
+ * @param {Object} state - Shareable state (see buildUrlSearch)
+ * @param {Function} onSelectionChange - Called with an icao24, or null, after back/forward navigation
+ */
+export function useUrlState(state, onSelectionChange) {
+  const search = buildUrlSearch(state)
+  const selectedIcao24 = state.selectedIcao24 ?? null
+
+  useEffect(() => {
+    if (search === window.location.search) return
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`
+    const previousIcao24 = parseUrlState(window.location.search).selectedIcao24 ?? null
+    if (previousIcao24 !== selectedIcao24) {
+      window.history.pushState(null, '', url)
+    } else {
+      window.history.replaceState(null, '', url)
+    }
+  }, [search, selectedIcao24])
+
+  useEffect(() => {
+    const handlePopState = () => {
+      onSelectionChange(parseUrlState(window.location.search).selectedIcao24 ?? null)
+    }
+
+    window.addEventListener('popstate', handlePopState)
+    return () => window.removeEventListener('popstate', handlePopState)
+  }, [onSelectionChange])
+}
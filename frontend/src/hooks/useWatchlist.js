@@ -0,0 +1,90 @@
+/**
+ * Custom hook for managing the aircraft watchlist
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { cleanCallsign } from '../utils/format'
+import { loadSetting, saveSetting } from '../utils/storage'
+import { requestNotificationPermission, showNotification } from '../utils/notifications'
+import { createWatchMatcher } from '../utils/watchlist'
+import { createEntryId } from '../utils/ids'
+
+/**
+ * Hook to match aircraft against a persisted watchlist and announce arrivals
+ *
+ * @param {Array} aircraft - Array of aircraft objects as received from the API
+ * @returns {Object} Watchlist entries, matching aircraft ICAO24s, and actions to edit the list
+ */
+export function useWatchlist(aircraft) {
+  const [entries, setEntriesState] = useState(() => loadSetting('watchlist', []))
+  const [notificationsEnabled, setNotificationsEnabledState] = useState(() =>
+    loadSetting('watchlistNotifications', false)
+  )
+
+  // Matches present on the previous update, so we only announce aircraft as they appear
+  const presentRef = useRef(new Set())
+
+  const matcher = useMemo(() => createWatchMatcher(entries), [entries])
+
+  const matchedAircraft = useMemo(() => aircraft.filter(matcher), [aircraft, matcher])
+
+  const watchedIcao24s = useMemo(() => matchedAircraft.map(ac => ac.icao24), [matchedAircraft])
+
+  // Announce watched aircraft that have just appeared in the feed
+  useEffect(() => {
+    const present = new Set(watchedIcao24s)
+    if (notificationsEnabled) {
+      matchedAircraft
+        .filter(ac => !presentRef.current.has(ac.icao24))
+        .forEach(ac => {
+          showNotification(`Watched aircraft: ${cleanCallsign(ac.callsign)}`, {
+            body: [ac.icao24, ac.registration, ac.typecode].filter(Boolean).join(' · '),
+            tag: `watch-${ac.icao24}`,
+          })
+        })
+    }
+    presentRef.current = present
+  }, [matchedAircraft, watchedIcao24s, notificationsEnabled])
+
+  // Save entries to localStorage
+  const setEntries = newEntries => {
+    setEntriesState(newEntries)
+    saveSetting('watchlist', newEntries)
+  }
+
+  const addEntry = ({ field, pattern, label = '' }) => {
+    setEntries([...entries, { id: createEntryId(), field, pattern: pattern.trim(), label }])
+  }
+
+  const removeEntry = id => {
+    setEntries(entries.filter(entry => entry.id !== id))
+  }
+
+  /**
+   * Merge imported entries, skipping ones already on the list
+   *
+   * @param {Array} imported - Validated entries from parseWatchlist
+   */
+  const importEntries = imported => {
+    const existing = new Set(entries.map(entry => `${entry.field}:${entry.pattern}`))
+    const fresh = imported.filter(entry => !existing.has(`${entry.field}:${entry.pattern}`))
+    setEntries([...entries, ...fresh])
+  }
+
+  const setNotificationsEnabled = async enabled => {
+    if (enabled) await requestNotificationPermission()
+    setNotificationsEnabledState(enabled)
+    saveSetting('watchlistNotifications', enabled)
+  }
+
+  return {
+    entries,
+    watchedIcao24s,
+    matchedAircraft,
+    addEntry,
+    removeEntry,
+    importEntries,
+    notificationsEnabled,
+    setNotificationsEnabled,
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Adapter for dump1090, readsb and tar1090 `aircraft.json` feeds
+ *
+ * These feeds report seconds since each aircraft was last heard rather than timestamps, use
+ * their own field names, and keep no history, so track and sensor requests return nothing.
+ */
+
+import { fetchJson } from '../http'
+
+/**
+ * First value that is a finite number
+ *
+ * @param {...*} values - Candidate values
+ * @returns {number|null} The number, or null if none is
+ */
+function firstNumber(...values) {
+  return values.find(value => Number.isFinite(value)) ?? null
+}
+
+/**
+ * Round a number, keeping null
+ *
+ * @param {number|null} value - Value
+ * @returns {number|null} Rounded value
+ */
+function round(value) {
+  return value === null ? null : Math.round(value)
+}
+
+/**
+ * Convert one aircraft.json entry to the AircraftStateSchema shape
+ *
+ * @param {Object} entry - aircraft.json entry
+ * @param {number} now - Feed timestamp in seconds
+ * @param {number} firstseen - When this adapter first saw the aircraft
+ * @returns {Object} Aircraft state
+ */
+function toAircraftState(entry, now, firstseen) {
+  const lastseen = now - (entry.seen ?? 0)
+  const onGround = entry.alt_baro === 'ground'
+
+  return {
+    // Non-ICAO addresses (TIS-B, anonymised) are prefixed with '~'
+    icao24: entry.hex.replace(/^~/, '').toLowerCase(),
+    firstseen: Math.floor(firstseen),
+    lastseen: Math.floor(lastseen),
+    callsign: entry.flight?.trim() || null,
+    registration: entry.r ?? null,
+    typecode: entry.t ?? null,
+    type_description: entry.desc ?? null,
+    squawk: entry.squawk ?? null,
+    latitude: firstNumber(entry.lat),
+    longitude: firstNumber(entry.lon),
+    altitude: onGround ? 0 : round(firstNumber(entry.alt_baro, entry.altitude, entry.alt_geom)),
+    selected_altitude: round(firstNumber(entry.nav_altitude_mcp, entry.nav_altitude_fms)),
+    groundspeed: firstNumber(entry.gs, entry.speed),
+    vertical_rate: round(firstNumber(entry.baro_rate, entry.geom_rate, entry.vert_rate)),
+    track: firstNumber(entry.track),
+    ias: firstNumber(entry.ias),
+    tas: firstNumber(entry.tas),
+    mach: firstNumber(entry.mach),
+    roll: firstNumber(entry.roll),
+    heading: firstNumber(entry.true_heading, entry.mag_heading),
+    nacp: firstNumber(entry.nac_p),
+    count: firstNumber(entry.messages) ?? 0,
+    metadata: Number.isFinite(entry.rssi)
+      ? [{ system_timestamp: lastseen, nanoseconds: 0, rssi: entry.rssi, serial: null }]
+      : [],
+  }
+}
+
+/**
+ * Create an adapter for an aircraft.json URL
+ *
+ * @param {string} url - URL of aircraft.json, e.g. http://pi.local/tar1090/data/aircraft.json
+ * @returns {Object} Feed adapter
+ */
+export function createDump1090Adapter(url) {
+  // The feed has no first-seen time, so remember when each aircraft first appeared
+  const firstSeen = {}
+
+  return {
+    supportsStream: false,
+
+    fetchAllAircraft: async options => {
+      const data = await fetchJson(url, options)
+      if (!Array.isArray(data?.aircraft)) {
+        throw new Error('Invalid aircraft.json response: expected an `aircraft` array')
+      }
+
+      const now = Number.isFinite(data.now) ? data.now : Date.now() / 1000
+      return data.aircraft
+        .filter(entry => typeof entry.hex === 'string')
+        .map(entry => {
+          const icao24 = entry.hex.replace(/^~/, '').toLowerCase()
+          if (!firstSeen[icao24]) firstSeen[icao24] = now - (entry.seen ?? 0)
+          return toAircraftState(entry, now, firstSeen[icao24])
+        })
+    },
+
+    fetchAircraftTrack: async () => [],
+
+    fetchSensors: async () => [],
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Adapter for this project's API and jet1090, whose endpoints it mirrors
+ */
+
+import { fetchJson } from '../http'
+
+/**
+ * Create an adapter for a jet1090-compatible server
+ *
+ * @param {string} baseUrl - Server URL, e.g. http://localhost:8000
+ * @returns {Object} Feed adapter
+ */
+export function createJet1090Adapter(baseUrl) {
+  return {
+    supportsStream: true,
+
+    fetchAllAircraft: options => fetchJson(`${baseUrl}/all`, options),
+
+    fetchAircraftTrack: (icao24, since, options) => {
+      const params = new URLSearchParams({ icao24 })
+      if (since !== undefined && since !== null) {
+        params.set('since', Math.floor(since))
+      }
+      return fetchJson(`${baseUrl}/track?${params}`, options)
+    },
+
+    fetchSensors: options => fetchJson(`${baseUrl}/sensors`, options),
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Adapter serving a static recorded file, for demos and offline testing
+ *
+ * The file is either a saved `/all` response (such as the JSON aircraft snapshot export) or
+ * an object `{ aircraft: [...], tracks: { icao24: [...] } }` adding `/track` style histories.
+ */
+
+import { fetchJson } from '../http'
+
+/**
+ * Create an adapter for a recorded JSON file
+ *
+ * @param {string} url - URL of the recording
+ * @returns {Object} Feed adapter
+ */
+export function createRecordedAdapter(url) {
+  let recording = null
+
+  /**
+   * Load the recording once; a failed load is retried on the next request
+   * The shared load only takes the timeout, so one caller cancelling doesn't fail the others.
+   *
+   * @param {Object} [options] - Request options
+   * @returns {Promise<Object>} Recording as { aircraft, tracks }
+   */
+  const load = options => {
+    if (!recording) {
+      recording = fetchJson(url, { timeout: options?.timeout })
+        .then(data => (Array.isArray(data) ? { aircraft: data, tracks: {} } : data))
+        .catch(err => {
+          recording = null
+          throw err
+        })
+    }
+    return recording
+  }
+
+  return {
+    supportsStream: false,
+
+    fetchAllAircraft: async options => (await load(options)).aircraft,
+
+    fetchAircraftTrack: async (icao24, since, options) => {
+      const { tracks } = await load(options)
+      const points = tracks?.[icao24] ?? []
+      return since === undefined || since === null
+        ? points
+        : points.filter(point => point.timestamp >= since)
+    },
+
+    fetchSensors: async options => {
+      const { aircraft } = await load(options)
+      const serials = new Set()
+      for (const ac of Array.isArray(aircraft) ? aircraft : []) {
+        for (const entry of ac.metadata || []) {
+          if (Number.isFinite(entry.serial)) serials.add(entry.serial)
+        }
+      }
+      return [...serials].map(serial => ({ serial }))
+    },
+  }
+}
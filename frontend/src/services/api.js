@@ -1,58 +1,167 @@
 /**
  * API service for fetching aircraft data
+ *
+ * Requests go through the feed adapter chosen by VITE_API_ADAPTER and responses are validated
+ * against the backend schemas. Every fetch accepts `{ signal, timeout }` options.
  */
 
-import { API_URL } from '../constants'
+import { createJet1090Adapter } from './adapters/jet1090'
+import { createDump1090Adapter } from './adapters/dump1090'
+import { createRecordedAdapter } from './adapters/recorded'
+import { parseAircraftStates, parseAircraftUpdate, parseSensors, parseTrackPoints } from './schemas'
+import {
+  API_URL,
+  API_ADAPTER,
+  STREAM_URL,
+  STREAM_RECONNECT_MIN_DELAY,
+  STREAM_RECONNECT_MAX_DELAY,
+} from '../constants'
+
+/** @typedef {import('./schemas').AircraftState} AircraftState */
+/** @typedef {import('./schemas').TrackPoint} TrackPoint */
+/** @typedef {import('./schemas').Sensor} Sensor */
+
+// Feed adapters by VITE_API_ADAPTER name, each created with VITE_API_URL
+const ADAPTERS = {
+  jet1090: createJet1090Adapter,
+  dump1090: createDump1090Adapter,
+  recorded: createRecordedAdapter,
+}
+
+if (!ADAPTERS[API_ADAPTER]) {
+  console.warn(`Unknown VITE_API_ADAPTER "${API_ADAPTER}", using jet1090`)
+}
+const adapter = (ADAPTERS[API_ADAPTER] || createJet1090Adapter)(API_URL)
 
 /**
  * Fetches all aircraft from the API
  *
- * @returns {Promise<Array>} Array of aircraft objects
- * @throws {Error} If the API request fails
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @param {number} [options.timeout] - Milliseconds before giving up
+ * @returns {Promise<Array<AircraftState>>} Array of validated aircraft objects
+ * @throws {Error} If the API request fails or the response is not a list
  */
-export async function fetchAllAircraft() {
-  const response = await fetch(`${API_URL}/all`)
-
-  if (!response.ok) {
-    throw new Error(`HTTP error! status: ${response.status}`)
-  }
-
-  const data = await response.json()
-  return data
+export async function fetchAllAircraft(options) {
+  return parseAircraftStates(await adapter.fetchAllAircraft(options))
 }
 
 /**
  * Fetches a single aircraft by ICAO24 identifier
+ * The API has no per-aircraft endpoint, so this picks the aircraft out of `/all`.
  *
  * @param {string} icao24 - Aircraft ICAO24 identifier
- * @returns {Promise<Object>} Aircraft object
+ * @param {Object} [options] - Request options, as for fetchAllAircraft
+ * @returns {Promise<AircraftState|null>} Aircraft object, or null if it isn't being tracked
  * @throws {Error} If the API request fails
  */
-export async function fetchAircraftByIcao(icao24) {
-  const response = await fetch(`${API_URL}/aircraft/${icao24}`)
-
-  if (!response.ok) {
-    throw new Error(`HTTP error! status: ${response.status}`)
-  }
-
-  const data = await response.json()
-  return data
+export async function fetchAircraftByIcao(icao24, options) {
+  const aircraft = await fetchAllAircraft(options)
+  return aircraft.find(ac => ac.icao24 === icao24.toLowerCase()) || null
 }
 
 /**
  * Fetches track history for a specific aircraft
  *
  * @param {string} icao24 - Aircraft ICAO24 identifier
- * @returns {Promise<Array>} Array of track position objects
- * @throws {Error} If the API request fails
+ * @param {number} [since] - Only return positions at or after this Unix timestamp
+ * @param {Object} [options] - Request options, as for fetchAllAircraft
+ * @returns {Promise<Array<TrackPoint>>} Array of validated track positions
+ * @throws {Error} If the API request fails or the response is not a list
  */
-export async function fetchAircraftTrack(icao24) {
-  const response = await fetch(`${API_URL}/track?icao24=${icao24}`)
+export async function fetchAircraftTrack(icao24, since, options) {
+  return parseTrackPoints(await adapter.fetchAircraftTrack(icao24, since, options))
+}
 
-  if (!response.ok) {
-    throw new Error(`HTTP error! status: ${response.status}`)
+/**
+ * Fetches the receivers that have contributed messages
+ *
+ * @param {Object} [options] - Request options, as for fetchAllAircraft
+ * @returns {Promise<Array<Sensor>>} Array of sensor objects with a `serial`
+ * @throws {Error} If the API request fails or the response is not a list
+ */
+export async function fetchSensors(options) {
+  return parseSensors(await adapter.fetchSensors(options))
+}
+
+/**
+ * Opens a Server-Sent Events stream of incremental aircraft updates
+ *
+ * The server sends a `snapshot` event with the full `/all` array on connect, followed by
+ * `update` events shaped as `{ upsert: [aircraft], remove: [icao24] }` where upserted objects
+ * are complete aircraft states. Both are validated like `/all` responses.
+ *
+ * The connection is re-established with exponential backoff whenever it drops or cannot be
+ * opened, so callers should fall back to polling while the status is not 'open'.
+ *
+ * @param {Object} handlers - Event callbacks
+ * @param {Function} handlers.onSnapshot - Called with the full, validated aircraft array
+ * @param {Function} handlers.onUpdate - Called with a validated `{ upsert, remove }` update
+ * @param {Function} handlers.onStatusChange - Called with 'connecting', 'open' or 'closed'
+ * @returns {Object} Handle with a `close()` method that stops the stream and any reconnects
+ */
+export function connectAircraftStream({ onSnapshot, onUpdate, onStatusChange }) {
+  let source = null
+  let reconnectTimer = null
+  let attempt = 0
+  let closed = false
+
+  // Only this project's server pushes updates; other feeds are polled
+  if (typeof EventSource === 'undefined' || !STREAM_URL || !adapter.supportsStream) {
+    onStatusChange('closed')
+    return { close: () => {} }
   }
 
-  const data = await response.json()
-  return data
+  /**
+   * Parse an event payload, ignoring malformed messages rather than dropping the stream
+   *
+   * @param {MessageEvent} event - Server-sent event
+   * @param {Function} handler - Callback to receive the parsed data
+   */
+  const handleMessage = (event, handler) => {
+    try {
+      handler(JSON.parse(event.data))
+    } catch (err) {
+      console.warn('Ignoring malformed stream message:', err)
+    }
+  }
+
+  const scheduleReconnect = () => {
+    const delay = Math.min(STREAM_RECONNECT_MIN_DELAY * 2 ** attempt, STREAM_RECONNECT_MAX_DELAY)
+    attempt += 1
+    reconnectTimer = setTimeout(connect, delay)
+  }
+
+  function connect() {
+    onStatusChange('connecting')
+    source = new EventSource(STREAM_URL)
+
+    source.addEventListener('open', () => {
+      attempt = 0
+      onStatusChange('open')
+    })
+    source.addEventListener('snapshot', event =>
+      handleMessage(event, data => onSnapshot(parseAircraftStates(data)))
+    )
+    source.addEventListener('update', event =>
+      handleMessage(event, data => onUpdate(parseAircraftUpdate(data)))
+    )
+    source.addEventListener('error', () => {
+      // Take over from the browser's fixed-delay retry so we can back off
+      source.close()
+      if (closed) return
+      onStatusChange('closed')
+      scheduleReconnect()
+    })
+  }
+
+  connect()
+
+  return {
+    close: () => {
+      closed = true
+      clearTimeout(reconnectTimer)
+      source?.close()
+    },
+  }
 }
@@ -0,0 +1,81 @@
+/**
+ * JSON and text requests with a timeout and caller-controlled cancellation
+ */
+
+import { API_TIMEOUT } from '../constants'
+
+/**
+ * Fetch a URL and read the body
+ * The request is aborted once `timeout` elapses or when the caller's signal aborts. A caller
+ * abort rejects with the fetch AbortError so it can be told apart from failures.
+ *
+ * @param {string} url - URL to request
+ * @param {Object} options - Request options
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @param {number} [options.timeout] - Milliseconds before giving up, defaults to API_TIMEOUT
+ * @param {Function} read - Reads the body from the Response
+ * @returns {Promise<*>} Body as returned by `read`
+ * @throws {Error} If the request fails, times out, or the body can't be read
+ */
+async function fetchBody(url, { signal, timeout = API_TIMEOUT }, read) {
+  const controller = new AbortController()
+  let timedOut = false
+
+  const timer = setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, timeout)
+  const abort = () => controller.abort()
+  if (signal?.aborted) controller.abort()
+  signal?.addEventListener('abort', abort)
+
+  try {
+    const response = await fetch(url, { signal: controller.signal })
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`)
+    }
+
+    return await read(response)
+  } catch (err) {
+    if (timedOut) throw new Error(`Request timed out after ${timeout / 1000}s`)
+    throw err
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', abort)
+  }
+}
+
+/**
+ * Fetch a URL and parse the JSON body
+ *
+ * @param {string} url - URL to request
+ * @param {Object} [options] - { signal, timeout }; see fetchBody
+ * @returns {Promise<*>} Parsed response body
+ * @throws {Error} If the request fails, times out, or the body is not JSON
+ */
+export function fetchJson(url, options = {}) {
+  return fetchBody(url, options, response => response.json())
+}
+
+/**
+ * Fetch a URL as text, e.g. a data file to parse locally
+ *
+ * @param {string} url - URL to request
+ * @param {Object} [options] - { signal, timeout }; see fetchBody
+ * @returns {Promise<string>} Response body
+ * @throws {Error} If the request fails or times out
+ */
+export function fetchText(url, options = {}) {
+  return fetchBody(url, options, response => response.text())
+}
+
+/**
+ * Whether an error came from the caller cancelling the request
+ *
+ * @param {Error} err - Error thrown by a request
+ * @returns {boolean} True for aborts
+ */
+export function isAbortError(err) {
+  return err?.name === 'AbortError'
+}
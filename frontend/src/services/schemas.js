@@ -0,0 +1,224 @@
+/**
+ * Response shapes mirroring the backend's Pydantic schemas, with validators
+ *
+ * Records missing a required field are dropped with a warning rather than failing the whole
+ * response, so one bad aircraft doesn't blank the map. Optional fields of the wrong type are
+ * nulled and defaults are filled in, so consumers can rely on every field being present.
+ */
+
+/**
+ * @typedef {Object} Metadata
+ * @property {number} system_timestamp - Unix time the message was received, in seconds
+ * @property {number} nanoseconds - Nanosecond part of the receive time
+ * @property {number|null} rssi - Signal strength in dBFS
+ * @property {number|null} serial - Receiver serial
+ */
+
+/**
+ * @typedef {Object} AircraftState
+ * @property {string} icao24 - ICAO 24-bit address
+ * @property {number} firstseen - Unix timestamp of first observation
+ * @property {number} lastseen - Unix timestamp of last observation
+ * @property {string|null} callsign - Callsign
+ * @property {string|null} registration - Registration
+ * @property {string|null} typecode - ICAO type code
+ * @property {string|null} type_description - Type description
+ * @property {string|null} squawk - Transponder code
+ * @property {number|null} latitude - Latitude in degrees
+ * @property {number|null} longitude - Longitude in degrees
+ * @property {number|null} altitude - Altitude in feet
+ * @property {number|null} selected_altitude - Selected altitude in feet
+ * @property {number|null} groundspeed - Ground speed in knots
+ * @property {number|null} vertical_rate - Vertical rate in feet per minute
+ * @property {number|null} track - Track angle in degrees
+ * @property {number|null} ias - Indicated airspeed in knots
+ * @property {number|null} tas - True airspeed in knots
+ * @property {number|null} mach - Mach number
+ * @property {number|null} roll - Roll angle in degrees
+ * @property {number|null} heading - Heading in degrees
+ * @property {number|null} nacp - Navigation accuracy category for position
+ * @property {number} count - Messages received
+ * @property {Array<Metadata>} metadata - Recent reception metadata
+ */
+
+/**
+ * @typedef {Object} TrackPoint
+ * @property {number} timestamp - Unix timestamp
+ * @property {number} latitude - Latitude in degrees
+ * @property {number} longitude - Longitude in degrees
+ * @property {number|null} altitude - Altitude in feet
+ */
+
+/**
+ * @typedef {Object} Sensor
+ * @property {number} serial - Receiver serial
+ */
+
+// Field specs as [type, required, default]; optional fields default to null
+const METADATA_FIELDS = {
+  system_timestamp: ['number', true],
+  nanoseconds: ['number', false, 0],
+  rssi: ['number', false],
+  serial: ['number', false],
+}
+
+const AIRCRAFT_STATE_FIELDS = {
+  icao24: ['string', true],
+  firstseen: ['number', true],
+  lastseen: ['number', true],
+  callsign: ['string', false],
+  registration: ['string', false],
+  typecode: ['string', false],
+  type_description: ['string', false],
+  squawk: ['string', false],
+  latitude: ['number', false],
+  longitude: ['number', false],
+  altitude: ['number', false],
+  selected_altitude: ['number', false],
+  groundspeed: ['number', false],
+  vertical_rate: ['number', false],
+  track: ['number', false],
+  ias: ['number', false],
+  tas: ['number', false],
+  mach: ['number', false],
+  roll: ['number', false],
+  heading: ['number', false],
+  nacp: ['number', false],
+  count: ['number', false, 0],
+}
+
+const TRACK_POINT_FIELDS = {
+  timestamp: ['number', true],
+  latitude: ['number', true],
+  longitude: ['number', true],
+  altitude: ['number', false],
+}
+
+const SENSOR_FIELDS = {
+  serial: ['number', true],
+}
+
+/**
+ * Check a value's type, treating NaN and infinities as invalid numbers
+ *
+ * @param {*} value - Value to check
+ * @param {string} type - Expected typeof
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+  return type === 'number' ? Number.isFinite(value) : typeof value === type
+}
+
+/**
+ * Validate one record against a field spec
+ *
+ * @param {*} value - Record from the response
+ * @param {Object} fields - Field specs
+ * @returns {Object|null} Normalised record, or null if it is not an object or misses a
+ *   required field
+ */
+function parseRecord(value, fields) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null
+
+  const record = {}
+  for (const [key, [type, required, fallback = null]] of Object.entries(fields)) {
+    if (hasType(value[key], type)) {
+      record[key] = value[key]
+    } else if (required) {
+      return null
+    } else {
+      record[key] = fallback
+    }
+  }
+  return record
+}
+
+/**
+ * Validate a list response, dropping invalid records
+ *
+ * @param {*} data - Parsed response body
+ * @param {string} name - Record name for messages
+ * @param {Function} parse - Parses one record, returning null if invalid
+ * @returns {Array} Valid records
+ * @throws {Error} If the response is not an array
+ */
+function parseList(data, name, parse) {
+  if (!Array.isArray(data)) {
+    throw new Error(`Invalid ${name} response: expected an array`)
+  }
+
+  const records = data.map(parse).filter(Boolean)
+  if (records.length < data.length) {
+    console.warn(`Ignoring ${data.length - records.length} invalid ${name} record(s)`)
+  }
+  return records
+}
+
+/**
+ * Validate an aircraft state, including its reception metadata
+ *
+ * @param {*} value - Aircraft object from the response
+ * @returns {AircraftState|null} Normalised aircraft, or null if invalid
+ */
+export function parseAircraftState(value) {
+  const aircraft = parseRecord(value, AIRCRAFT_STATE_FIELDS)
+  if (!aircraft) return null
+
+  aircraft.metadata = Array.isArray(value.metadata)
+    ? value.metadata.map(entry => parseRecord(entry, METADATA_FIELDS)).filter(Boolean)
+    : []
+  return aircraft
+}
+
+/**
+ * Validate an `/all` response
+ *
+ * @param {*} data - Parsed response body
+ * @returns {Array<AircraftState>} Valid aircraft
+ * @throws {Error} If the response is not an array
+ */
+export function parseAircraftStates(data) {
+  return parseList(data, 'aircraft', parseAircraftState)
+}
+
+/**
+ * Validate a stream `update` event, dropping invalid aircraft and addresses
+ *
+ * @param {*} data - Parsed event data
+ * @returns {Object} `{ upsert, remove }` with valid aircraft states and icao24s
+ * @throws {Error} If the update is not an object or `upsert` is not a list
+ */
+export function parseAircraftUpdate(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Invalid aircraft update: expected an object')
+  }
+
+  return {
+    upsert: parseAircraftStates(data.upsert ?? []),
+    remove: Array.isArray(data.remove)
+      ? data.remove.filter(icao24 => typeof icao24 === 'string')
+      : [],
+  }
+}
+
+/**
+ * Validate a `/track` response
+ *
+ * @param {*} data - Parsed response body
+ * @returns {Array<TrackPoint>} Valid track points
+ * @throws {Error} If the response is not an array
+ */
+export function parseTrackPoints(data) {
+  return parseList(data, 'track point', value => parseRecord(value, TRACK_POINT_FIELDS))
+}
+
+/**
+ * Validate a `/sensors` response
+ *
+ * @param {*} data - Parsed response body
+ * @returns {Array<Sensor>} Valid sensors
+ * @throws {Error} If the response is not an array
+ */
+export function parseSensors(data) {
+  return parseList(data, 'sensor', value => parseRecord(value, SENSOR_FIELDS))
+}
@@ -0,0 +1,88 @@
+/**
+ * Service worker caching the app shell so the tracker opens without a connection
+ *
+ * Pages are fetched network-first and fall back to the cached shell. Built assets have hashed
+ * names, so the whole build is precached on install and served cache-first. API requests and
+ * map tiles pass straight through; the app keeps its own last-known aircraft state in IndexedDB.
+ *
+ * This file is not served as-is: the service-worker plugin in vite.config.js fills in the
+ * build version and asset list and emits it as /sw.js.
+ */
+
+const BUILD_VERSION = '__BUILD_VERSION__'
+const ASSET_URLS = [
+  /* __ASSET_URLS__ */
+]
+
+const CACHE_NAME = `adsb-map-shell-${BUILD_VERSION}`
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/icon.svg']
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then(cache => cache.addAll([...SHELL_URLS, ...ASSET_URLS]))
+      .then(() => self.skipWaiting())
+  )
+})
+
+// Drop earlier builds, along with any of their assets cached since
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then(keys =>
+        Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key)))
+      )
+      .then(() => self.clients.claim())
+  )
+})
+
+/**
+ * Fetch a page, refreshing the cached shell, and fall back to the shell when offline
+ *
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Page response
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME)
+  try {
+    const response = await fetch(request)
+    if (response.ok) cache.put('/', response.clone())
+    return response
+  } catch (err) {
+    const cached = await cache.match('/')
+    if (cached) return cached
+    throw err
+  }
+}
+
+/**
+ * Serve an asset from the cache, fetching and caching any the build did not precache
+ *
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>} Asset response
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) cache.put(request, response.clone())
+  return response
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  if (url.origin !== self.location.origin) return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request))
+  } else if (url.pathname.startsWith('/assets/') || SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request))
+  }
+})
@@ -0,0 +1,233 @@
+/**
+ * Aircraft icon rendering for the WebGL symbol layer
+ *
+ * Icons are drawn once onto a canvas and registered with the map as SDF images,
+ * so colour can be driven by data expressions instead of per-marker DOM styles.
+ * The silhouettes are solid fills rather than true distance fields, so icon halos don't render;
+ * highlights are drawn as separate circle layers instead.
+ * Each aircraft gets a silhouette chosen from its type code or type description, scaled by
+ * its wake turbulence category.
+ */
+
+import { AIRCRAFT_MARKER_SIZE, AIRCRAFT_WAKE_SCALES } from '../constants'
+
+// Render at 2x so icons stay crisp on high-DPI displays
+const ICON_PIXEL_RATIO = 2
+
+// Top-down silhouettes on a 24x24 grid, nose pointing north. Each path is filled on its
+// own so overlapping parts (engines under wings, rotor blades over the cabin) stay solid.
+const ICON_PATHS = {
+  // Airliner outline used when the type is unknown
+  generic: [
+    'M12 1.5c.9 0 1.5 1.2 1.5 2.6v5.6l8.5 5v2.1l-8.5-2.6v4.9l2.2 1.7V22L12 21l-3.7 1v-1.2l2.2-1.7v-4.9L2 15.8v-2.1l8.5-5V4.1c0-1.4.6-2.6 1.5-2.6z',
+  ],
+  heavy: [
+    'M12 .8c1.1 0 1.8 1.4 1.8 3.1v4.6l9.7 5.5v2.2l-9.7-2.8v5.1l2.8 2.1v1.5L12 21l-4.6 1.1v-1.5l2.8-2.1v-5.1l-9.7 2.8V14l9.7-5.5V3.9C10.2 2.2 10.9.8 12 .8z',
+    'M6.5 9.4h1.4v2.4H6.5zM3.2 11.3h1.4v2.2H3.2zM16.1 9.4h1.4v2.4h-1.4zM19.4 11.3h1.4v2.2h-1.4z',
+  ],
+  narrowbody: [
+    'M12 1.5c.9 0 1.5 1.2 1.5 2.6v5.6l8.5 5v2.1l-8.5-2.6v4.9l2.2 1.7V22L12 21l-3.7 1v-1.2l2.2-1.7v-4.9L2 15.8v-2.1l8.5-5V4.1c0-1.4.6-2.6 1.5-2.6z',
+    'M7.2 9.6h1.3v2.6H7.2zM15.5 9.6h1.3v2.6h-1.3z',
+  ],
+  // Small jets with engines on the rear fuselage and a T-tail
+  regional: [
+    'M12 2c.7 0 1.1 1 1.1 2.2V10l6.9 3.4V15l-6.9-1.6v5.2l2.9 1.8v1.4L12 21.2l-4 .6v-1.4l2.9-1.8v-5.2L4 15v-1.6l6.9-3.4V4.2C10.9 3 11.3 2 12 2z',
+    'M13.3 15.4h1.5v2.6h-1.5zM9.2 15.4h1.5v2.6H9.2z',
+  ],
+  // Straight wing with propellers ahead of the nacelles
+  turboprop: [
+    'M12 2.5c.7 0 1 .9 1 2V9h9v2.2l-9 .9v6.6l3 .9V21H8v-1.4l3-.9v-6.6l-9-.9V9h9V4.5c0-1.1.3-2 1-2z',
+    'M6.3 7.4h1.6v3.6H6.3zM16.1 7.4h1.6v3.6h-1.6z',
+    'M4.9 6.6h4.4v.8H4.9zM14.7 6.6h4.4v.8h-4.4z',
+  ],
+  // Single-engine high-wing light aircraft
+  light: [
+    'M12 3c.6 0 .9.5.9 1.2v3.3H22v2.3h-9.1v7.4l2.8.6v1.8H8.3v-1.8l2.8-.6V9.8H2V7.5h9.1V4.2c0-.7.3-1.2.9-1.2z',
+    'M10 2.2h4v.8h-4z',
+  ],
+  rotorcraft: [
+    'M12 5c1.7 0 3 1.6 3 3.5v3c0 1.9-1.3 3.5-3 3.5s-3-1.6-3-3.5v-3C9 6.6 10.3 5 12 5z',
+    'M11.3 14h1.4v7h-1.4zM9.5 19.5h5v1.2h-5z',
+    'M3.1 3.9l.8-.8 17 17-.8.8z',
+    'M20.1 3.1l.8.8-17 17-.8-.8z',
+  ],
+  // Long slender wings and a T-tail
+  glider: [
+    'M12 3c.5 0 .8.6.8 1.5V20h-1.6V4.5c0-.9.3-1.5.8-1.5z',
+    'M1 8.6L12 8l11 .6v1.2l-11-.3-11 .3z',
+    'M9 19.6h6v1.2H9z',
+  ],
+  // Top-down vehicle with an arrow marking its front
+  ground: [
+    'M8.5 6h7c.8 0 1.5.7 1.5 1.5v11c0 .8-.7 1.5-1.5 1.5h-7c-.8 0-1.5-.7-1.5-1.5v-11C7 6.7 7.7 6 8.5 6z',
+    'M12 2l3.5 3h-7z',
+  ],
+}
+
+export const AIRCRAFT_ICON_TYPES = Object.keys(ICON_PATHS)
+
+// Type codes as used by ICAO Doc 8643, checked in this order
+const GROUND_TYPECODES = /^(GND|GRND|SERV|EMER)$/
+const GLIDER_TYPECODES = /^(GLID|ASK\d|ASW\d|ASG\d|LS\d|DG\d|DISC|DUOD|ARCP|VENT|NIMB|JANU)/
+const ROTORCRAFT_TYPECODES =
+  /^(H(?!25)\d|EC\d|AS3|AS5|AS6|R22|R44|R66|S76|S92|B06|B47|B212|B407|B412|B429|B505|A109|A119|A139|A149|A169|A189|NH90|MI8|MI17|MI26|UH1|EH10|BK17|EXPL|GAZL|ALO3|LYNX|PUMA|V22)/
+const HEAVY_TYPECODES =
+  /^(A30\w|A310|A33\w|A34\w|A35\w|A388|A3ST|A337|B74\w|B76\w|B77\w|B78\w|B703|MD11|DC10|L101|IL62|IL76|IL86|IL96|A400|C17$|C5M|AN12|AN22|A124|A225|KC10|K35R|B52|BLCF)/
+const NARROWBODY_TYPECODES =
+  /^(A31[89]|A32\w|A19N|A20N|A21N|B73\w|B3\dM|B3XM|B75\w|B712|B72\w|MD8\w|MD90|DC9\w|C919|BCS\w|T204|T154|YK42)/
+const REGIONAL_TYPECODES =
+  /^(CRJ\w|E13\w|E14\w|E17\w|E19\w|E29\w|E75\w|F70|F100|F28|RJ\d|B46\w|SU95|AJ27|C25\w|C5\d\w|C6\d\w|C700|CL30|CL35|CL60|GLF\d|GLEX|GL\dT|FA\d\w|F2TH|F900|LJ\d|H25\w|E50P|E55P|E545|E550|PC24|HDJT|SF50|PRM1|BE40)/
+const TURBOPROP_TYPECODES =
+  /^(AT4\w|AT7\w|ATP|DH8\w|DHC6|DHC7|SF34|SB20|JS31|JS32|JS41|D228|D328|B190|BE20|BE30|BE9L|BE99|C208|C212|C425|C441|CN35|C295|C30J|C130|L188|P180|PC12|PC6T|TBM\d|KODI|AN2\d|F27|F50|SW4|E120|E110|L410|Y12|M28|PAY\d|PC21|P46T)/
+const LIGHT_TYPECODES =
+  /^(C1\d\d|C2[01]\d|C3\d\d|C4\d\d|PA\d|P28\w|P32\w|P46\w|SR2\d|DA4\d|DA20|DR40|BE3\d|BE5\d|BE6\d|BE7\d|M20\w|RV\d|TB\d|AA5|G115|TOBA|ULAC)/
+
+// Type codes whose wake category differs from the default for their silhouette
+const SUPER_TYPECODES = /^(A388|A225)$/
+const MEDIUM_ROTORCRAFT_TYPECODES = /^(H47|H53|MI8|MI17|MI26|S92|NH90|EH10|V22)/
+const SINGLE_TURBOPROP_TYPECODES = /^(C208|PC12|PC6T|TBM\d|KODI|PC21|P46T)/
+
+// ICAO aircraft description, e.g. L2J: landplane, two engines, jet
+const ICAO_DESCRIPTION = /^([LSAGHT])([1-8C])([JTPE])$/
+
+const DEFAULT_WAKE = {
+  generic: 'M',
+  heavy: 'H',
+  narrowbody: 'M',
+  regional: 'M',
+  turboprop: 'M',
+  light: 'L',
+  rotorcraft: 'L',
+  glider: 'L',
+  ground: null,
+}
+
+/**
+ * Pick a silhouette from a type code, falling back to the type description
+ * The description may be an ICAO code such as "L2J" or a full name such as "BOEING 777-300ER".
+ *
+ * @param {string} typecode - Upper-case ICAO type code, or ''
+ * @param {string} description - Upper-case type description, or ''
+ * @returns {string} Key of ICON_PATHS
+ */
+function getIconType(typecode, description) {
+  if (GROUND_TYPECODES.test(typecode)) return 'ground'
+  if (GLIDER_TYPECODES.test(typecode)) return 'glider'
+  if (ROTORCRAFT_TYPECODES.test(typecode)) return 'rotorcraft'
+  if (HEAVY_TYPECODES.test(typecode)) return 'heavy'
+  if (NARROWBODY_TYPECODES.test(typecode)) return 'narrowbody'
+  if (REGIONAL_TYPECODES.test(typecode)) return 'regional'
+  if (TURBOPROP_TYPECODES.test(typecode)) return 'turboprop'
+  if (LIGHT_TYPECODES.test(typecode)) return 'light'
+
+  const code = description.match(ICAO_DESCRIPTION)
+  if (code) {
+    const [, kind, engines, engineType] = code
+    if ('GHT'.includes(kind)) return 'rotorcraft'
+    if (engineType === 'T') return 'turboprop'
+    if (engineType === 'J') return Number(engines) >= 3 ? 'heavy' : 'narrowbody'
+    return 'light'
+  }
+
+  if (/HELICOPTER|COPTER|GYRO/.test(description)) return 'rotorcraft'
+  if (/GLIDER|SAILPLANE/.test(description)) return 'glider'
+  if (/VEHICLE|TRUCK/.test(description)) return 'ground'
+  return 'generic'
+}
+
+const classifications = new Map()
+
+/**
+ * Classify an aircraft for its map icon
+ * Results are cached per type, as this runs for every aircraft on every update.
+ *
+ * @param {Object} ac - Aircraft object with typecode and type_description
+ * @returns {Object} { type, wake } where type is one of AIRCRAFT_ICON_TYPES and wake is the
+ *   wake turbulence category L, M, H or J (super), or null for ground vehicles
+ */
+export function classifyAircraft(ac) {
+  const typecode = (ac.typecode || '').trim().toUpperCase()
+  const description = (ac.type_description || '').trim().toUpperCase()
+  const key = `${typecode}|${description}`
+
+  if (!classifications.has(key)) {
+    const type = getIconType(typecode, description)
+    const singleEngine = /^[LSA]1/.test(description) || SINGLE_TURBOPROP_TYPECODES.test(typecode)
+
+    let wake = DEFAULT_WAKE[type]
+    if (SUPER_TYPECODES.test(typecode)) wake = 'J'
+    else if (type === 'rotorcraft' && MEDIUM_ROTORCRAFT_TYPECODES.test(typecode)) wake = 'M'
+    else if (type === 'turboprop' && singleEngine) wake = 'L'
+
+    classifications.set(key, { type, wake })
+  }
+  return classifications.get(key)
+}
+
+/**
+ * Map image id for a silhouette
+ *
+ * @param {string} type - One of AIRCRAFT_ICON_TYPES
+ * @returns {string} Image id
+ */
+export function getAircraftIconId(type) {
+  return `aircraft-icon-${type}`
+}
+
+/**
+ * Icon properties for an aircraft's map feature
+ *
+ * @param {Object} ac - Aircraft object
+ * @returns {Object} { icon, iconSize } with the image id and its scale for the wake category
+ */
+export function getAircraftIconProperties(ac) {
+  const { type, wake } = classifyAircraft(ac)
+  return { icon: getAircraftIconId(type), iconSize: AIRCRAFT_WAKE_SCALES[wake] ?? 1 }
+}
+
+/**
+ * Draw a silhouette into an ImageData buffer
+ *
+ * @param {Array<string>} paths - SVG paths on a 24x24 grid
+ * @returns {ImageData} Icon pixels sized for AIRCRAFT_MARKER_SIZE at ICON_PIXEL_RATIO
+ */
+function drawAircraftIcon(paths) {
+  const size = AIRCRAFT_MARKER_SIZE * ICON_PIXEL_RATIO
+  const canvas = document.createElement('canvas')
+  canvas.width = size
+  canvas.height = size
+
+  const ctx = canvas.getContext('2d')
+  ctx.scale(size / 24, size / 24)
+  ctx.fillStyle = '#000'
+  paths.forEach(path => ctx.fill(new Path2D(path)))
+
+  return ctx.getImageData(0, 0, size, size)
+}
+
+/**
+ * Whether an image id is one of the aircraft icons
+ *
+ * @param {string} id - Image id
+ * @returns {boolean} True for aircraft icons
+ */
+export function isAircraftIconId(id) {
+  return AIRCRAFT_ICON_TYPES.some(type => getAircraftIconId(type) === id)
+}
+
+/**
+ * Register the aircraft icons with a map instance
+ * Safe to call repeatedly; style changes drop images so this must run again after them.
+ *
+ * @param {Object} map - Mapbox GL or MapLibre map instance
+ */
+export function addAircraftIcons(map) {
+  AIRCRAFT_ICON_TYPES.forEach(type => {
+    const id = getAircraftIconId(type)
+    if (map.hasImage(id)) return
+    map.addImage(id, drawAircraftIcon(ICON_PATHS[type]), {
+      sdf: true,
+      pixelRatio: ICON_PIXEL_RATIO,
+    })
+  })
+}
@@ -0,0 +1,131 @@
+/**
+ * Base maps the map can be drawn on, across Mapbox and MapLibre
+ *
+ * Mapbox needs an access token and is only offered when one is set. MapLibre maps need no
+ * account: they take a style JSON URL (e.g. a self-hosted tileserver-gl or OpenFreeMap) or a
+ * raster tile URL template, with optional light and dark variants following the theme.
+ * Extra maps come from VITE_BASE_MAPS, a JSON array of
+ * { id, label, style | styles: { light, dark } | tiles, attribution, maxzoom }.
+ */
+
+import {
+  MAPBOX_TOKEN,
+  MAP_STYLE_LIGHT,
+  MAP_STYLE_DARK,
+  BASE_MAPS_CONFIG,
+  DEFAULT_BASE_MAP,
+  RASTER_GLYPHS_URL,
+} from '../constants'
+
+const BUILT_IN_BASE_MAPS = [
+  {
+    id: 'mapbox',
+    label: 'Mapbox',
+    provider: 'mapbox',
+    styles: { light: MAP_STYLE_LIGHT, dark: MAP_STYLE_DARK },
+  },
+  {
+    id: 'carto',
+    label: 'CARTO',
+    provider: 'maplibre',
+    styles: {
+      light: 'https://basemaps.cartocdn.com/gl/positron-gl-style/style.json',
+      dark: 'https://basemaps.cartocdn.com/gl/dark-matter-gl-style/style.json',
+    },
+  },
+  {
+    id: 'osm',
+    label: 'OpenStreetMap',
+    provider: 'maplibre',
+    tiles: ['https://tile.openstreetmap.org/{z}/{x}/{y}.png'],
+    attribution: '© OpenStreetMap contributors',
+    maxzoom: 19,
+  },
+]
+
+/**
+ * Parse the custom base maps from VITE_BASE_MAPS, skipping invalid entries
+ *
+ * @param {string} config - JSON array of base map definitions
+ * @returns {Array} Base maps, all drawn with MapLibre
+ */
+export function parseBaseMapsConfig(config) {
+  if (!config) return []
+
+  let entries
+  try {
+    entries = JSON.parse(config)
+  } catch (err) {
+    console.warn('Ignoring VITE_BASE_MAPS, it is not valid JSON:', err)
+    return []
+  }
+
+  return (Array.isArray(entries) ? entries : [])
+    .filter(entry => {
+      const valid = entry?.id && (entry.style || entry.styles || Array.isArray(entry.tiles))
+      if (!valid) console.warn('Ignoring base map without an id and style or tiles:', entry)
+      return valid
+    })
+    .map(entry => ({
+      ...entry,
+      id: String(entry.id),
+      label: entry.label || String(entry.id),
+      provider: 'maplibre',
+      tiles: Array.isArray(entry.tiles) ? entry.tiles : undefined,
+    }))
+}
+
+/**
+ * Base maps available in this build, custom maps first
+ *
+ * @returns {Array} Base map definitions
+ */
+export function getBaseMaps() {
+  const custom = parseBaseMapsConfig(BASE_MAPS_CONFIG)
+  const ids = new Set(custom.map(baseMap => baseMap.id))
+  const builtIn = BUILT_IN_BASE_MAPS.filter(
+    baseMap => !ids.has(baseMap.id) && (baseMap.provider !== 'mapbox' || MAPBOX_TOKEN)
+  )
+  return [...custom, ...builtIn]
+}
+
+/**
+ * Pick the base map to start on
+ *
+ * @param {Array} baseMaps - Available base maps
+ * @param {string|null} savedId - Base map chosen in an earlier session
+ * @returns {Object} The saved map if still available, else VITE_DEFAULT_BASE_MAP, else Mapbox
+ *   when a token is set, else the first available map
+ */
+export function getInitialBaseMap(baseMaps, savedId) {
+  const byId = id => baseMaps.find(baseMap => baseMap.id === id)
+  return byId(savedId) || byId(DEFAULT_BASE_MAP) || byId('mapbox') || byId('carto') || baseMaps[0]
+}
+
+/**
+ * Style for a base map in the current theme
+ * Raster tiles are wrapped in a minimal style with glyphs so overlay labels still render.
+ *
+ * @param {Object} baseMap - Base map definition
+ * @param {string} theme - 'light' or 'dark'
+ * @returns {string|Object} Style URL or style object
+ */
+export function getBaseMapStyle(baseMap, theme) {
+  if (baseMap.styles) return baseMap.styles[theme] || baseMap.styles.light
+  if (baseMap.style) return baseMap.style
+
+  return {
+    version: 8,
+    glyphs: RASTER_GLYPHS_URL,
+    sources: {
+      basemap: {
+        type: 'raster',
+        tiles: baseMap.tiles,
+        tileSize: baseMap.tileSize || 256,
+        maxzoom: baseMap.maxzoom ?? 19,
+        ...(baseMap.attribution && { attribution: baseMap.attribution }),
+      },
+    },
+    layers: [{ id: 'basemap', type: 'raster', source: 'basemap' }],
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Colour scales for aircraft markers and trails
+ *
+ * Each mode maps a feature property to a colour via a Mapbox GL expression, so markers and
+ * per-segment trail lines share one definition and the legend can be drawn from the same stops.
+ */
+
+import { getPrimarySerial } from './sensors'
+import { AIRCRAFT_MARKER_COLOR, AIRCRAFT_MARKER_COLOR_STALE } from '../constants'
+
+// Colour for aircraft or segments missing the value the active mode needs
+export const MISSING_VALUE_COLOR = '#9e9e9e'
+
+export const COLOR_MODES = {
+  age: {
+    label: 'Age',
+    property: 'lastseen',
+    unit: 'min',
+  },
+  altitude: {
+    label: 'Altitude',
+    property: 'altitude',
+    unit: 'ft',
+    stops: [
+      [0, '#ff5722'],
+      [5000, '#ffc107'],
+      [10000, '#8bc34a'],
+      [20000, '#00bcd4'],
+      [30000, '#3f51b5'],
+      [40000, '#9c27b0'],
+    ],
+  },
+  groundspeed: {
+    label: 'Ground Speed',
+    property: 'groundspeed',
+    unit: 'kts',
+    stops: [
+      [0, '#607d8b'],
+      [100, '#8bc34a'],
+      [250, '#ffc107'],
+      [400, '#ff5722'],
+      [550, '#d500f9'],
+    ],
+  },
+  vertical_rate: {
+    label: 'Vertical Rate',
+    property: 'vertical_rate',
+    unit: 'ft/min',
+    stops: [
+      [-3000, '#1565c0'],
+      [-500, '#64b5f6'],
+      [0, '#9e9e9e'],
+      [500, '#ff8a65'],
+      [3000, '#d32f2f'],
+    ],
+  },
+  operator: {
+    label: 'Operator',
+    property: 'operator',
+  },
+  receiver: {
+    label: 'Receiver',
+    property: 'sensorColor',
+  },
+}
+
+/**
+ * Extract the ICAO airline designator from a callsign (e.g. "UAL123" -> "UAL")
+ *
+ * @param {string} callsign - Aircraft callsign
+ * @returns {string|null} Three-letter operator code, or null for non-airline callsigns
+ */
+export function getOperator(callsign) {
+  const match = callsign?.match(/^([A-Z]{3})\d/)
+  return match ? match[1] : null
+}
+
+/**
+ * Pick a stable colour for a category by hashing it onto the hue wheel
+ *
+ * @param {string|null} key - Category key
+ * @returns {string} CSS colour
+ */
+function getCategoryColor(key) {
+  if (!key) return MISSING_VALUE_COLOR
+  let hash = 0
+  for (const char of key) {
+    hash = (hash * 31 + char.charCodeAt(0)) % 360
+  }
+  return `hsl(${hash}, 70%, 50%)`
+}
+
+/**
+ * Pick a stable colour for an operator code
+ *
+ * @param {string|null} operator - Operator code
+ * @returns {string} CSS colour
+ */
+export function getOperatorColor(operator) {
+  return getCategoryColor(operator)
+}
+
+/**
+ * Pick a stable colour for a receiver serial
+ *
+ * @param {number|null} serial - Receiver serial
+ * @returns {string} CSS colour
+ */
+export function getSensorColor(serial) {
+  return getCategoryColor(serial === null || serial === undefined ? null : `rx${serial}`)
+}
+
+/**
+ * Category an aircraft falls into for a categorical mode, used by the legend
+ *
+ * @param {string} mode - Colour mode key ('operator' or 'receiver')
+ * @param {Object} ac - Aircraft object
+ * @returns {Object|null} { key, label, color }, or null when the aircraft has no category
+ */
+export function getAircraftCategory(mode, ac) {
+  if (mode === 'operator') {
+    const operator = getOperator(ac.callsign)
+    return operator ? { key: operator, label: operator, color: getOperatorColor(operator) } : null
+  }
+  if (mode === 'receiver') {
+    const serial = getPrimarySerial(ac)
+    return serial !== null
+      ? { key: String(serial), label: `Receiver ${serial}`, color: getSensorColor(serial) }
+      : null
+  }
+  return null
+}
+
+/**
+ * Interpolated colour expression over a numeric property, grey when the value is missing
+ *
+ * @param {Array} input - Expression producing the numeric input
+ * @param {string} property - Property that must be present for the ramp to apply
+ * @param {Array} stops - [value, colour] pairs
+ * @returns {Array} Mapbox GL expression
+ */
+function rampExpression(input, property, stops) {
+  return [
+    'case',
+    ['==', ['typeof', ['get', property]], 'number'],
+    ['interpolate', ['linear'], input, ...stops.flat()],
+    MISSING_VALUE_COLOR,
+  ]
+}
+
+/**
+ * Get the legend stops for a numeric mode
+ * Age stops depend on the configured max age, so they are built on demand
+ *
+ * @param {string} mode - Colour mode key
+ * @param {number} maxAgeMinutes - Maximum aircraft age in minutes
+ * @returns {Array|null} [value, colour] pairs, or null for categorical modes
+ */
+export function getColorStops(mode, maxAgeMinutes) {
+  if (mode === 'age') {
+    return [
+      [0, AIRCRAFT_MARKER_COLOR],
+      [maxAgeMinutes, AIRCRAFT_MARKER_COLOR_STALE],
+    ]
+  }
+  return COLOR_MODES[mode]?.stops ?? null
+}
+
+/**
+ * Build the colour expression for a mode
+ * Features are expected to carry `lastseen`, `altitude`, `groundspeed`, `vertical_rate`,
+ * `operatorColor` and `sensorColor` properties.
+ *
+ * @param {string} mode - Colour mode key
+ * @param {Object} options - Expression options
+ * @param {number} options.now - Reference Unix timestamp in seconds for age colouring
+ * @param {number} options.maxAgeMinutes - Age at which colour reaches the stale end of the scale
+ * @returns {Array|string} Mapbox GL expression
+ */
+export function getColorExpression(mode, { now, maxAgeMinutes }) {
+  switch (mode) {
+    case 'operator':
+      return ['coalesce', ['get', 'operatorColor'], MISSING_VALUE_COLOR]
+    case 'receiver':
+      return ['coalesce', ['get', 'sensorColor'], MISSING_VALUE_COLOR]
+    case 'altitude':
+    case 'groundspeed':
+    case 'vertical_rate': {
+      const { property, stops } = COLOR_MODES[mode]
+      return rampExpression(['get', property], property, stops)
+    }
+    case 'age':
+    default:
+      // Aircraft without a timestamp are treated as fresh
+      return [
+        'interpolate',
+        ['linear'],
+        ['/', ['-', now, ['coalesce', ['get', 'lastseen'], now]], 60],
+        ...getColorStops('age', maxAgeMinutes).flat(),
+      ]
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Proximity and conflict detection between pairs of aircraft
+ *
+ * Each pair is projected along its ground track and vertical rate on a local flat-earth
+ * approximation, which holds over the few minutes and tens of miles that matter here. A pair
+ * is in conflict when its lateral and vertical separation are both below the minima, either
+ * now (separation lost) or within the look-ahead time (predicted).
+ */
+
+import { distanceNm } from './geo'
+import { formatAge } from './format'
+import { isOnGround } from './filters'
+import {
+  CONFLICT_AIRPORT_CEILING_FT,
+  CONFLICT_AIRPORT_RADIUS_NM,
+  CONFLICT_FALLBACK_CEILING_FT,
+  CONFLICT_MAX_POSITION_AGE,
+} from '../constants'
+
+const toRadians = degrees => (degrees * Math.PI) / 180
+
+/**
+ * Whether an aircraft should be checked for conflicts
+ * Aircraft without a 3D position, with an old position, on the ground, or low near an airport
+ * are left out, as they are expected to be close to each other. Without any airports to go
+ * on, every aircraft low enough to be arriving or departing is left out instead.
+ *
+ * @param {Object} ac - Aircraft object
+ * @param {Array} airports - Airport positions as [longitude, latitude]
+ * @param {number} now - Reference time in seconds
+ * @returns {boolean} True if the aircraft is checked
+ */
+function isCheckable(ac, airports, now) {
+  if (![ac.latitude, ac.longitude, ac.altitude].every(Number.isFinite)) return false
+  if (now - ac.lastseen > CONFLICT_MAX_POSITION_AGE) return false
+  if (isOnGround(ac)) return false
+  if (airports.length === 0) return ac.altitude >= CONFLICT_FALLBACK_CEILING_FT
+
+  return !(
+    ac.altitude < CONFLICT_AIRPORT_CEILING_FT &&
+    airports.some(
+      ([longitude, latitude]) =>
+        distanceNm(latitude, longitude, ac.latitude, ac.longitude) < CONFLICT_AIRPORT_RADIUS_NM
+    )
+  )
+}
+
+/**
+ * Times at which a quadratic a·t² + b·t + c is negative
+ *
+ * @param {number} a - Quadratic coefficient, not negative
+ * @param {number} b - Linear coefficient
+ * @param {number} c - Constant
+ * @returns {Array<number>|null} [start, end], or null if it never is
+ */
+function negativeInterval(a, b, c) {
+  if (a === 0) return c < 0 ? [-Infinity, Infinity] : null
+  const discriminant = b * b - 4 * a * c
+  if (discriminant <= 0) return null
+  const root = Math.sqrt(discriminant)
+  return [(-b - root) / (2 * a), (-b + root) / (2 * a)]
+}
+
+/**
+ * Project a pair of aircraft and test it against the minima
+ *
+ * @param {Object} a - First aircraft, with velocities from toMotion
+ * @param {Object} b - Second aircraft, with velocities from toMotion
+ * @param {Object} settings - { lateralNm, verticalFt, lookaheadMinutes }
+ * @returns {Object|null} The conflict, or null if the pair stays separated
+ */
+function predictPair(a, b, { lateralNm, verticalFt, lookaheadMinutes }) {
+  const horizon = lookaheadMinutes * 60
+  const cosLat = Math.cos(toRadians((a.ac.latitude + b.ac.latitude) / 2))
+
+  // Relative position (nm, ft) at the reference time and velocity (nm/s, ft/s) of b from a
+  const rx = (b.ac.longitude - a.ac.longitude) * 60 * cosLat + b.dx - a.dx
+  const ry = (b.ac.latitude - a.ac.latitude) * 60 + b.dy - a.dy
+  const rz = b.ac.altitude - a.ac.altitude + b.dz - a.dz
+  const vx = b.vx - a.vx
+  const vy = b.vy - a.vy
+  const vz = b.vz - a.vz
+
+  const speed2 = vx * vx + vy * vy
+  const dot = rx * vx + ry * vy
+  const lateral = negativeInterval(speed2, 2 * dot, rx * rx + ry * ry - lateralNm * lateralNm)
+  if (!lateral) return null
+
+  const vertical =
+    vz === 0
+      ? Math.abs(rz) < verticalFt
+        ? [-Infinity, Infinity]
+        : null
+      : [(-verticalFt - rz) / vz, (verticalFt - rz) / vz].sort((x, y) => x - y)
+  if (!vertical) return null
+
+  const start = Math.max(0, lateral[0], vertical[0])
+  const end = Math.min(horizon, lateral[1], vertical[1])
+  if (start >= end) return null
+
+  const closest = speed2 === 0 ? 0 : Math.min(horizon, Math.max(0, -dot / speed2))
+  return {
+    id: [a.ac.icao24, b.ac.icao24].sort().join('-'),
+    icao24s: [a.ac.icao24, b.ac.icao24],
+    positions: [
+      [a.ac.longitude, a.ac.latitude],
+      [b.ac.longitude, b.ac.latitude],
+    ],
+    status: start === 0 ? 'loss' : 'predicted',
+    lateralNm: Math.hypot(rx, ry),
+    verticalFt: Math.abs(rz),
+    timeToLoss: start,
+    timeToClosest: closest,
+    closestLateralNm: Math.hypot(rx + vx * closest, ry + vy * closest),
+    closestVerticalFt: Math.abs(rz + vz * closest),
+  }
+}
+
+/**
+ * Velocities of an aircraft, and its drift between its last report and the reference time
+ *
+ * @param {Object} ac - Aircraft object
+ * @param {number} now - Reference time in seconds
+ * @returns {Object} { ac, vx, vy, vz, dx, dy, dz } in nm/s and ft/s, drift in nm and ft
+ */
+function toMotion(ac, now) {
+  const speed = Number.isFinite(ac.groundspeed) && Number.isFinite(ac.track) ? ac.groundspeed : 0
+  const track = toRadians(ac.track ?? 0)
+  const vx = (speed * Math.sin(track)) / 3600
+  const vy = (speed * Math.cos(track)) / 3600
+  const vz = (ac.vertical_rate ?? 0) / 60
+  const elapsed = now - ac.lastseen
+  return { ac, vx, vy, vz, dx: vx * elapsed, dy: vy * elapsed, dz: vz * elapsed }
+}
+
+/**
+ * Find pairs of aircraft inside the separation minima now or within the look-ahead time
+ * Positions are brought to the newest report time first, so aircraft heard a few seconds
+ * apart are compared at the same moment.
+ *
+ * @param {Array} aircraft - Aircraft objects
+ * @param {Object} settings - { lateralNm, verticalFt, lookaheadMinutes }
+ * @param {Array} [airports] - Airport positions as [longitude, latitude] for low-level exclusion
+ * @returns {Array} Conflicts, lost separation first, then soonest
+ */
+export function detectConflicts(aircraft, settings, airports = []) {
+  const now = aircraft.reduce((latest, ac) => Math.max(latest, ac.lastseen ?? 0), 0)
+  const candidates = aircraft
+    .filter(ac => isCheckable(ac, airports, now))
+    .map(ac => toMotion(ac, now))
+    .sort((a, b) => a.ac.latitude - b.ac.latitude)
+
+  // Pairs further apart in latitude than the fastest two could close are skipped
+  const maxSpeed = candidates.reduce((max, { ac }) => Math.max(max, ac.groundspeed ?? 0), 0)
+  const reachNm =
+    settings.lateralNm +
+    (2 * maxSpeed * (settings.lookaheadMinutes * 60 + CONFLICT_MAX_POSITION_AGE)) / 3600
+  const reachDegrees = reachNm / 60
+
+  const conflicts = []
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      if (candidates[j].ac.latitude - candidates[i].ac.latitude > reachDegrees) break
+      const conflict = predictPair(candidates[i], candidates[j], settings)
+      if (conflict) conflicts.push(conflict)
+    }
+  }
+
+  return conflicts.sort(
+    (a, b) => a.timeToLoss - b.timeToLoss || a.closestLateralNm - b.closestLateralNm
+  )
+}
+
+/**
+ * Describe when and how close a pair's closest approach is
+ *
+ * @param {Object} conflict - Conflict from detectConflicts
+ * @returns {string} e.g. "CPA 1m 20s · 0.8 nm"
+ */
+export function formatClosestApproach({ timeToClosest, closestLateralNm }) {
+  const seconds = Math.round(timeToClosest)
+  return `CPA ${seconds === 0 ? 'now' : formatAge(seconds)} · ${closestLateralNm.toFixed(1)} nm`
+}
@@ -0,0 +1,157 @@
+/**
+ * Receiver coverage: the furthest observed position in each bearing sector around the antenna
+ *
+ * Coverage is stored as { all: [...], low: [...], ... } where each array holds the max range in
+ * nautical miles per sector, clockwise from north. Altitude-band keys come from
+ * COVERAGE_ALTITUDE_BANDS; aircraft without an altitude only count towards `all`.
+ */
+
+import { bearingDegrees, destinationPoint, distanceNm } from './geo'
+import {
+  COVERAGE_ALTITUDE_BANDS,
+  COVERAGE_MAX_RANGE_NM,
+  COVERAGE_SECTOR_DEGREES,
+  RECEIVER_COLOR,
+} from '../constants'
+
+const SECTOR_COUNT = Math.round(360 / COVERAGE_SECTOR_DEGREES)
+
+/**
+ * Create coverage with every sector at zero range
+ *
+ * @returns {Object} Empty coverage
+ */
+export function createEmptyCoverage() {
+  const coverage = { all: new Array(SECTOR_COUNT).fill(0) }
+  COVERAGE_ALTITUDE_BANDS.forEach(band => {
+    coverage[band.key] = new Array(SECTOR_COUNT).fill(0)
+  })
+  return coverage
+}
+
+/**
+ * Find the altitude band for an altitude
+ *
+ * @param {number|null} altitude - Altitude in feet
+ * @returns {string|null} Band key, or null when altitude is unknown
+ */
+function getAltitudeBand(altitude) {
+  if (typeof altitude !== 'number') return null
+  return COVERAGE_ALTITUDE_BANDS.find(band => altitude < band.max)?.key ?? null
+}
+
+/**
+ * Extend coverage with the positions of the given aircraft
+ *
+ * @param {Object} coverage - Current coverage
+ * @param {Object} receiver - Receiver position { latitude, longitude }
+ * @param {Array} aircraft - Aircraft objects with latitude, longitude and altitude
+ * @returns {Object} Updated coverage, or the same object if no sector grew
+ */
+export function recordCoverage(coverage, receiver, aircraft) {
+  let updated = null
+
+  aircraft.forEach(ac => {
+    if (typeof ac.latitude !== 'number' || typeof ac.longitude !== 'number') return
+
+    const range = distanceNm(receiver.latitude, receiver.longitude, ac.latitude, ac.longitude)
+    if (range > COVERAGE_MAX_RANGE_NM) return
+
+    const bearing = bearingDegrees(receiver.latitude, receiver.longitude, ac.latitude, ac.longitude)
+    const sector = Math.floor(bearing / COVERAGE_SECTOR_DEGREES) % SECTOR_COUNT
+
+    const keys = ['all', getAltitudeBand(ac.altitude)].filter(Boolean)
+    keys.forEach(key => {
+      if (range <= (updated ?? coverage)[key][sector]) return
+      // Copy on first change so unchanged coverage keeps its identity
+      if (!updated) {
+        updated = Object.fromEntries(Object.entries(coverage).map(([k, v]) => [k, [...v]]))
+      }
+      updated[key][sector] = range
+    })
+  })
+
+  return updated ?? coverage
+}
+
+/**
+ * Build a polygon tracing the max range of each sector
+ *
+ * @param {Object} receiver - Receiver position { latitude, longitude }
+ * @param {Array<number>} ranges - Max range per sector in nautical miles
+ * @returns {Array} GeoJSON polygon coordinates
+ */
+function buildCoverageRing(receiver, ranges) {
+  const { latitude, longitude } = receiver
+  const ring = []
+
+  ranges.forEach((range, sector) => {
+    if (range === 0) {
+      ring.push([longitude, latitude])
+      return
+    }
+    const start = sector * COVERAGE_SECTOR_DEGREES
+    ring.push(destinationPoint(latitude, longitude, start, range))
+    ring.push(destinationPoint(latitude, longitude, start + COVERAGE_SECTOR_DEGREES, range))
+  })
+  ring.push(ring[0])
+
+  return [ring]
+}
+
+/**
+ * Convert coverage to GeoJSON polygons, one per altitude band or a single overall outline
+ *
+ * @param {Object} receiver - Receiver position { latitude, longitude }
+ * @param {Object} coverage - Coverage to draw
+ * @param {boolean} byAltitude - Draw one polygon per altitude band
+ * @returns {Object} GeoJSON FeatureCollection with a `color` property per feature
+ */
+export function buildCoverageGeoJSON(receiver, coverage, byAltitude) {
+  const bands = byAltitude
+    ? // Highest band first so lower, usually smaller bands are drawn on top
+      [...COVERAGE_ALTITUDE_BANDS].reverse()
+    : [{ key: 'all', color: RECEIVER_COLOR }]
+
+  return {
+    type: 'FeatureCollection',
+    features: bands
+      .filter(band => coverage[band.key].some(range => range > 0))
+      .map(band => ({
+        type: 'Feature',
+        properties: { band: band.key, color: band.color },
+        geometry: { type: 'Polygon', coordinates: buildCoverageRing(receiver, coverage[band.key]) },
+      })),
+  }
+}
+
+/**
+ * Build range rings around the receiver with a label point at the top of each ring
+ *
+ * @param {Object} receiver - Receiver position { latitude, longitude }
+ * @param {Array<number>} radii - Ring radii in nautical miles
+ * @returns {Object} GeoJSON FeatureCollection of LineStrings and label Points
+ */
+export function buildRangeRingsGeoJSON(receiver, radii) {
+  const { latitude, longitude } = receiver
+  const features = []
+
+  radii.forEach(radius => {
+    const coordinates = []
+    for (let bearing = 0; bearing <= 360; bearing += 2) {
+      coordinates.push(destinationPoint(latitude, longitude, bearing, radius))
+    }
+    features.push({
+      type: 'Feature',
+      properties: { radius },
+      geometry: { type: 'LineString', coordinates },
+    })
+    features.push({
+      type: 'Feature',
+      properties: { label: `${radius} nm` },
+      geometry: { type: 'Point', coordinates: coordinates[0] },
+    })
+  })
+
+  return { type: 'FeatureCollection', features }
+}
@@ -0,0 +1,91 @@
+/**
+ * Dead reckoning: project aircraft forward from their last report between updates
+ */
+
+import { destinationPoint, distanceNm } from './geo'
+import {
+  DEAD_RECKONING_MAX_SECONDS,
+  DEAD_RECKONING_CORRECTION_MS,
+  DEAD_RECKONING_SNAP_NM,
+} from '../constants'
+
+/**
+ * Extrapolate a point feature along its track at its ground speed
+ * Features without speed, track or timestamp stay at their reported position.
+ *
+ * @param {Object} feature - GeoJSON Point with `groundspeed`, `track` and `lastseen` properties
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<number>} Estimated position as [longitude, latitude]
+ */
+export function extrapolatePosition(feature, now) {
+  const [longitude, latitude] = feature.geometry.coordinates
+  const { groundspeed, track, lastseen } = feature.properties
+  if (typeof groundspeed !== 'number' || typeof track !== 'number' || !lastseen) {
+    return [longitude, latitude]
+  }
+
+  // Capped so aircraft that stop reporting don't keep flying
+  const elapsed = Math.min(DEAD_RECKONING_MAX_SECONDS, Math.max(0, now / 1000 - lastseen))
+  return destinationPoint(latitude, longitude, track, (groundspeed * elapsed) / 3600)
+}
+
+/**
+ * Offsets from newly reported positions back to where each aircraft was last drawn
+ * Drawing with a fading offset glides markers onto the corrected path instead of snapping.
+ *
+ * @param {Array} features - Aircraft point features from the latest update
+ * @param {Map} drawn - Map of icao24 to last drawn [longitude, latitude]
+ * @param {number} now - Current time in milliseconds
+ * @returns {Map} Map of icao24 to { offset: [dLongitude, dLatitude], start }
+ */
+export function createCorrections(features, drawn, now) {
+  const corrections = new Map()
+
+  features.forEach(feature => {
+    const previous = drawn.get(feature.properties.icao24)
+    if (!previous) return
+
+    const [longitude, latitude] = extrapolatePosition(feature, now)
+    if (distanceNm(previous[1], previous[0], latitude, longitude) > DEAD_RECKONING_SNAP_NM) return
+
+    corrections.set(feature.properties.icao24, {
+      offset: [previous[0] - longitude, previous[1] - latitude],
+      start: now,
+    })
+  })
+
+  return corrections
+}
+
+/**
+ * Build the collection to draw at a moment: extrapolated positions plus any fading correction
+ *
+ * @param {Object} geojson - Aircraft FeatureCollection from the latest update
+ * @param {Map} corrections - Corrections from createCorrections
+ * @param {Map} drawn - Map of icao24 to drawn position, updated in place
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} FeatureCollection with projected coordinates
+ */
+export function projectFeatures(geojson, corrections, drawn, now) {
+  drawn.clear()
+
+  return {
+    ...geojson,
+    features: geojson.features.map(feature => {
+      const { icao24 } = feature.properties
+      let [longitude, latitude] = extrapolatePosition(feature, now)
+
+      const correction = corrections.get(icao24)
+      if (correction) {
+        const remaining = 1 - (now - correction.start) / DEAD_RECKONING_CORRECTION_MS
+        if (remaining > 0) {
+          longitude += correction.offset[0] * remaining
+          latitude += correction.offset[1] * remaining
+        }
+      }
+
+      drawn.set(icao24, [longitude, latitude])
+      return { ...feature, geometry: { type: 'Point', coordinates: [longitude, latitude] } }
+    }),
+  }
+}
@@ -0,0 +1,300 @@
+/**
+ * Serialise tracks, aircraft snapshots and geofence events for download as GeoJSON, KML, CSV
+ * or JSON
+ *
+ * Tracks are passed as { icao24, callsign, points } with points as
+ * { timestamp, latitude, longitude, altitude }, timestamp in seconds and altitude in feet.
+ */
+
+import { downloadFile } from './download'
+import { cleanCallsign } from './format'
+import { FEET_TO_METERS } from './geo'
+
+// Every AircraftStateSchema field, in API order; metadata is written as JSON text in CSV
+const AIRCRAFT_STATE_FIELDS = [
+  'icao24',
+  'firstseen',
+  'lastseen',
+  'callsign',
+  'registration',
+  'typecode',
+  'type_description',
+  'squawk',
+  'latitude',
+  'longitude',
+  'altitude',
+  'selected_altitude',
+  'groundspeed',
+  'vertical_rate',
+  'track',
+  'ias',
+  'tas',
+  'mach',
+  'roll',
+  'heading',
+  'nacp',
+  'count',
+  'metadata',
+]
+
+// Geofence event log columns, oldest event first
+const GEOFENCE_EVENT_FIELDS = [
+  'timestamp',
+  'time',
+  'event',
+  'geofence',
+  'icao24',
+  'callsign',
+  'registration',
+  'altitude',
+  'latitude',
+  'longitude',
+  'signal_lost',
+]
+
+export const TRACK_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+}
+
+export const SNAPSHOT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+}
+
+/**
+ * Quote a value for CSV when it contains a delimiter, quote or newline
+ *
+ * @param {*} value - Cell value; objects are written as JSON
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Build CSV text from rows
+ *
+ * @param {Array<string>} columns - Column names, also used as row keys
+ * @param {Array<Object>} rows - Row objects
+ * @returns {string} CSV with a header line
+ */
+function toCsv(columns, rows) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\r\n')
+}
+
+/**
+ * Escape text for inclusion in XML
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`)
+}
+
+/**
+ * Convert session trails from useAircraftTracks into exportable tracks
+ *
+ * @param {Object} tracks - Map of icao24 to [longitude, latitude, timestampMs, altitude] arrays
+ * @param {Array} aircraft - Aircraft objects, used to look up callsigns
+ * @returns {Array} Tracks as { icao24, callsign, points }
+ */
+export function fromSessionTracks(tracks, aircraft) {
+  const callsigns = Object.fromEntries(aircraft.map(ac => [ac.icao24, ac.callsign]))
+  return Object.entries(tracks).map(([icao24, points]) => ({
+    icao24,
+    callsign: callsigns[icao24] ?? null,
+    points: points.map(([longitude, latitude, timestamp, altitude]) => ({
+      timestamp: Math.round(timestamp / 1000),
+      latitude,
+      longitude,
+      altitude: altitude ?? null,
+    })),
+  }))
+}
+
+/**
+ * Serialise tracks as a GeoJSON FeatureCollection of 3D LineStrings
+ * Altitude is converted to metres as RFC 7946 expects; per-point times are kept in `timestamps`.
+ *
+ * @param {Array} tracks - Tracks to serialise
+ * @returns {string} GeoJSON text
+ */
+function tracksToGeoJSON(tracks) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: tracks.map(({ icao24, callsign, points }) => ({
+      type: 'Feature',
+      properties: {
+        icao24,
+        callsign: callsign ? cleanCallsign(callsign) : null,
+        timestamps: points.map(point => point.timestamp),
+        altitudes_ft: points.map(point => point.altitude),
+      },
+      geometry: {
+        type: 'LineString',
+        coordinates: points.map(({ longitude, latitude, altitude }) =>
+          typeof altitude === 'number'
+            ? [longitude, latitude, Math.round(altitude * FEET_TO_METERS)]
+            : [longitude, latitude]
+        ),
+      },
+    })),
+  })
+}
+
+/**
+ * Fill gaps in a track's altitudes with the nearest earlier report (or the first report for
+ * leading gaps), since a KML line cannot mix absolute and ground-clamped points
+ *
+ * @param {Array} points - Track points
+ * @returns {Array<number>|null} Altitude per point in feet, or null if none was reported
+ */
+function fillAltitudes(points) {
+  const first = points.find(point => typeof point.altitude === 'number')
+  if (!first) return null
+  let last = first.altitude
+  return points.map(point => {
+    if (typeof point.altitude === 'number') last = point.altitude
+    return last
+  })
+}
+
+/**
+ * Serialise tracks as KML placemarks drawn at their absolute altitude
+ * Tracks with no altitude at all are clamped to the ground.
+ *
+ * @param {Array} tracks - Tracks to serialise
+ * @returns {string} KML document
+ */
+function tracksToKml(tracks) {
+  const placemarks = tracks.map(({ icao24, callsign, points }) => {
+    const name = callsign ? cleanCallsign(callsign) : icao24
+    const altitudes = fillAltitudes(points)
+    const coordinates = points
+      .map(({ longitude, latitude }, i) =>
+        altitudes
+          ? `${longitude},${latitude},${Math.round(altitudes[i] * FEET_TO_METERS)}`
+          : `${longitude},${latitude}`
+      )
+      .join(' ')
+    const begin = new Date(points[0].timestamp * 1000).toISOString()
+    const end = new Date(points[points.length - 1].timestamp * 1000).toISOString()
+
+    return `    <Placemark>
+      <name>${escapeXml(name)}</name>
+      <description>ICAO24 ${escapeXml(icao24)}</description>
+      <TimeSpan><begin>${begin}</begin><end>${end}</end></TimeSpan>
+      <styleUrl>#track</styleUrl>
+      <LineString>
+        <altitudeMode>${altitudes ? 'absolute' : 'clampToGround'}</altitudeMode>
+        <coordinates>${coordinates}</coordinates>
+      </LineString>
+    </Placemark>`
+  })
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>ADS-B tracks</name>
+    <Style id="track">
+      <LineStyle><color>ff2222e7</color><width>2</width></LineStyle>
+    </Style>
+${placemarks.join('\n')}
+  </Document>
+</kml>
+`
+}
+
+/**
+ * Serialise tracks as CSV with one row per point
+ *
+ * @param {Array} tracks - Tracks to serialise
+ * @returns {string} CSV text
+ */
+function tracksToCsv(tracks) {
+  const rows = tracks.flatMap(({ icao24, callsign, points }) =>
+    points.map(point => ({
+      icao24,
+      callsign: callsign ? cleanCallsign(callsign) : null,
+      time: new Date(point.timestamp * 1000).toISOString(),
+      ...point,
+    }))
+  )
+  return toCsv(
+    ['icao24', 'callsign', 'timestamp', 'time', 'latitude', 'longitude', 'altitude'],
+    rows
+  )
+}
+
+/**
+ * Build a file name stamped with the current time, e.g. adsb-tracks-2024-11-07T12-30-00.kml
+ *
+ * @param {string} name - Base name
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name
+ */
+function stampedFilename(name, extension) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-')
+  return `${name}-${stamp}.${extension}`
+}
+
+/**
+ * Download tracks in one of TRACK_FORMATS
+ * Tracks with fewer than two points are skipped as they cannot form a line.
+ *
+ * @param {Array} tracks - Tracks as { icao24, callsign, points }
+ * @param {string} format - Key of TRACK_FORMATS
+ * @param {string} name - Base file name
+ */
+export function exportTracks(tracks, format, name) {
+  const lines = tracks.filter(track => track.points.length >= 2)
+  const serialisers = { geojson: tracksToGeoJSON, kml: tracksToKml, csv: tracksToCsv }
+  const { extension, mimeType } = TRACK_FORMATS[format]
+  downloadFile(stampedFilename(name, extension), serialisers[format](lines), mimeType)
+}
+
+/**
+ * Download an aircraft snapshot in one of SNAPSHOT_FORMATS
+ *
+ * @param {Array} aircraft - Aircraft state objects as returned by /all
+ * @param {string} format - Key of SNAPSHOT_FORMATS
+ */
+export function exportSnapshot(aircraft, format) {
+  const { extension, mimeType } = SNAPSHOT_FORMATS[format]
+  const content =
+    format === 'csv' ? toCsv(AIRCRAFT_STATE_FIELDS, aircraft) : JSON.stringify(aircraft, null, 2)
+  downloadFile(stampedFilename('adsb-snapshot', extension), content, mimeType)
+}
+
+/**
+ * Download a geofence event log in one of SNAPSHOT_FORMATS, oldest event first
+ *
+ * @param {Array} events - Events from useGeofences, newest first
+ * @param {string} format - Key of SNAPSHOT_FORMATS
+ */
+export function exportGeofenceEvents(events, format) {
+  const rows = [...events].reverse().map(event => ({
+    timestamp: event.time,
+    time: new Date(event.time * 1000).toISOString(),
+    event: event.type,
+    geofence: event.geofenceName,
+    icao24: event.icao24,
+    callsign: event.callsign ? cleanCallsign(event.callsign) : null,
+    registration: event.registration,
+    altitude: event.altitude,
+    latitude: event.latitude,
+    longitude: event.longitude,
+    signal_lost: event.signalLost,
+  }))
+  const { extension, mimeType } = SNAPSHOT_FORMATS[format]
+  const content =
+    format === 'csv' ? toCsv(GEOFENCE_EVENT_FIELDS, rows) : JSON.stringify(rows, null, 2)
+  downloadFile(stampedFilename('adsb-geofence-events', extension), content, mimeType)
+}
@@ -0,0 +1,107 @@
+/**
+ * Attribute filters applied to aircraft on top of the max-age filter
+ *
+ * Range bounds are numbers or null when unset; text fields are strings, empty when unset.
+ * `sensor` holds a receiver serial as a string so it round-trips through selects and URLs.
+ * `onGround` is 'ground', 'airborne' or empty for either.
+ */
+
+import { getAircraftSerials } from './sensors'
+import { ON_GROUND_MAX_SPEED } from '../constants'
+
+export const EMPTY_FILTERS = {
+  altitudeMin: null,
+  altitudeMax: null,
+  speedMin: null,
+  speedMax: null,
+  type: '',
+  callsignPrefix: '',
+  squawk: '',
+  hasPosition: false,
+  sensor: '',
+  onGround: '',
+}
+
+/**
+ * Whether an aircraft is on the ground
+ * A reported altitude decides, so slow airborne traffic such as helicopters stays airborne;
+ * feeds report ground as zero. Without an altitude, taxi speed does, and without either the
+ * aircraft is taken to be airborne.
+ *
+ * @param {Object} ac - Aircraft object
+ * @returns {boolean} True if on the ground
+ */
+export function isOnGround(ac) {
+  if (Number.isFinite(ac.altitude)) return ac.altitude <= 0
+  return Number.isFinite(ac.groundspeed) && ac.groundspeed < ON_GROUND_MAX_SPEED
+}
+
+/**
+ * Whether any filter differs from its unset value
+ *
+ * @param {Object} filters - Filter values
+ * @returns {boolean} True if at least one filter is active
+ */
+export function isFilterActive(filters) {
+  return Object.entries(EMPTY_FILTERS).some(([key, empty]) => {
+    const value = filters[key]
+    return typeof empty === 'string' ? value.trim() !== '' : value !== empty
+  })
+}
+
+/**
+ * Check a numeric value against optional bounds; missing values fail once a bound is set
+ *
+ * @param {number|null} value - Aircraft value
+ * @param {number|null} min - Lower bound
+ * @param {number|null} max - Upper bound
+ * @returns {boolean} True if within bounds
+ */
+function inRange(value, min, max) {
+  if (min === null && max === null) return true
+  if (typeof value !== 'number') return false
+  return (min === null || value >= min) && (max === null || value <= max)
+}
+
+/**
+ * Test an aircraft against the attribute filters
+ *
+ * @param {Object} ac - Aircraft object
+ * @param {Object} filters - Filter values
+ * @returns {boolean} True if the aircraft passes every active filter
+ */
+export function matchesFilters(ac, filters) {
+  if (!inRange(ac.altitude, filters.altitudeMin, filters.altitudeMax)) return false
+  if (!inRange(ac.groundspeed, filters.speedMin, filters.speedMax)) return false
+
+  const type = filters.type.trim().toLowerCase()
+  if (
+    type &&
+    !ac.typecode?.toLowerCase().includes(type) &&
+    !ac.type_description?.toLowerCase().includes(type)
+  ) {
+    return false
+  }
+
+  const prefix = filters.callsignPrefix.trim().toUpperCase()
+  if (prefix && !ac.callsign?.toUpperCase().startsWith(prefix)) return false
+
+  const squawk = filters.squawk.trim()
+  if (squawk && ac.squawk !== squawk) return false
+
+  // Explicit type checks so positions on the equator/prime meridian still count
+  if (
+    filters.hasPosition &&
+    (typeof ac.latitude !== 'number' || typeof ac.longitude !== 'number')
+  ) {
+    return false
+  }
+
+  const sensor = filters.sensor.trim()
+  if (sensor && !getAircraftSerials(ac).includes(Number(sensor))) return false
+
+  if (filters.onGround === 'ground' && !isOnGround(ac)) return false
+  if (filters.onGround === 'airborne' && isOnGround(ac)) return false
+
+  return true
+}
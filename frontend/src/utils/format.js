@@ -0,0 +1,59 @@
+/**
+ * Formatting helpers for aircraft data shared by the map, sidebar and list views
+ */
+
+/**
+ * Format altitude with thousands separator
+ *
+ * @param {number} altitude - Altitude in feet
+ * @returns {string} Formatted altitude string
+ */
+export function formatAltitude(altitude) {
+  return altitude?.toLocaleString() || 'N/A'
+}
+
+/**
+ * Format speed to one decimal place
+ *
+ * @param {number} speed - Speed value
+ * @returns {string} Formatted speed string
+ */
+export function formatSpeed(speed) {
+  return speed?.toFixed(1) || 'N/A'
+}
+
+/**
+ * Clean callsign by removing trailing underscores
+ *
+ * @param {string} callsign - Aircraft callsign
+ * @returns {string} Cleaned callsign
+ */
+export function cleanCallsign(callsign) {
+  return callsign?.replace(/_+$/, '') || 'Unknown'
+}
+
+/**
+ * Get the age of an aircraft report in seconds
+ *
+ * @param {number} lastseen - Unix timestamp of last seen
+ * @param {number} [now] - Reference time in milliseconds (defaults to Date.now())
+ * @returns {number|null} Age in seconds, or null if no timestamp
+ */
+export function getAgeSeconds(lastseen, now = Date.now()) {
+  if (!lastseen) return null
+  return Math.max(0, Math.floor(now / 1000) - lastseen)
+}
+
+/**
+ * Format an age in seconds as a compact "1m 05s" style string
+ *
+ * @param {number|null} ageSeconds - Age in seconds
+ * @returns {string} Formatted age string
+ */
+export function formatAge(ageSeconds) {
+  if (ageSeconds === null || ageSeconds === undefined) return 'N/A'
+  if (ageSeconds < 60) return `${ageSeconds}s`
+  const minutes = Math.floor(ageSeconds / 60)
+  const seconds = String(ageSeconds % 60).padStart(2, '0')
+  return `${minutes}m ${seconds}s`
+}
@@ -0,0 +1,75 @@
+/**
+ * Geodesic helpers for positions expressed as latitude/longitude in degrees
+ * Distances are in nautical miles to match aviation units used elsewhere in the app
+ */
+
+export const EARTH_RADIUS_NM = 3440.065
+export const FEET_TO_METERS = 0.3048
+
+const toRadians = degrees => (degrees * Math.PI) / 180
+const toDegrees = radians => (radians * 180) / Math.PI
+
+/**
+ * Great-circle distance between two points
+ *
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in nautical miles
+ */
+export function distanceNm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1)
+  const dLon = toRadians(lon2 - lon1)
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2
+  return 2 * EARTH_RADIUS_NM * Math.asin(Math.min(1, Math.sqrt(a)))
+}
+
+/**
+ * Initial bearing from the first point to the second
+ *
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Bearing in degrees, 0-360 clockwise from north
+ */
+export function bearingDegrees(lat1, lon1, lat2, lon2) {
+  const phi1 = toRadians(lat1)
+  const phi2 = toRadians(lat2)
+  const dLon = toRadians(lon2 - lon1)
+  const y = Math.sin(dLon) * Math.cos(phi2)
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon)
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360
+}
+
+/**
+ * Point reached by travelling a distance along a bearing
+ *
+ * @param {number} lat - Starting latitude
+ * @param {number} lon - Starting longitude
+ * @param {number} bearing - Bearing in degrees clockwise from north
+ * @param {number} distance - Distance in nautical miles
+ * @returns {Array<number>} Destination as [longitude, latitude]
+ */
+export function destinationPoint(lat, lon, bearing, distance) {
+  const delta = distance / EARTH_RADIUS_NM
+  const theta = toRadians(bearing)
+  const phi1 = toRadians(lat)
+  const lambda1 = toRadians(lon)
+
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta)
+  )
+  const lambda2 =
+    lambda1 +
+    Math.atan2(
+      Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+      Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+    )
+
+  // Normalise longitude to -180..180
+  return [((toDegrees(lambda2) + 540) % 360) - 180, toDegrees(phi2)]
+}
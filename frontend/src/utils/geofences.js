@@ -0,0 +1,315 @@
+/**
+ * Geofence shapes, containment tests and entry/exit detection
+ *
+ * A geofence is `{ id, name, type, floor, ceiling }` plus its shape: `coordinates` (an open
+ * ring of [longitude, latitude] vertices) for polygons, or `center` ([longitude, latitude])
+ * and `radiusNm` for circles. `floor` and `ceiling` are altitudes in feet, or null for no
+ * limit. Geofences are exchanged as GeoJSON, with circles written as Points carrying a
+ * `radius_nm` property.
+ */
+
+import { createEntryId } from './ids'
+import { destinationPoint, distanceNm } from './geo'
+
+/**
+ * Parse an optional altitude limit
+ *
+ * @param {*} value - Altitude in feet, or null/empty for no limit
+ * @returns {number|null} Altitude, or null if unset or not a number
+ */
+function parseLimit(value) {
+  if (value === null || value === undefined || value === '') return null
+  const number = Number(value)
+  return Number.isFinite(number) ? number : null
+}
+
+/**
+ * Check a GeoJSON position is a usable [longitude, latitude] pair
+ *
+ * @param {*} position - Position from a GeoJSON geometry
+ * @returns {boolean} True if valid
+ */
+function isPosition(position) {
+  return (
+    Array.isArray(position) &&
+    Number.isFinite(position[0]) &&
+    Number.isFinite(position[1]) &&
+    Math.abs(position[1]) <= 90
+  )
+}
+
+/**
+ * Create a geofence with a fresh id
+ *
+ * @param {Object} shape - { type: 'polygon', coordinates } or { type: 'circle', center, radiusNm }
+ * @param {Object} options - { name, floor, ceiling }
+ * @returns {Object} Geofence
+ */
+export function createGeofence(shape, { name = '', floor = null, ceiling = null } = {}) {
+  return {
+    id: createEntryId(),
+    name: name.trim() || (shape.type === 'circle' ? 'Circle' : 'Area'),
+    floor: parseLimit(floor),
+    ceiling: parseLimit(ceiling),
+    ...shape,
+  }
+}
+
+/**
+ * Vertex ring outlining a geofence, closed so the first and last vertices match
+ *
+ * @param {Object} geofence - Geofence
+ * @returns {Array} [longitude, latitude] positions
+ */
+export function getGeofenceRing(geofence) {
+  if (geofence.type === 'circle') {
+    const [longitude, latitude] = geofence.center
+    const ring = []
+    for (let bearing = 0; bearing <= 360; bearing += 5) {
+      ring.push(destinationPoint(latitude, longitude, bearing, geofence.radiusNm))
+    }
+    return ring
+  }
+  return [...geofence.coordinates, geofence.coordinates[0]]
+}
+
+/**
+ * Test whether a point lies inside a polygon ring by ray casting
+ * Treats degrees as planar, which is accurate enough for fences tens of miles across.
+ *
+ * @param {number} longitude - Point longitude
+ * @param {number} latitude - Point latitude
+ * @param {Array} ring - Polygon vertices as [longitude, latitude]
+ * @returns {boolean} True if inside
+ */
+function isInsideRing(longitude, latitude, ring) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if (
+      yi > latitude !== yj > latitude &&
+      longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi
+    ) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+/**
+ * Test whether an aircraft is inside a geofence
+ * With a floor or ceiling set, aircraft not reporting altitude can't be placed and count as
+ * outside.
+ *
+ * @param {Object} geofence - Geofence
+ * @param {Object} ac - Aircraft with a position
+ * @returns {boolean} True if inside
+ */
+export function isInsideGeofence(geofence, ac) {
+  if (geofence.floor !== null || geofence.ceiling !== null) {
+    if (typeof ac.altitude !== 'number') return false
+    if (geofence.floor !== null && ac.altitude < geofence.floor) return false
+    if (geofence.ceiling !== null && ac.altitude > geofence.ceiling) return false
+  }
+
+  if (geofence.type === 'circle') {
+    const [longitude, latitude] = geofence.center
+    return distanceNm(latitude, longitude, ac.latitude, ac.longitude) <= geofence.radiusNm
+  }
+  return isInsideRing(ac.longitude, ac.latitude, geofence.coordinates)
+}
+
+/**
+ * Work out which aircraft are inside each geofence and what changed since the last update
+ * Aircraft without a position keep their previous state. Aircraft dropping out of the feed
+ * while inside produce an exit flagged `signalLost`. A geofence seen for the first time
+ * records its current occupants without entry events, as they didn't cross it.
+ *
+ * @param {Array} geofences - Geofences to test
+ * @param {Array} aircraft - Aircraft objects as received from the API
+ * @param {Object} previous - Occupants per geofence id from the last update, as arrays of icao24
+ * @param {number} now - Unix time in seconds, used for aircraft without a lastseen
+ * @returns {Object} { occupants, events } with occupants keyed by geofence id
+ */
+export function detectGeofenceEvents(geofences, aircraft, previous, now) {
+  const byIcao24 = Object.fromEntries(aircraft.map(ac => [ac.icao24, ac]))
+  const occupants = {}
+  const events = []
+
+  for (const geofence of geofences) {
+    const before = new Set(previous[geofence.id] ?? [])
+    const inside = aircraft
+      .filter(ac =>
+        typeof ac.latitude === 'number' && typeof ac.longitude === 'number'
+          ? isInsideGeofence(geofence, ac)
+          : before.has(ac.icao24)
+      )
+      .map(ac => ac.icao24)
+    occupants[geofence.id] = inside
+    if (!previous[geofence.id]) continue
+
+    const record = (type, icao24, signalLost = false) => {
+      const ac = byIcao24[icao24]
+      events.push({
+        id: createEntryId(),
+        time: ac?.lastseen ?? now,
+        type,
+        geofenceId: geofence.id,
+        geofenceName: geofence.name,
+        icao24,
+        callsign: ac?.callsign ?? null,
+        registration: ac?.registration ?? null,
+        altitude: ac?.altitude ?? null,
+        latitude: ac?.latitude ?? null,
+        longitude: ac?.longitude ?? null,
+        signalLost,
+      })
+    }
+
+    const after = new Set(inside)
+    inside.filter(icao24 => !before.has(icao24)).forEach(icao24 => record('entry', icao24))
+    before.forEach(icao24 => {
+      if (!after.has(icao24)) record('exit', icao24, !byIcao24[icao24])
+    })
+  }
+
+  return { occupants, events }
+}
+
+/**
+ * Convert geofences to GeoJSON for drawing, with a label point per geofence
+ *
+ * @param {Array} geofences - Geofences to draw
+ * @param {Object} occupants - Occupants per geofence id
+ * @returns {Object} GeoJSON FeatureCollection of Polygons and label Points
+ */
+export function buildGeofencesGeoJSON(geofences, occupants) {
+  const features = []
+
+  geofences.forEach(geofence => {
+    const count = occupants[geofence.id]?.length ?? 0
+    const ring = getGeofenceRing(geofence)
+    const labelPosition =
+      geofence.type === 'circle'
+        ? geofence.center
+        : [0, 1].map(
+            axis =>
+              geofence.coordinates.reduce((sum, vertex) => sum + vertex[axis], 0) /
+              geofence.coordinates.length
+          )
+
+    features.push({
+      type: 'Feature',
+      properties: { id: geofence.id, occupied: count > 0 },
+      geometry: { type: 'Polygon', coordinates: [ring] },
+    })
+    features.push({
+      type: 'Feature',
+      properties: { id: geofence.id, label: `${geofence.name} (${count})` },
+      geometry: { type: 'Point', coordinates: labelPosition },
+    })
+  })
+
+  return { type: 'FeatureCollection', features }
+}
+
+/**
+ * Serialise geofences as a GeoJSON FeatureCollection for export
+ *
+ * @param {Array} geofences - Geofences to serialise
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function geofencesToGeoJSON(geofences) {
+  return {
+    type: 'FeatureCollection',
+    features: geofences.map(geofence => ({
+      type: 'Feature',
+      properties: {
+        name: geofence.name,
+        floor_ft: geofence.floor,
+        ceiling_ft: geofence.ceiling,
+        ...(geofence.type === 'circle' && { radius_nm: geofence.radiusNm }),
+      },
+      geometry:
+        geofence.type === 'circle'
+          ? { type: 'Point', coordinates: geofence.center }
+          : { type: 'Polygon', coordinates: [getGeofenceRing(geofence)] },
+    })),
+  }
+}
+
+/**
+ * Convert one GeoJSON geometry to geofence shapes
+ * Polygons keep their outer ring only; MultiPolygons become one shape per polygon.
+ *
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {Object} properties - Feature properties, for a circle's radius_nm
+ * @returns {Array} Shapes for createGeofence
+ */
+function geometryToShapes(geometry, properties) {
+  if (!geometry) return []
+
+  if (geometry.type === 'Point') {
+    const radiusNm = Number(properties.radius_nm)
+    return isPosition(geometry.coordinates) && radiusNm > 0
+      ? [{ type: 'circle', center: geometry.coordinates.slice(0, 2), radiusNm }]
+      : []
+  }
+
+  const polygons =
+    geometry.type === 'Polygon'
+      ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon'
+        ? geometry.coordinates
+        : []
+
+  return polygons
+    .map(polygon => {
+      const ring = Array.isArray(polygon?.[0]) ? polygon[0].filter(isPosition) : []
+      const [first, last] = [ring[0], ring[ring.length - 1]]
+      // Stored rings are open; GeoJSON repeats the first vertex at the end
+      const open = first && first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring
+      return open.map(vertex => vertex.slice(0, 2))
+    })
+    .filter(coordinates => coordinates.length >= 3)
+    .map(coordinates => ({ type: 'polygon', coordinates }))
+}
+
+/**
+ * Validate geofences read from an imported GeoJSON file
+ * Accepts a FeatureCollection, a single Feature or a bare geometry. `name`, `floor_ft` and
+ * `ceiling_ft` properties are used when present.
+ *
+ * @param {*} data - Parsed JSON
+ * @returns {Array} Geofences with fresh ids
+ * @throws {Error} If the data isn't GeoJSON or contains no usable areas
+ */
+export function parseGeofences(data) {
+  const features =
+    data?.type === 'FeatureCollection' && Array.isArray(data.features)
+      ? data.features
+      : data?.type === 'Feature'
+        ? [data]
+        : data?.type
+          ? [{ type: 'Feature', geometry: data, properties: {} }]
+          : null
+  if (!features) {
+    throw new Error('Geofence file must contain GeoJSON')
+  }
+
+  const geofences = features.flatMap(feature => {
+    const properties = feature?.properties ?? {}
+    return geometryToShapes(feature?.geometry, properties).map(shape =>
+      createGeofence(shape, {
+        name: typeof properties.name === 'string' ? properties.name : '',
+        floor: properties.floor_ft,
+        ceiling: properties.ceiling_ft,
+      })
+    )
+  })
+  if (geofences.length === 0) {
+    throw new Error('No polygons or circles found')
+  }
+  return geofences
+}
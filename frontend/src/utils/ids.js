@@ -0,0 +1,13 @@
+/**
+ * Identifiers for user-created entries such as watchlist rules, geofences and overlay files
+ */
+
+/**
+ * Generate an id for a new entry
+ * crypto.randomUUID is unavailable outside secure contexts, e.g. when served over plain HTTP on a LAN
+ *
+ * @returns {string} Unique-enough identifier
+ */
+export function createEntryId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+}
@@ -0,0 +1,62 @@
+/**
+ * Browser notification and alert sound helpers
+ */
+
+/**
+ * Ask for notification permission if the user hasn't decided yet
+ *
+ * @returns {Promise<boolean>} Whether notifications are allowed
+ */
+export async function requestNotificationPermission() {
+  if (typeof Notification === 'undefined') return false
+  if (Notification.permission === 'default') {
+    await Notification.requestPermission()
+  }
+  return Notification.permission === 'granted'
+}
+
+/**
+ * Show a browser notification if permission has been granted
+ *
+ * @param {string} title - Notification title
+ * @param {Object} options - Notification options (body, tag, ...)
+ */
+export function showNotification(title, options) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return
+  new Notification(title, options)
+}
+
+// Shared by every alert; browsers only let it start from a user gesture
+let audioContext = null
+
+/**
+ * Create or resume the shared audio context
+ * Call this from a user interaction such as a click, or alert tones stay silent
+ */
+export function unlockAlertSound() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext
+  if (!AudioContext) return
+
+  if (!audioContext) audioContext = new AudioContext()
+  if (audioContext.state === 'suspended') audioContext.resume()
+}
+
+/**
+ * Play a short two-tone alert using the Web Audio API
+ * Does nothing until unlockAlertSound has run from a user interaction
+ */
+export function playAlertTone() {
+  if (!audioContext || audioContext.state !== 'running') return
+
+  const context = audioContext
+  const gain = context.createGain()
+  gain.gain.value = 0.15
+  gain.connect(context.destination)
+  ;[880, 660].forEach((frequency, i) => {
+    const oscillator = context.createOscillator()
+    oscillator.frequency.value = frequency
+    oscillator.connect(gain)
+    oscillator.start(context.currentTime + i * 0.25)
+    oscillator.stop(context.currentTime + i * 0.25 + 0.2)
+  })
+}
@@ -0,0 +1,85 @@
+/**
+ * IndexedDB helpers for keeping the last known aircraft state across reloads and outages, and
+ * other data too large for localStorage such as overlay files
+ *
+ * Values are stored whole under a key, like the localStorage settings helpers, but IndexedDB
+ * holds far more than localStorage's few megabytes and writes off the main thread. Failures
+ * (private browsing, quota, no IndexedDB) are logged and treated as a missing value, since
+ * offline state is a convenience and must never break the live view.
+ */
+
+const DB_NAME = 'adsb-map'
+const DB_VERSION = 1
+const STORE_NAME = 'offline'
+
+let dbPromise = null
+
+/**
+ * Open the database once, creating the store on first use
+ *
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch(err => {
+      dbPromise = null
+      throw err
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * Run one request against the store
+ *
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function runRequest(mode, makeRequest) {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Read a stored value
+ *
+ * @param {string} key - Storage key
+ * @returns {Promise<*>} Stored value, or null if missing or unreadable
+ */
+export async function loadOfflineValue(key) {
+  try {
+    return (await runRequest('readonly', store => store.get(key))) ?? null
+  } catch (err) {
+    console.warn(`Could not read offline ${key}:`, err)
+    return null
+  }
+}
+
+/**
+ * Store a value, replacing any previous one
+ *
+ * @param {string} key - Storage key
+ * @param {*} value - Structured-cloneable value
+ * @returns {Promise<void>} Resolves once written, or after logging a failure
+ */
+export async function saveOfflineValue(key, value) {
+  try {
+    await runRequest('readwrite', store => store.put(value, key))
+  } catch (err) {
+    console.warn(`Could not save offline ${key}:`, err)
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Parser for OpenAir airspace files
+ *
+ * OpenAir is a line-based text format: each airspace starts with `AC <class>` followed by its
+ * name (AN), floor (AL), ceiling (AH) and boundary built from points (DP), arcs (DA, DB) and
+ * circles (DC) around the centre set with `V X=`. Arc radii are in nautical miles and arcs run
+ * clockwise unless `V D=-` is given. Drawing commands we don't draw (SP, SB, AT, airways) are
+ * skipped.
+ */
+
+import { bearingDegrees, destinationPoint, distanceNm } from './geo'
+
+// Degrees between generated arc and circle vertices
+const ARC_STEP_DEGREES = 5
+
+const COORDINATE_PATTERN =
+  /(\d+(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?(?::(\d+(?:\.\d+)?))?\s*([NS])\s*,?\s*(\d+(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?(?::(\d+(?:\.\d+)?))?\s*([EW])/gi
+
+/**
+ * Parse the coordinates in an OpenAir argument, e.g. "39:29:54 N 119:46:06 W"
+ * Minutes and seconds are optional and may be decimal.
+ *
+ * @param {string} text - Command argument
+ * @returns {Array} [longitude, latitude] pairs in order of appearance
+ */
+function parseCoordinates(text) {
+  return [...text.matchAll(COORDINATE_PATTERN)].map(match => {
+    const toDegrees = (degrees, minutes = 0, seconds = 0) =>
+      Number(degrees) + Number(minutes) / 60 + Number(seconds) / 3600
+    const latitude = toDegrees(match[1], match[2], match[3])
+    const longitude = toDegrees(match[5], match[6], match[7])
+    return [
+      match[8].toUpperCase() === 'W' ? -longitude : longitude,
+      match[4].toUpperCase() === 'S' ? -latitude : latitude,
+    ]
+  })
+}
+
+/**
+ * Vertices along an arc around a centre, including both ends
+ *
+ * @param {Array<number>} center - [longitude, latitude]
+ * @param {number} radius - Radius in nautical miles
+ * @param {number} start - Start bearing in degrees
+ * @param {number} end - End bearing in degrees
+ * @param {boolean} clockwise - Direction of travel
+ * @returns {Array} [longitude, latitude] positions
+ */
+function arcPoints(center, radius, start, end, clockwise) {
+  const sweep = clockwise ? (end - start + 360) % 360 : -((start - end + 360) % 360)
+  const steps = Math.max(1, Math.ceil(Math.abs(sweep) / ARC_STEP_DEGREES))
+  const points = []
+  for (let i = 0; i <= steps; i++) {
+    points.push(destinationPoint(center[1], center[0], start + (sweep * i) / steps, radius))
+  }
+  return points
+}
+
+/**
+ * Parse OpenAir text into GeoJSON airspace polygons
+ * Airspaces with fewer than three boundary vertices are dropped.
+ *
+ * @param {string} text - OpenAir file contents
+ * @returns {Object} GeoJSON FeatureCollection of Polygons with name, class, floor and ceiling
+ *   properties, the limits kept as written (e.g. "FL95", "2500ft MSL", "SFC")
+ */
+export function parseOpenAir(text) {
+  const features = []
+  let airspace = null
+  let center = null
+  let clockwise = true
+
+  const finish = () => {
+    if (airspace && airspace.ring.length >= 3) {
+      const { ring, ...properties } = airspace
+      features.push({
+        type: 'Feature',
+        properties,
+        geometry: { type: 'Polygon', coordinates: [[...ring, ring[0]]] },
+      })
+    }
+    airspace = null
+  }
+
+  const start = airspaceClass => {
+    finish()
+    airspace = { name: '', class: airspaceClass, floor: '', ceiling: '', ring: [] }
+    center = null
+    clockwise = true
+  }
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim()
+    if (!line || line.startsWith('*')) continue
+
+    const [, command, argument = ''] = line.match(/^(\w+)\s*(.*)$/) || []
+    if (!command) continue
+
+    const upper = command.toUpperCase()
+    if (upper === 'AC') {
+      start(argument.trim())
+      continue
+    }
+    if (!airspace) start('')
+
+    if (upper === 'AN') airspace.name = argument.trim()
+    else if (upper === 'AL') airspace.floor = argument.trim()
+    else if (upper === 'AH') airspace.ceiling = argument.trim()
+    else if (upper === 'AY') airspace.type = argument.trim()
+    else if (upper === 'AF') airspace.frequency = argument.trim()
+    else if (upper === 'V') {
+      const [, key, value] = argument.match(/^(\w)\s*=\s*(.*)$/) || []
+      if (key?.toUpperCase() === 'X') center = parseCoordinates(value)[0] ?? center
+      if (key?.toUpperCase() === 'D') clockwise = value.trim() !== '-'
+    } else if (upper === 'DP') {
+      airspace.ring.push(...parseCoordinates(argument).slice(0, 1))
+    } else if (upper === 'DC' && center) {
+      const radius = parseFloat(argument)
+      for (let bearing = 0; radius > 0 && bearing < 360; bearing += ARC_STEP_DEGREES) {
+        airspace.ring.push(destinationPoint(center[1], center[0], bearing, radius))
+      }
+    } else if (upper === 'DA' && center) {
+      const [radius, from, to] = argument.split(',').map(parseFloat)
+      if (radius > 0 && Number.isFinite(from) && Number.isFinite(to)) {
+        airspace.ring.push(...arcPoints(center, radius, from, to, clockwise))
+      }
+    } else if (upper === 'DB' && center) {
+      const [from, to] = parseCoordinates(argument)
+      if (from && to) {
+        const radius = distanceNm(center[1], center[0], from[1], from[0])
+        const startBearing = bearingDegrees(center[1], center[0], from[1], from[0])
+        const endBearing = bearingDegrees(center[1], center[0], to[1], to[0])
+        // Use the given endpoints exactly so adjoining segments meet
+        const arc = arcPoints(center, radius, startBearing, endBearing, clockwise)
+        airspace.ring.push(from, ...arc.slice(1, -1), to)
+      }
+    }
+  }
+  finish()
+
+  return { type: 'FeatureCollection', features }
+}
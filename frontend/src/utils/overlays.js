@@ -0,0 +1,177 @@
+/**
+ * Aeronautical overlays: airports, runways and airspace loaded from local files
+ *
+ * Overlays are GeoJSON or OpenAir files, either bundled with the build and listed in
+ * VITE_OVERLAYS as a JSON array of { id, label, url, format, visible }, or chosen by the user.
+ * Each is normalised to a GeoJSON FeatureCollection whose features carry `name`, and for
+ * airspace `class`, `floor` and `ceiling`, so one set of layers can draw any of them.
+ */
+
+import { parseOpenAir } from './openAir'
+import {
+  AIRPORT_FEATURE_TYPE,
+  AIRSPACE_COLORS,
+  AIRSPACE_DEFAULT_COLOR,
+  OVERLAYS_CONFIG,
+} from '../constants'
+
+export const OVERLAY_FORMATS = {
+  geojson: 'GeoJSON',
+  openair: 'OpenAir',
+}
+
+/**
+ * Guess an overlay's format from its file name or URL
+ *
+ * @param {string} name - File name or URL
+ * @returns {string} Key of OVERLAY_FORMATS; anything not ending in .json or .geojson is
+ *   read as OpenAir, which is usually shipped as .txt or .air
+ */
+export function getOverlayFormat(name) {
+  return /\.(geo)?json($|\?)/i.test(name) ? 'geojson' : 'openair'
+}
+
+/**
+ * Parse the bundled overlays from VITE_OVERLAYS, skipping invalid entries
+ *
+ * @param {string} config - JSON array of overlay definitions
+ * @returns {Array} Overlays as { id, label, url, format, visible }
+ */
+export function parseOverlaysConfig(config) {
+  if (!config) return []
+
+  let entries
+  try {
+    entries = JSON.parse(config)
+  } catch (err) {
+    console.warn('Ignoring VITE_OVERLAYS, it is not valid JSON:', err)
+    return []
+  }
+
+  return (Array.isArray(entries) ? entries : [])
+    .filter(entry => {
+      const valid = entry?.url && (!entry.format || OVERLAY_FORMATS[entry.format])
+      if (!valid) console.warn('Ignoring overlay without a url or with an unknown format:', entry)
+      return valid
+    })
+    .map(entry => ({
+      id: String(entry.id ?? entry.url),
+      label: entry.label || String(entry.id ?? entry.url),
+      url: entry.url,
+      format: entry.format || getOverlayFormat(entry.url),
+      visible: entry.visible !== false,
+    }))
+}
+
+/**
+ * Overlays bundled with this build
+ *
+ * @returns {Array} Overlay definitions
+ */
+export function getBundledOverlays() {
+  return parseOverlaysConfig(OVERLAYS_CONFIG)
+}
+
+/**
+ * Normalise a GeoJSON feature's properties for the overlay layers
+ * Common alternatives are accepted: ident/icao for the name, lower/upper for the limits.
+ *
+ * @param {Object} feature - GeoJSON Feature
+ * @returns {Object} Feature with name, class, floor and ceiling properties
+ */
+function normaliseFeature(feature) {
+  const properties = feature.properties ?? {}
+  const text = value => (value === null || value === undefined ? '' : String(value))
+  return {
+    ...feature,
+    properties: {
+      ...properties,
+      name: text(properties.name ?? properties.ident ?? properties.icao),
+      class: text(properties.class),
+      floor: text(properties.floor ?? properties.lower),
+      ceiling: text(properties.ceiling ?? properties.upper),
+    },
+  }
+}
+
+/**
+ * Parse an overlay file
+ *
+ * @param {string} text - File contents
+ * @param {string} format - Key of OVERLAY_FORMATS
+ * @returns {Object} GeoJSON FeatureCollection
+ * @throws {Error} If the file can't be read or contains no features
+ */
+export function parseOverlay(text, format) {
+  let collection
+  if (format === 'openair') {
+    collection = parseOpenAir(text)
+  } else {
+    const data = JSON.parse(text)
+    const features =
+      data?.type === 'FeatureCollection' ? data.features : data?.type === 'Feature' ? [data] : null
+    if (!Array.isArray(features)) {
+      throw new Error('Expected a GeoJSON Feature or FeatureCollection')
+    }
+    collection = {
+      type: 'FeatureCollection',
+      features: features.filter(feature => feature?.geometry).map(normaliseFeature),
+    }
+  }
+
+  if (collection.features.length === 0) {
+    throw new Error(`No features found in ${OVERLAY_FORMATS[format]} file`)
+  }
+  return collection
+}
+
+/**
+ * Layer id for an overlay's airspace fill, which opens the floor/ceiling popup when clicked
+ *
+ * @param {string} id - Overlay id
+ * @returns {string} Layer id
+ */
+export function getAirspaceLayerId(id) {
+  return `overlay-${id}-fill`
+}
+
+/**
+ * Colour expression for airspace by its class
+ *
+ * @returns {Array} Map style expression
+ */
+export function getAirspaceColorExpression() {
+  return [
+    'match',
+    ['upcase', ['get', 'class']],
+    ...Object.entries(AIRSPACE_COLORS).flat(),
+    AIRSPACE_DEFAULT_COLOR,
+  ]
+}
+
+/**
+ * Whether an overlay feature is an airport: a Point whose `type`, `kind` or `aeroway` says so
+ * Navaids, reporting points and other markers in the same file are left out.
+ *
+ * @param {Object} feature - GeoJSON feature
+ * @returns {boolean} True for airports
+ */
+function isAirport(feature) {
+  if (feature.geometry?.type !== 'Point') return false
+  const { type, kind, aeroway } = feature.properties ?? {}
+  return [type, kind, aeroway].some(
+    value => typeof value === 'string' && AIRPORT_FEATURE_TYPE.test(value)
+  )
+}
+
+/**
+ * Positions of the airports in a set of overlays
+ *
+ * @param {Array} collections - GeoJSON FeatureCollections
+ * @returns {Array} Airport positions as [longitude, latitude]
+ */
+export function getAirportPositions(collections) {
+  return collections.flatMap(collection =>
+    collection.features.filter(isAirport).map(feature => feature.geometry.coordinates)
+  )
+}
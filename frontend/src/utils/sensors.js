@@ -0,0 +1,60 @@
+/**
+ * Helpers for the per-message reception metadata attached to each aircraft
+ *
+ * Each aircraft carries its most recent messages as `metadata` entries with the receiver
+ * `serial`, `rssi` in dBFS and a `system_timestamp` in seconds.
+ */
+
+/**
+ * Serials of the receivers that heard an aircraft in its recent messages
+ *
+ * @param {Object} ac - Aircraft object
+ * @returns {Array<number>} Unique receiver serials
+ */
+export function getAircraftSerials(ac) {
+  const serials = (ac.metadata || []).map(entry => entry.serial).filter(serial => serial != null)
+  return [...new Set(serials)]
+}
+
+/**
+ * Summarise recent reception of an aircraft by receiver
+ *
+ * @param {Object} ac - Aircraft object
+ * @returns {Array} Receivers as { serial, rssi, messages, lastSeen }, strongest first; rssi is
+ *   the mean over the recent messages, or null if none reported signal strength
+ */
+export function getReceptionBySerial(ac) {
+  const bySerial = {}
+
+  for (const entry of ac.metadata || []) {
+    if (entry.serial == null) continue
+    if (!bySerial[entry.serial]) {
+      bySerial[entry.serial] = { serial: entry.serial, rssiValues: [], messages: 0, lastSeen: null }
+    }
+    const reception = bySerial[entry.serial]
+    reception.messages += 1
+    if (typeof entry.rssi === 'number') reception.rssiValues.push(entry.rssi)
+    if (entry.system_timestamp && entry.system_timestamp > (reception.lastSeen ?? 0)) {
+      reception.lastSeen = entry.system_timestamp
+    }
+  }
+
+  return Object.values(bySerial)
+    .map(({ rssiValues, ...reception }) => ({
+      ...reception,
+      rssi: rssiValues.length
+        ? rssiValues.reduce((sum, value) => sum + value, 0) / rssiValues.length
+        : null,
+    }))
+    .sort((a, b) => (b.rssi ?? -Infinity) - (a.rssi ?? -Infinity))
+}
+
+/**
+ * The receiver hearing an aircraft best, used to colour it by receiver
+ *
+ * @param {Object} ac - Aircraft object
+ * @returns {number|null} Serial with the strongest mean RSSI, or null without metadata
+ */
+export function getPrimarySerial(ac) {
+  return getReceptionBySerial(ac)[0]?.serial ?? null
+}
@@ -0,0 +1,114 @@
+/**
+ * Session statistics sampled from successive aircraft snapshots for the dashboard
+ */
+
+import { distanceNm } from './geo'
+import { COVERAGE_MAX_RANGE_NM, STATS_RSSI_MIN, STATS_RSSI_BIN_WIDTH } from '../constants'
+
+/**
+ * Count messages received since the previous snapshot from the per-aircraft `count` field
+ * Aircraft new since the previous snapshot are skipped, as their earlier messages are unknown.
+ *
+ * @param {Array} aircraft - Array of aircraft objects as received from the API
+ * @param {Object} previousCounts - Message count per icao24 at the previous snapshot
+ * @returns {number} New messages across all aircraft
+ */
+export function countNewMessages(aircraft, previousCounts) {
+  return aircraft.reduce((total, ac) => {
+    const previous = previousCounts[ac.icao24]
+    return typeof previous === 'number' && ac.count > previous ? total + ac.count - previous : total
+  }, 0)
+}
+
+/**
+ * Distance to the furthest aircraft with a position
+ * Ranges beyond COVERAGE_MAX_RANGE_NM are ignored as bad decodes.
+ *
+ * @param {Array} aircraft - Array of aircraft objects
+ * @param {Object|null} receiver - Receiver position { latitude, longitude }
+ * @returns {number|null} Max range in nautical miles, or null without a receiver or positions
+ */
+export function getMaxRangeNm(aircraft, receiver) {
+  if (!receiver) return null
+
+  let maxRange = null
+  aircraft.forEach(ac => {
+    if (typeof ac.latitude !== 'number' || typeof ac.longitude !== 'number') return
+    const range = distanceNm(receiver.latitude, receiver.longitude, ac.latitude, ac.longitude)
+    if (range <= COVERAGE_MAX_RANGE_NM && range > (maxRange ?? -1)) maxRange = range
+  })
+  return maxRange
+}
+
+/**
+ * Build one dashboard sample from a snapshot
+ *
+ * @param {Array} aircraft - Array of aircraft objects as received from the API
+ * @param {Object} previous - Previous snapshot as { timestamp, counts }, or null for the first
+ * @param {number} timestamp - Unix timestamp of this snapshot in seconds
+ * @param {Object|null} receiver - Receiver position { latitude, longitude }
+ * @returns {Object} Sample as { timestamp, aircraftCount, withPosition, positionPercent,
+ *   messageRate, maxRange }; messageRate is null for the first sample
+ */
+export function buildStatsSample(aircraft, previous, timestamp, receiver) {
+  const withPosition = aircraft.filter(
+    ac => typeof ac.latitude === 'number' && typeof ac.longitude === 'number'
+  ).length
+  const seconds = previous ? timestamp - previous.timestamp : 0
+
+  return {
+    timestamp,
+    aircraftCount: aircraft.length,
+    withPosition,
+    positionPercent: aircraft.length ? (withPosition / aircraft.length) * 100 : null,
+    messageRate: seconds > 0 ? countNewMessages(aircraft, previous.counts) / seconds : null,
+    maxRange: getMaxRangeNm(aircraft, receiver),
+  }
+}
+
+/**
+ * Add metadata entries not seen in earlier snapshots to an RSSI histogram
+ * Each aircraft's metadata repeats across snapshots, so entries at or before the newest
+ * timestamp already recorded for that aircraft are skipped.
+ *
+ * @param {Object} histogram - Message count per bin, keyed by the bin's lower edge in dBFS
+ * @param {Object} lastRecorded - Newest recorded system_timestamp per icao24, updated in place
+ * @param {Array} aircraft - Array of aircraft objects as received from the API
+ * @returns {Object} Updated histogram, or the same object if nothing was added
+ */
+export function recordRssi(histogram, lastRecorded, aircraft) {
+  let updated = null
+
+  aircraft.forEach(ac => {
+    const since = lastRecorded[ac.icao24] ?? -Infinity
+
+    for (const entry of ac.metadata || []) {
+      if (typeof entry.rssi !== 'number' || !(entry.system_timestamp > since)) continue
+      lastRecorded[ac.icao24] = Math.max(lastRecorded[ac.icao24] ?? since, entry.system_timestamp)
+
+      const index = Math.max(0, Math.floor((entry.rssi - STATS_RSSI_MIN) / STATS_RSSI_BIN_WIDTH))
+      const bin = STATS_RSSI_MIN + index * STATS_RSSI_BIN_WIDTH
+      if (!updated) updated = { ...histogram }
+      updated[bin] = (updated[bin] || 0) + 1
+    }
+  })
+
+  return updated ?? histogram
+}
+
+/**
+ * List histogram bins in order, filling gaps between the weakest and strongest bins with zeros
+ *
+ * @param {Object} histogram - Message count per bin, keyed by the bin's lower edge in dBFS
+ * @returns {Array} Bins as { from, to, count }
+ */
+export function getRssiBins(histogram) {
+  const edges = Object.keys(histogram).map(Number)
+  if (edges.length === 0) return []
+
+  const bins = []
+  for (let from = Math.min(...edges); from <= Math.max(...edges); from += STATS_RSSI_BIN_WIDTH) {
+    bins.push({ from, to: from + STATS_RSSI_BIN_WIDTH, count: histogram[from] || 0 })
+  }
+  return bins
+}
@@ -0,0 +1,29 @@
+/**
+ * localStorage helpers for persisting user settings as JSON
+ */
+
+/**
+ * Read a JSON value from localStorage, falling back on missing or corrupt data
+ *
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value to use when nothing valid is stored
+ * @returns {*} Parsed value
+ */
+export function loadSetting(key, fallback) {
+  try {
+    const saved = localStorage.getItem(key)
+    return saved === null ? fallback : JSON.parse(saved)
+  } catch {
+    return fallback
+  }
+}
+
+/**
+ * Write a JSON value to localStorage
+ *
+ * @param {string} key - Storage key
+ * @param {*} value - JSON-serialisable value
+ */
+export function saveSetting(key, value) {
+  localStorage.setItem(key, JSON.stringify(value))
+}
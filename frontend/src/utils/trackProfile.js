@@ -0,0 +1,41 @@
+/**
+ * Derive altitude, speed and vertical-rate profiles from a recorded track
+ */
+
+import { distanceNm } from './geo'
+import { PROFILE_RATE_WINDOW } from '../constants'
+
+/**
+ * Build one profile sample per track point
+ * Speed and vertical rate are measured back to the first point at least PROFILE_RATE_WINDOW
+ * seconds earlier, which smooths out jitter between closely spaced reports.
+ *
+ * @param {Array} positions - Track points as { longitude, latitude, timestamp, altitude },
+ *   timestamp in seconds
+ * @returns {Array} Samples as { timestamp, altitude, groundspeed, vertical_rate }, with null
+ *   where a value cannot be derived
+ */
+export function buildTrackProfile(positions) {
+  let start = 0
+
+  return positions.map((to, i) => {
+    // Advance the window start while the next point still leaves a full window
+    while (start < i - 1 && to.timestamp - positions[start + 1].timestamp >= PROFILE_RATE_WINDOW) {
+      start++
+    }
+
+    const from = positions[start]
+    const hours = (to.timestamp - from.timestamp) / 3600
+    const hasAltitude = typeof from.altitude === 'number' && typeof to.altitude === 'number'
+
+    return {
+      timestamp: to.timestamp,
+      altitude: to.altitude ?? null,
+      groundspeed:
+        hours > 0
+          ? distanceNm(from.latitude, from.longitude, to.latitude, to.longitude) / hours
+          : null,
+      vertical_rate: hasAltitude && hours > 0 ? (to.altitude - from.altitude) / (hours * 60) : null,
+    }
+  })
+}
@@ -0,0 +1,92 @@
+/**
+ * Split trails into per-segment GeoJSON lines so each segment can be coloured by its own values
+ */
+
+import { bearingDegrees, destinationPoint, distanceNm } from './geo'
+import { CURTAIN_WIDTH_NM } from '../constants'
+
+/**
+ * Build one LineString feature per pair of consecutive track points
+ * Segment properties mirror aircraft fields so the colour scale expressions apply unchanged:
+ * altitude is the segment's mean altitude, lastseen its end time, and speed and vertical rate
+ * are derived from the two points. altitudeFrom/altitudeTo keep the endpoint altitudes so the
+ * 3D view can slope each segment.
+ *
+ * @param {Array} points - Track points as { longitude, latitude, timestamp, altitude }, timestamp in seconds
+ * @param {Object} properties - Properties shared by every segment (icao24, operatorColor,
+ *   sensorColor)
+ * @returns {Array} GeoJSON LineString features
+ */
+export function buildSegmentFeatures(points, properties) {
+  const features = []
+
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1]
+    const to = points[i]
+    const hours = (to.timestamp - from.timestamp) / 3600
+    const hasAltitude = typeof from.altitude === 'number' && typeof to.altitude === 'number'
+
+    features.push({
+      type: 'Feature',
+      properties: {
+        ...properties,
+        lastseen: to.timestamp,
+        altitude: hasAltitude ? (from.altitude + to.altitude) / 2 : (to.altitude ?? null),
+        altitudeFrom: from.altitude ?? to.altitude ?? null,
+        altitudeTo: to.altitude ?? from.altitude ?? null,
+        groundspeed:
+          hours > 0
+            ? distanceNm(from.latitude, from.longitude, to.latitude, to.longitude) / hours
+            : null,
+        vertical_rate:
+          hasAltitude && hours > 0 ? (to.altitude - from.altitude) / (hours * 60) : null,
+      },
+      geometry: {
+        type: 'LineString',
+        coordinates: [
+          [from.longitude, from.latitude],
+          [to.longitude, to.latitude],
+        ],
+      },
+    })
+  }
+
+  return features
+}
+
+/**
+ * Build thin polygons along a track for extruding into a curtain down to the ground
+ * Each segment becomes a quad CURTAIN_WIDTH_NM wide carrying its mean altitude.
+ *
+ * @param {Array} points - Track points as { longitude, latitude, timestamp, altitude }
+ * @returns {Array} GeoJSON Polygon features with an `altitude` property in feet
+ */
+export function buildCurtainFeatures(points) {
+  const features = []
+  const halfWidth = CURTAIN_WIDTH_NM / 2
+
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1]
+    const to = points[i]
+    const altitudes = [from.altitude, to.altitude].filter(altitude => typeof altitude === 'number')
+    if (altitudes.length === 0) continue
+
+    const bearing = bearingDegrees(from.latitude, from.longitude, to.latitude, to.longitude)
+    const corners = [
+      destinationPoint(from.latitude, from.longitude, bearing - 90, halfWidth),
+      destinationPoint(to.latitude, to.longitude, bearing - 90, halfWidth),
+      destinationPoint(to.latitude, to.longitude, bearing + 90, halfWidth),
+      destinationPoint(from.latitude, from.longitude, bearing + 90, halfWidth),
+    ]
+
+    features.push({
+      type: 'Feature',
+      properties: {
+        altitude: altitudes.reduce((sum, altitude) => sum + altitude, 0) / altitudes.length,
+      },
+      geometry: { type: 'Polygon', coordinates: [[...corners, corners[0]]] },
+    })
+  }
+
+  return features
+}
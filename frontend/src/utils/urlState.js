@@ -0,0 +1,147 @@
+/**
+ * Encode and decode shareable app state in the URL query string
+ *
+ * Values equal to their defaults are left out so links stay short.
+ */
+
+import { EMPTY_FILTERS } from './filters'
+import {
+  INITIAL_ZOOM,
+  DEFAULT_REFRESH_INTERVAL,
+  DEFAULT_MAX_AGE_MINUTES,
+  REFRESH_INTERVAL_MIN,
+  REFRESH_INTERVAL_MAX,
+  MAX_AGE_MIN,
+  MAX_AGE_MAX,
+} from '../constants'
+
+// Query parameter name for each filter field
+const FILTER_PARAMS = {
+  altitudeMin: 'altMin',
+  altitudeMax: 'altMax',
+  speedMin: 'spdMin',
+  speedMax: 'spdMax',
+  type: 'type',
+  callsignPrefix: 'callsign',
+  squawk: 'squawk',
+  hasPosition: 'pos',
+  sensor: 'sensor',
+  onGround: 'ground',
+}
+
+/**
+ * Clamp a value into a range
+ *
+ * @param {number} value - Value to clamp
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Clamped value
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value))
+}
+
+/**
+ * Read the shareable state from a query string
+ * Only keys present and valid in the URL are returned, so callers can fall back to their defaults.
+ *
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object} Partial state: viewport, selectedIcao24, refreshInterval, maxAgeMinutes,
+ *   showTracks and filters
+ */
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search)
+  const state = {}
+
+  const getNumber = key => {
+    const value = params.get(key)
+    if (value === null || value.trim() === '') return null
+    const number = Number(value)
+    return Number.isFinite(number) ? number : null
+  }
+
+  const latitude = getNumber('lat')
+  const longitude = getNumber('lon')
+  if (latitude !== null && longitude !== null) {
+    state.viewport = {
+      latitude: clamp(latitude, -90, 90),
+      longitude: clamp(longitude, -180, 180),
+      zoom: clamp(getNumber('zoom') ?? INITIAL_ZOOM, 0, 22),
+    }
+  }
+
+  const icao24 = params.get('icao')?.trim()
+  if (icao24) state.selectedIcao24 = icao24
+
+  const refreshInterval = getNumber('refresh')
+  if (refreshInterval !== null) {
+    state.refreshInterval = clamp(refreshInterval, REFRESH_INTERVAL_MIN, REFRESH_INTERVAL_MAX)
+  }
+
+  const maxAgeMinutes = getNumber('maxAge')
+  if (maxAgeMinutes !== null) {
+    state.maxAgeMinutes = clamp(maxAgeMinutes, MAX_AGE_MIN, MAX_AGE_MAX)
+  }
+
+  if (params.has('tracks')) state.showTracks = params.get('tracks') === '1'
+
+  if (Object.values(FILTER_PARAMS).some(key => params.has(key))) {
+    state.filters = Object.fromEntries(
+      Object.entries(FILTER_PARAMS).map(([field, key]) => {
+        const empty = EMPTY_FILTERS[field]
+        if (typeof empty === 'boolean') return [field, params.get(key) === '1']
+        if (typeof empty === 'string') return [field, params.get(key) ?? '']
+        return [field, getNumber(key)]
+      })
+    )
+  }
+
+  return state
+}
+
+/**
+ * Build a query string for the shareable state
+ *
+ * @param {Object} state - App state
+ * @param {Object|null} state.viewport - Map viewport { latitude, longitude, zoom }
+ * @param {string|null} state.selectedIcao24 - Selected aircraft
+ * @param {number} state.refreshInterval - Refresh interval in seconds
+ * @param {number} state.maxAgeMinutes - Maximum aircraft age in minutes
+ * @param {boolean} state.showTracks - Whether trails are shown
+ * @param {Object} state.filters - Attribute filters
+ * @returns {string} Query string including the leading '?', or '' when everything is default
+ */
+export function buildUrlSearch({
+  viewport,
+  selectedIcao24,
+  refreshInterval,
+  maxAgeMinutes,
+  showTracks,
+  filters,
+}) {
+  const params = new URLSearchParams()
+
+  if (viewport) {
+    params.set('lat', viewport.latitude.toFixed(4))
+    params.set('lon', viewport.longitude.toFixed(4))
+    params.set('zoom', viewport.zoom.toFixed(2))
+  }
+  if (selectedIcao24) params.set('icao', selectedIcao24)
+  if (refreshInterval !== DEFAULT_REFRESH_INTERVAL) params.set('refresh', refreshInterval)
+  if (maxAgeMinutes !== DEFAULT_MAX_AGE_MINUTES) params.set('maxAge', maxAgeMinutes)
+  if (showTracks) params.set('tracks', '1')
+
+  Object.entries(FILTER_PARAMS).forEach(([field, key]) => {
+    const value = filters[field]
+    if (typeof value === 'boolean') {
+      if (value) params.set(key, '1')
+    } else if (typeof value === 'string') {
+      if (value.trim()) params.set(key, value.trim())
+    } else if (value !== null) {
+      params.set(key, value)
+    }
+  })
+
+  const search = params.toString()
+  return search ? `?${search}` : ''
+}
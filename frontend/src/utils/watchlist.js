@@ -0,0 +1,84 @@
+/**
+ * Matching rules for the aircraft watchlist
+ *
+ * A watchlist entry is `{ id, field, pattern, label }` where `field` is one of WATCH_FIELDS.
+ * Patterns match case-insensitively and support `*` / `?` wildcards; a pattern wrapped in
+ * slashes (e.g. `/^N\d+MD$/`) is treated as a regular expression.
+ */
+
+import { createEntryId } from './ids'
+
+export const WATCH_FIELDS = {
+  icao24: 'ICAO24',
+  registration: 'Registration',
+  typecode: 'Type Code',
+  callsign: 'Callsign',
+}
+
+/**
+ * Compile a watchlist pattern into a regular expression
+ *
+ * @param {string} pattern - Wildcard or /regex/ pattern
+ * @returns {RegExp|null} Compiled expression, or null if the pattern is invalid
+ */
+export function compilePattern(pattern) {
+  const trimmed = pattern.trim()
+  if (!trimmed) return null
+
+  try {
+    const regex = trimmed.match(/^\/(.+)\/$/)
+    if (regex) return new RegExp(regex[1], 'i')
+
+    const escaped = trimmed.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Build a predicate that reports whether an aircraft matches any watchlist entry
+ *
+ * @param {Array} entries - Watchlist entries
+ * @returns {Function} Predicate taking an aircraft object
+ */
+export function createWatchMatcher(entries) {
+  const rules = entries
+    .map(entry => ({ field: entry.field, regex: compilePattern(entry.pattern) }))
+    .filter(rule => rule.regex && WATCH_FIELDS[rule.field])
+
+  return ac =>
+    rules.some(({ field, regex }) => {
+      // Callsigns are padded with trailing underscores by the decoder
+      const value = field === 'callsign' ? ac.callsign?.replace(/_+$/, '') : ac[field]
+      return Boolean(value) && regex.test(value)
+    })
+}
+
+/**
+ * Validate and normalise entries read from an imported file
+ *
+ * @param {*} data - Parsed JSON
+ * @returns {Array} Valid entries
+ * @throws {Error} If the data isn't an array of entries
+ */
+export function parseWatchlist(data) {
+  if (!Array.isArray(data)) {
+    throw new Error('Watchlist file must contain a JSON array')
+  }
+
+  return data
+    .filter(
+      entry =>
+        entry &&
+        WATCH_FIELDS[entry.field] &&
+        typeof entry.pattern === 'string' &&
+        compilePattern(entry.pattern)
+    )
+    .map(entry => ({
+      id: typeof entry.id === 'string' ? entry.id : createEntryId(),
+      field: entry.field,
+      pattern: entry.pattern.trim(),
+      label: typeof entry.label === 'string' ? entry.label : '',
+    }))
+}
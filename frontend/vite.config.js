@@ -1,8 +1,44 @@
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+/**
+ * Emit the service worker with this build's assets to precache and a cache name unique to the
+ * build, so each deploy replaces the previous cache instead of growing it
+ *
+ * @returns {Object} Vite plugin
+ */
+function serviceWorker() {
+  return {
+    name: 'adsb-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_options, bundle) {
+      const assets = Object.keys(bundle)
+        .filter(fileName => fileName.startsWith('assets/') && !fileName.endsWith('.map'))
+        .sort()
+        .map(fileName => `/${fileName}`)
+      const template = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+      const version = createHash('sha256')
+        .update(template)
+        .update(assets.join('\n'))
+        .digest('hex')
+        .slice(0, 12)
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: template
+          .replace('__BUILD_VERSION__', version)
+          .replace('/* __ASSET_URLS__ */', assets.map(url => JSON.stringify(url)).join(', '))
+      })
+    }
+  }
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   server: {
     port: 3000,
     host: true
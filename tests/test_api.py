@@ -1,11 +1,12 @@
 """Tests for FastAPI endpoints."""
 
+import json
 from unittest.mock import MagicMock
 
 import pytest
 from fastapi.testclient import TestClient
 
-from adsb.api import create_app, get_db
+from adsb.api import create_app, diff_aircraft_states, format_sse, get_db
 from adsb.models import Aircraft, AircraftMetadata, AircraftPosition
 
 
@@ -165,6 +166,41 @@ def test_get_sensors(test_session, client, aircraft):
     assert 789012 in serials
 
 
+def test_diff_aircraft_states():
+    """Test stream updates carry new and changed aircraft and removed addresses."""
+    previous = {
+        "abc123": {"icao24": "abc123", "altitude": 10000},
+        "def456": {"icao24": "def456", "altitude": 20000},
+        "fed789": {"icao24": "fed789", "altitude": 30000},
+    }
+    current = {
+        "abc123": {"icao24": "abc123", "altitude": 10000},
+        "def456": {"icao24": "def456", "altitude": 20500},
+        "aaa111": {"icao24": "aaa111", "altitude": 5000},
+    }
+
+    update = diff_aircraft_states(previous, current)
+
+    assert update["upsert"] == [current["def456"], current["aaa111"]]
+    assert update["remove"] == ["fed789"]
+
+
+def test_diff_aircraft_states_unchanged():
+    """Test an unchanged set of aircraft gives an empty update."""
+    states = {"abc123": {"icao24": "abc123", "altitude": 10000}}
+
+    assert diff_aircraft_states(states, dict(states)) == {"upsert": [], "remove": []}
+
+
+def test_format_sse():
+    """Test Server-Sent Events messages carry the event name and JSON data."""
+    message = format_sse("update", {"upsert": [], "remove": ["abc123"]})
+
+    assert message.startswith("event: update\ndata: ")
+    assert message.endswith("\n\n")
+    assert json.loads(message.split("data: ", 1)[1]) == {"upsert": [], "remove": ["abc123"]}
+
+
 def test_get_db_not_initialized(monkeypatch):
     """Test get_db raises error when database not initialized."""
     import adsb.api